@@ -0,0 +1,413 @@
+/**
+ * Gmail Quick Search - Background
+ * Service worker that runs saved searches from keyboard shortcuts, the
+ * address bar and the right-click menu, keeps result counts current and
+ * starts the Gmail panel when it is turned on
+ */
+
+'use strict';
+
+importScripts(
+  'query-parser.js',
+  'templates.js',
+  'validation.js',
+  'groups.js',
+  'usage.js',
+  'sync.js',
+  'schema.js',
+  'storage.js',
+  'date-macros.js',
+  'navigation.js',
+  'shortcuts.js',
+  'search-states.js',
+  'search-filter.js',
+  'omnibox.js',
+  'context-menus.js',
+  'result-counts.js'
+);
+
+/**
+ * The query to run. Templates can't ask for values here, so they use the
+ * values last typed in the popup; null when some are still unknown.
+ */
+async function resolveTemplateQuery(query) {
+  if (!isTemplate(query)) return query;
+
+  const uiState = await loadUiState();
+  const filled = fillFromRecentValues(query, uiState.templateRecents);
+  if (!filled) {
+    console.warn('[Gmail Quick Search] Open this template from the popup first to give it values');
+  }
+  return filled;
+}
+
+/**
+ * Opens the search bound to a shortcut slot where the settings say
+ */
+async function runShortcut(command) {
+  try {
+    const settings = await loadSettings();
+    const { searches } = await loadCollection();
+    const search = resolveShortcut(command, settings.shortcutBindings, searches);
+
+    if (!search) {
+      console.warn(`[Gmail Quick Search] No search is bound to ${describeSlot(command)}`);
+      return;
+    }
+
+    const query = await resolveTemplateQuery(search.q);
+    if (query) {
+      await openGmailSearchIn(query, resolveAccount(search, settings), settings.openIn, search);
+    }
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error running shortcut:', error);
+  }
+}
+
+chrome.commands.onCommand.addListener((command) => {
+  if (SHORTCUT_SLOTS.includes(command)) {
+    runShortcut(command);
+  }
+});
+
+const OMNIBOX_DEFAULT_SUGGESTION = 'Search Gmail for <match>%s</match>';
+
+/**
+ * Suggests saved searches matching what was typed after the keyword.
+ * Reads storage directly: loadCollection would sync on every keystroke.
+ */
+async function suggestSearches(text, suggest) {
+  try {
+    // Say up front when the typed text can't be searched for
+    const validation = validateTypedQuery(text.trim());
+    chrome.omnibox.setDefaultSuggestion({
+      description: validation.valid ? OMNIBOX_DEFAULT_SUGGESTION : escapeOmniboxXml(validation.error)
+    });
+
+    const searches = await loadSearches();
+    suggest(buildOmniboxSuggestions(searches, text));
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error building suggestions:', error);
+  }
+}
+
+/**
+ * Opens the chosen saved search, or searches Gmail for the typed text
+ */
+async function openOmniboxInput(text, disposition) {
+  try {
+    const settings = await loadSettings();
+    const searches = await loadSearches();
+    const choice = resolveOmniboxInput(text, searches);
+
+    if (choice.search) {
+      const query = await resolveTemplateQuery(choice.search.q);
+      if (query) {
+        await openGmailSearchInDisposition(query, resolveAccount(choice.search, settings), disposition, choice.search);
+      }
+    } else if (choice.query) {
+      await openGmailSearchInDisposition(choice.query, resolveAccount({}, settings), disposition);
+    } else if (choice.error) {
+      console.warn(`[Gmail Quick Search] ${choice.error}`);
+    }
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error opening omnibox search:', error);
+  }
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_DEFAULT_SUGGESTION });
+chrome.omnibox.onInputChanged.addListener(suggestSearches);
+chrome.omnibox.onInputEntered.addListener(openOmniboxInput);
+
+// Rebuilds run one after another so removeAll can't race a create
+let contextMenuUpdate = Promise.resolve();
+
+/**
+ * Recreates the right-click menu from the settings and saved searches
+ */
+function rebuildContextMenus() {
+  contextMenuUpdate = contextMenuUpdate.then(async () => {
+    try {
+      const settings = await loadSettings();
+      const searches = await loadSearches();
+
+      await chrome.contextMenus.removeAll();
+      buildContextMenuItems(settings.contextMenuActions, searches).forEach((item) => {
+        chrome.contextMenus.create(item, () => {
+          if (chrome.runtime.lastError) {
+            console.error('[Gmail Quick Search] Error creating menu item:', chrome.runtime.lastError.message);
+          }
+        });
+      });
+    } catch (error) {
+      console.error('[Gmail Quick Search] Error building context menus:', error);
+    }
+  });
+  return contextMenuUpdate;
+}
+
+/**
+ * Searches Gmail for whatever the clicked menu item refers to
+ */
+async function runContextMenuAction(info) {
+  try {
+    const settings = await loadSettings();
+    const searches = await loadSearches();
+    const action = resolveContextMenuClick(info, searches);
+
+    if (!action) {
+      console.warn('[Gmail Quick Search] Nothing to search for in the selection');
+      return;
+    }
+
+    const query = await resolveTemplateQuery(action.query);
+    if (query) {
+      await openGmailSearchIn(query, resolveAccount(action.search || {}, settings), settings.openIn, action.search);
+    }
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error running menu action:', error);
+  }
+}
+
+// The Gmail panel's scripts, only registered while the panel is turned on
+const GMAIL_PANEL_SCRIPT = {
+  id: 'gmail-panel',
+  matches: ['https://mail.google.com/*'],
+  js: [
+    'query-parser.js',
+    'templates.js',
+    'validation.js',
+    'groups.js',
+    'usage.js',
+    'storage.js',
+    'schema.js',
+    'date-macros.js',
+    'navigation.js',
+    'search-states.js',
+    'gmail-panel.js',
+    'content.js'
+  ],
+  runAt: 'document_idle'
+};
+
+// Updates run one after another so a quick off/on can't race
+let panelScriptUpdate = Promise.resolve();
+
+/**
+ * Starts the panel in Gmail tabs already open, skipping tabs where it is
+ * running (it follows the setting there by itself)
+ */
+async function injectPanelIntoOpenTabs() {
+  const tabs = await chrome.tabs.query({ url: GMAIL_PANEL_SCRIPT.matches });
+
+  await Promise.all(tabs.map(async (tab) => {
+    try {
+      const [check] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => typeof initGmailPanel === 'function'
+      });
+      if (check && check.result) return;
+
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: GMAIL_PANEL_SCRIPT.js });
+    } catch (error) {
+      // Tabs still loading or discarded get the registered script later
+      console.warn('[Gmail Quick Search] Could not start the panel in a Gmail tab:', error.message);
+    }
+  }));
+}
+
+/**
+ * Registers the panel's scripts with Gmail while the panel is turned on,
+ * and removes them when it is off, so nothing runs in Gmail otherwise
+ */
+function updatePanelScript() {
+  panelScriptUpdate = panelScriptUpdate.then(async () => {
+    try {
+      const settings = await loadSettings();
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [GMAIL_PANEL_SCRIPT.id] });
+
+      // Registered afresh each time, so an update's file list is picked up
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [GMAIL_PANEL_SCRIPT.id] });
+      }
+      if (!settings.gmailPanel) return;
+
+      await chrome.scripting.registerContentScripts([GMAIL_PANEL_SCRIPT]);
+      await injectPanelIntoOpenTabs();
+    } catch (error) {
+      console.error('[Gmail Quick Search] Error updating the Gmail panel script:', error);
+    }
+  });
+  return panelScriptUpdate;
+}
+
+const COUNT_ALARM = 'refresh-counts';
+// Settings that change when or whether counts are fetched
+const COUNT_SCHEDULE_SETTINGS = ['countsEnabled', 'countRefreshMinutes'];
+const COUNT_DISPLAY_SETTINGS = ['countProvider', 'badgeSearchId'];
+
+/**
+ * Builds the count provider chosen in the settings. Only call it when
+ * areCountsActive(), i.e. when there is one.
+ */
+function getCountProvider() {
+  return createGmailApiCountProvider({
+    // Never prompts: signing in happens from the manage page. chrome.identity
+    // only exists once the optional permission has been granted.
+    getToken: async () => {
+      if (!chrome.identity) return null;
+      try {
+        const result = await chrome.identity.getAuthToken({ interactive: false });
+        return typeof result === 'string' ? result : (result && result.token) || null;
+      } catch (error) {
+        return null;
+      }
+    },
+    removeToken: token => chrome.identity.removeCachedAuthToken({ token }),
+    fetchImpl: (url, options) => fetch(url, options)
+  });
+}
+
+/**
+ * Shows the chosen search's count on the toolbar icon
+ */
+async function updateBadge(settings, counts) {
+  const searches = await loadSearches();
+  const search = areCountsActive(settings, chrome.runtime.getManifest()) && settings.badgeSearchId
+    ? searches.find(s => s.id === settings.badgeSearchId)
+    : null;
+  const entry = search ? findCountEntry(counts, search) : null;
+  const badge = badgeForCount(entry);
+
+  await chrome.action.setBadgeText({ text: badge.text });
+  await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+  await chrome.action.setTitle({
+    title: entry ? `Gmail Quick Search – ${search.name}: ${describeCount(entry).title}` : 'Gmail Quick Search'
+  });
+}
+
+// Refreshes run one after another so two can't count the same searches
+let countUpdate = Promise.resolve();
+
+/**
+ * Counts searches whose cached count is stale (or all of them when
+ * forced) and updates the toolbar badge
+ */
+function updateResultCounts(force = false) {
+  countUpdate = countUpdate.then(async () => {
+    try {
+      const settings = await loadSettings();
+      if (!areCountsActive(settings, chrome.runtime.getManifest())) {
+        await updateBadge(settings, {});
+        return;
+      }
+
+      const counts = await refreshResultCounts(
+        await loadSearches(),
+        await loadResultCounts(),
+        getCountProvider(),
+        {
+          maxAgeMs: settings.countRefreshMinutes * 60 * 1000,
+          force,
+          accountFor: search => resolveAccount(search, settings)
+        }
+      );
+      await saveResultCounts(counts);
+      await updateBadge(settings, counts);
+    } catch (error) {
+      console.error('[Gmail Quick Search] Error updating result counts:', error);
+    }
+  });
+  return countUpdate;
+}
+
+/**
+ * Starts or stops polling to match the settings
+ */
+async function scheduleCountRefresh() {
+  try {
+    const settings = await loadSettings();
+    await chrome.alarms.clear(COUNT_ALARM);
+    if (areCountsActive(settings, chrome.runtime.getManifest())) {
+      await chrome.alarms.create(COUNT_ALARM, { periodInMinutes: settings.countRefreshMinutes });
+    }
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error scheduling result counts:', error);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === COUNT_ALARM) {
+    updateResultCounts(true);
+  }
+});
+
+// The popup asks for a refresh when it opens, the manage page after signing in
+chrome.runtime.onMessage.addListener((message) => {
+  if (message && message.type === 'refresh-counts') {
+    updateResultCounts(Boolean(message.force));
+  }
+});
+
+chrome.runtime.onInstalled.addListener(async () => {
+  // Saves the defaults with ids on a fresh install, so they get menu entries
+  await loadCollection();
+  rebuildContextMenus();
+  updatePanelScript();
+  scheduleCountRefresh();
+  updateResultCounts();
+});
+chrome.runtime.onStartup.addListener(() => {
+  rebuildContextMenus();
+  updatePanelScript();
+  scheduleCountRefresh();
+  updateResultCounts();
+});
+chrome.contextMenus.onClicked.addListener(runContextMenuAction);
+
+/**
+ * Syncs again once more of another device's data has arrived, when the
+ * last sync found it incomplete
+ */
+async function retryIncompleteSync(changes) {
+  if (!Object.keys(changes).some(key => key === SYNC_META_KEY || key.startsWith(SYNC_CHUNK_PREFIX))) return;
+
+  try {
+    const state = await loadSyncState();
+    // Once stuck, only replacing the synced copy from the manage page helps
+    if (state.incomplete && !state.stuck) {
+      await syncIfEnabled();
+    }
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error retrying sync:', error);
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync') {
+    retryIncompleteSync(changes);
+    return;
+  }
+  if (areaName !== 'local') return;
+
+  // Keep the saved search submenu and enabled actions current
+  if (changes[STORAGE_KEY] || changes[SETTINGS_KEY]) {
+    rebuildContextMenus();
+  }
+
+  // Count new or edited searches, and follow changes to the count settings
+  const before = changes[SETTINGS_KEY] ? changes[SETTINGS_KEY].oldValue || {} : {};
+  const after = changes[SETTINGS_KEY] ? changes[SETTINGS_KEY].newValue || {} : {};
+  const changed = key => before[key] !== after[key];
+
+  if (changed('gmailPanel')) {
+    updatePanelScript();
+  }
+
+  if (COUNT_SCHEDULE_SETTINGS.some(changed)) {
+    scheduleCountRefresh();
+  }
+  if (changes[STORAGE_KEY] || COUNT_SCHEDULE_SETTINGS.some(changed) || COUNT_DISPLAY_SETTINGS.some(changed)) {
+    updateResultCounts();
+  }
+});
@@ -0,0 +1,127 @@
+/**
+ * Gmail Quick Search - Batch Actions
+ * Changes applied to several selected searches at once from the manage page
+ */
+
+'use strict';
+
+/**
+ * Counts searches for a summary, e.g. "1 search" or "3 searches"
+ */
+function pluralSearches(count) {
+  return `${count} search${count === 1 ? '' : 'es'}`;
+}
+
+/**
+ * The selected searches with their positions, in list order
+ */
+function selectedItems(searches, selectedIds) {
+  const wanted = new Set(selectedIds);
+  return searches
+    .map((search, index) => ({ search, index }))
+    .filter(({ search }) => wanted.has(search.id));
+}
+
+/**
+ * A name for a copy that no other search uses, e.g. "Unread (copy 2)"
+ */
+function copyName(name, takenNames) {
+  for (let n = 1; ; n++) {
+    const suffix = n === 1 ? ' (copy)' : ` (copy ${n})`;
+    const candidate = name.slice(0, MAX_NAME_LENGTH - suffix.length).trim() + suffix;
+    if (!takenNames.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+/**
+ * Removes the selected searches. removed lists { search, index } for the
+ * trash.
+ */
+function deleteSelected(searches, selectedIds) {
+  const removed = selectedItems(searches, selectedIds);
+  const removedIds = new Set(removed.map(({ search }) => search.id));
+
+  return {
+    searches: searches.filter(search => !removedIds.has(search.id)),
+    removed,
+    summary: `Deleted ${pluralSearches(removed.length)}`
+  };
+}
+
+/**
+ * Adds a copy of each selected search right after it. Copies get new ids
+ * (on save) and unique names. Fails when there isn't room for them all.
+ * Copies keep the same query on purpose, as a starting point for a variant,
+ * so they skip the duplicate-query check the editor warns with.
+ */
+function duplicateSelected(searches, selectedIds) {
+  const selected = selectedItems(searches, selectedIds);
+  if (searches.length + selected.length > MAX_SEARCHES) {
+    return { ok: false, error: `Maximum ${MAX_SEARCHES} searches allowed` };
+  }
+
+  const takenNames = new Set(searches.map(search => search.name.toLowerCase()));
+  const selectedIdSet = new Set(selected.map(({ search }) => search.id));
+  const result = [];
+
+  searches.forEach((search) => {
+    result.push(search);
+    if (!selectedIdSet.has(search.id)) return;
+
+    const copy = { ...search, name: copyName(search.name, takenNames) };
+    delete copy.id;
+    delete copy.updatedAt;
+    takenNames.add(copy.name.toLowerCase());
+    result.push(copy);
+  });
+
+  return { ok: true, searches: result, summary: `Duplicated ${pluralSearches(selected.length)}` };
+}
+
+/**
+ * Moves the selected searches to the end of a group, keeping their order
+ */
+function moveSelectedToGroup(searches, selectedIds, group) {
+  const selected = selectedItems(searches, selectedIds);
+  const selectedIdSet = new Set(selected.map(({ search }) => search.id));
+  const already = selected.filter(({ search }) => search.group === group.id).length;
+
+  const moved = selected.map(({ search }) => ({ ...search, group: group.id }));
+  const result = searches.filter(search => !selectedIdSet.has(search.id)).concat(moved);
+
+  let summary = `Moved ${pluralSearches(selected.length)} to "${group.name}"`;
+  if (already > 0) summary += ` (${already} already there)`;
+  return { searches: result, summary };
+}
+
+/**
+ * Hides the selected searches from the popup, or shows them again
+ */
+function setSelectedHidden(searches, selectedIds, hidden) {
+  const wanted = new Set(selectedIds);
+  let changed = 0;
+
+  const result = searches.map((search) => {
+    if (!wanted.has(search.id) || isHidden(search) === hidden) return search;
+    changed++;
+    return setSearchState(search, 'hidden', hidden);
+  });
+
+  const unchanged = selectedItems(searches, selectedIds).length - changed;
+  let summary = `${hidden ? 'Hid' : 'Showed'} ${pluralSearches(changed)}`;
+  if (unchanged > 0) summary += ` (${unchanged} already ${hidden ? 'hidden' : 'shown'})`;
+  return { searches: result, summary };
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    pluralSearches,
+    selectedItems,
+    copyName,
+    deleteSelected,
+    duplicateSelected,
+    moveSelectedToGroup,
+    setSelectedHidden
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Gmail Quick Search - Content Script
+ * Shows the Saved Searches panel in Gmail when it is turned on, and keeps it
+ * in step with storage, the current search and Gmail's re-renders
+ */
+
+'use strict';
+
+let panelSettings = { ...DEFAULT_SETTINGS };
+let panelSearches = [];
+let panelGroups = [];
+let panelCollapsed = false;
+let panelTemplateRecents = {};
+let rerenderObserver = null;
+
+/**
+ * Reads everything the panel shows from the same storage as the popup
+ */
+async function loadPanelData() {
+  panelSettings = await loadSettings();
+  const uiState = await loadUiState();
+  panelCollapsed = uiState.panelCollapsed === true;
+  panelTemplateRecents = uiState.templateRecents && typeof uiState.templateRecents === 'object'
+    ? uiState.templateRecents
+    : {};
+
+  // Repaired like everywhere else, but writing it back is left to the
+  // extension pages
+  ({ searches: panelSearches, groups: panelGroups } = await loadCollectionReadOnly());
+}
+
+/**
+ * What each search runs; templates use the values typed last (null if none)
+ */
+function panelQueries() {
+  return panelSearches.map(search =>
+    isTemplate(search.q) ? fillFromRecentValues(search.q, panelTemplateRecents) : search.q
+  );
+}
+
+/**
+ * Opens a search from the panel, in this tab
+ */
+async function openPanelSearch(search, query) {
+  // Before navigating: a full page load would drop the write
+  await recordSearchUse([search]);
+
+  const target = panelSearchTarget(query, search, location.href);
+  if (target.hash) {
+    location.hash = target.hash;
+  } else {
+    location.assign(target.url);
+  }
+}
+
+/**
+ * Collapses or expands the panel and remembers the choice
+ */
+function togglePanel() {
+  panelCollapsed = !panelCollapsed;
+  saveUiState({ panelCollapsed });
+  renderGmailPanel();
+}
+
+/**
+ * Mounts the panel if needed and draws it for the current page
+ */
+function renderGmailPanel() {
+  if (!panelSettings.gmailPanel) return;
+
+  const host = mountPanel(document);
+  if (!host) return;
+
+  renderPanel(host, {
+    searches: panelSearches,
+    groups: panelGroups,
+    activeSearch: findActiveSearch(panelSearches, location.hash),
+    collapsed: panelCollapsed,
+    queries: panelQueries()
+  }, { onOpen: openPanelSearch, onToggle: togglePanel });
+}
+
+/**
+ * Shows or removes the panel to match the setting
+ */
+function applyPanelSetting() {
+  if (panelSettings.gmailPanel) {
+    renderGmailPanel();
+    if (!rerenderObserver) {
+      // Only redraw when Gmail has removed the panel
+      rerenderObserver = watchForRerenders(document, () => {
+        if (!document.getElementById(PANEL_HOST_ID)) renderGmailPanel();
+      });
+    }
+  } else {
+    unmountPanel(document);
+    if (rerenderObserver) {
+      rerenderObserver.disconnect();
+      rerenderObserver = null;
+    }
+  }
+}
+
+/**
+ * Starts the panel and listens for changes
+ */
+async function initGmailPanel() {
+  try {
+    await loadPanelData();
+    applyPanelSetting();
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error starting the Gmail panel:', error);
+  }
+
+  // Highlight the search Gmail is showing
+  window.addEventListener('hashchange', renderGmailPanel);
+
+  // Edits from the popup, manage page or another device show up right away
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (!changes[STORAGE_KEY] && !changes[GROUPS_KEY] && !changes[SETTINGS_KEY] && !changes[UI_STATE_KEY]) return;
+
+    try {
+      await loadPanelData();
+      applyPanelSetting();
+    } catch (error) {
+      console.error('[Gmail Quick Search] Error updating the Gmail panel:', error);
+    }
+  });
+}
+
+initGmailPanel();
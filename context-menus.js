@@ -0,0 +1,174 @@
+/**
+ * Gmail Quick Search - Context Menus
+ * Right-click actions that search Gmail for the selection, a sender or a domain
+ */
+
+'use strict';
+
+// Child items of the saved search submenu are "<prefix><search id>"
+const SAVED_SEARCH_MENU_PREFIX = 'saved-search:';
+
+const CONTEXT_MENU_ACTIONS = [
+  {
+    id: 'search-selection',
+    title: 'Search Gmail for "%s"',
+    label: 'Search Gmail for selected text',
+    contexts: ['selection']
+  },
+  {
+    id: 'from-address',
+    title: 'Find mail from this address',
+    label: 'Find mail from this address',
+    contexts: ['selection', 'link'],
+    targetUrlPatterns: ['mailto:*']
+  },
+  {
+    id: 'from-domain',
+    title: 'Find mail from this domain',
+    label: 'Find mail from this domain',
+    contexts: ['selection', 'link']
+  },
+  {
+    id: 'saved-search',
+    title: 'Run saved search for "%s"',
+    label: 'Run a saved search for selected text',
+    contexts: ['selection']
+  }
+];
+
+const DEFAULT_CONTEXT_MENU_ACTIONS = CONTEXT_MENU_ACTIONS.map(action => action.id);
+
+/**
+ * Decodes %-escapes, leaving malformed text as it is
+ */
+function decodeURIComponentSafe(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Finds the first email address in text (or a mailto: link)
+ */
+function extractEmail(text) {
+  if (typeof text !== 'string') return null;
+  const match = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i.exec(decodeURIComponentSafe(text));
+  return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * Finds a domain in an email address, a URL or a bare domain name
+ */
+function extractDomain(text) {
+  if (typeof text !== 'string') return null;
+
+  const email = extractEmail(text);
+  if (email) return email.split('@')[1];
+
+  const trimmed = text.trim();
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : 'https://' + trimmed);
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(host) ? host : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turns selected text into a search term: one word stays as it is,
+ * anything longer becomes an exact phrase
+ */
+function formatSelectionQuery(text) {
+  const cleaned = (text || '').replace(/"/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH - 2);
+  if (!cleaned) return null;
+  return /[\s(){}:]/.test(cleaned) || cleaned.startsWith('-') ? `"${cleaned}"` : cleaned;
+}
+
+/**
+ * The menu items to create for the enabled actions (null enables them
+ * all). The saved search action becomes a submenu with one entry per
+ * search that isn't hidden.
+ */
+function buildContextMenuItems(enabledActions, allSearches) {
+  const enabled = new Set(Array.isArray(enabledActions) ? enabledActions : DEFAULT_CONTEXT_MENU_ACTIONS);
+  // Menu ids need the search's id (unsaved defaults don't have one yet)
+  const searches = visibleSearches(allSearches).filter(search => typeof search.id === 'string');
+  const items = [];
+
+  CONTEXT_MENU_ACTIONS.forEach((action) => {
+    if (!enabled.has(action.id)) return;
+    if (action.id === 'saved-search' && searches.length === 0) return;
+
+    const item = { id: action.id, title: action.title, contexts: action.contexts };
+    if (action.targetUrlPatterns) item.targetUrlPatterns = action.targetUrlPatterns;
+    items.push(item);
+
+    if (action.id === 'saved-search') {
+      searches.forEach((search) => {
+        items.push({
+          id: SAVED_SEARCH_MENU_PREFIX + search.id,
+          parentId: action.id,
+          title: search.name,
+          contexts: action.contexts
+        });
+      });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Works out the query for a menu click. Returns { query, search } (search
+ * only for saved searches) or null when the click has nothing to search for.
+ */
+function resolveContextMenuClick(info, searches) {
+  const menuItemId = String(info.menuItemId);
+  const source = info.selectionText || info.linkUrl || '';
+
+  if (menuItemId === 'search-selection') {
+    const query = formatSelectionQuery(info.selectionText);
+    return query ? { query } : null;
+  }
+
+  if (menuItemId === 'from-address') {
+    const email = extractEmail(source);
+    if (email) return { query: `from:${email}` };
+
+    const name = formatSelectionQuery(info.selectionText);
+    return name ? { query: `from:${name}` } : null;
+  }
+
+  if (menuItemId === 'from-domain') {
+    const domain = extractDomain(source);
+    return domain ? { query: `from:@${domain}` } : null;
+  }
+
+  if (menuItemId.startsWith(SAVED_SEARCH_MENU_PREFIX)) {
+    // A menu not yet rebuilt can still show a search hidden since
+    const search = visibleSearches(searches).find(s => s.id === menuItemId.slice(SAVED_SEARCH_MENU_PREFIX.length));
+    const scope = formatSelectionQuery(info.selectionText);
+    if (!search) return null;
+
+    // Parentheses keep the saved query's own ORs and negations intact
+    return { query: scope ? `(${search.q}) ${scope}` : search.q, search };
+  }
+
+  return null;
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONTEXT_MENU_ACTIONS,
+    DEFAULT_CONTEXT_MENU_ACTIONS,
+    extractEmail,
+    extractDomain,
+    formatSelectionQuery,
+    buildContextMenuItems,
+    resolveContextMenuClick
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Gmail Quick Search - Date Macros
+ * {today}-style macros expanded to YYYY/MM/DD when a search is opened
+ */
+
+'use strict';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Name -> what an offset counts (e.g. {today-7} is a week ago)
+const DATE_MACROS = {
+  today: 'days',
+  yesterday: 'days',
+  tomorrow: 'days',
+  startOfWeek: 'weeks',
+  startOfMonth: 'months',
+  startOfYear: 'years'
+};
+WEEKDAYS.forEach((day) => {
+  DATE_MACROS['last' + day] = 'weeks';
+});
+
+// {name} or {name+N}/{name-N}, but not a {{template placeholder}}
+const DATE_MACRO_PATTERN = new RegExp(
+  '(?<!\\{)\\{(' + Object.keys(DATE_MACROS).join('|') + ')([+-]\\d{1,3})?\\}(?!\\})',
+  'g'
+);
+
+/**
+ * First day of the week for a locale (0 = Sunday), Monday when unknown
+ */
+function getFirstDayOfWeek(locale) {
+  try {
+    const info = new Intl.Locale(locale || (typeof navigator !== 'undefined' ? navigator.language : 'en-GB'));
+    const weekInfo = typeof info.getWeekInfo === 'function' ? info.getWeekInfo() : info.weekInfo;
+    if (weekInfo && Number.isInteger(weekInfo.firstDay)) {
+      return weekInfo.firstDay % 7;
+    }
+  } catch (error) {
+    // Fall through to the default
+  }
+  return 1;
+}
+
+/**
+ * Whether a query uses any date macros
+ */
+function hasDateMacros(query) {
+  return new RegExp(DATE_MACRO_PATTERN.source).test(query || '');
+}
+
+/**
+ * Formats a date the way after:/before: expect, in local time
+ */
+function formatGmailDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())}`;
+}
+
+/**
+ * Works out the local date a macro stands for
+ */
+function resolveDateMacro(name, offset, now, firstDayOfWeek) {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  const day = now.getDate();
+  const weekday = now.getDay();
+
+  switch (name) {
+    case 'today':
+      return new Date(year, month, day + offset);
+    case 'yesterday':
+      return new Date(year, month, day - 1 + offset);
+    case 'tomorrow':
+      return new Date(year, month, day + 1 + offset);
+    case 'startOfWeek':
+      return new Date(year, month, day - ((weekday - firstDayOfWeek + 7) % 7) + offset * 7);
+    case 'startOfMonth':
+      return new Date(year, month + offset, 1);
+    case 'startOfYear':
+      return new Date(year + offset, 0, 1);
+    default: {
+      // lastMonday…lastSunday: the most recent one before today
+      const target = WEEKDAYS.indexOf(name.slice(4));
+      const back = (weekday - target + 7) % 7 || 7;
+      return new Date(year, month, day - back + offset * 7);
+    }
+  }
+}
+
+/**
+ * Replaces every date macro in a query with its date
+ */
+function expandDateMacros(query, now = new Date(), firstDayOfWeek = getFirstDayOfWeek()) {
+  return query.replace(DATE_MACRO_PATTERN, (macro, name, offset) =>
+    formatGmailDate(resolveDateMacro(name, offset ? parseInt(offset, 10) : 0, now, firstDayOfWeek))
+  );
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DATE_MACROS,
+    getFirstDayOfWeek,
+    hasDateMacros,
+    formatGmailDate,
+    resolveDateMacro,
+    expandDateMacros
+  };
+}
@@ -0,0 +1,284 @@
+/**
+ * Gmail Quick Search - Gmail Panel
+ * Saved Searches panel inside Gmail's left navigation, in a Shadow DOM so
+ * Gmail's styles and ours stay apart
+ */
+
+'use strict';
+
+const PANEL_HOST_ID = 'gmail-quick-search-panel';
+const PANEL_REMOUNT_DELAY_MS = 100;
+
+// Where the panel goes, tried in order: after Gmail's main label list, or
+// at the end of the navigation when that list can't be found
+const NAV_LABEL_LIST_SELECTOR = 'div[role="navigation"] .TK';
+const NAV_SELECTOR = 'div[role="navigation"]';
+
+const PANEL_STYLES = `
+  :host {
+    display: block;
+    margin: 8px 0;
+    font-family: 'Google Sans', Roboto, Arial, sans-serif;
+    font-size: 14px;
+    color: #202124;
+  }
+  .panel-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    width: 100%;
+    padding: 4px 16px 4px 26px;
+    background: none;
+    border: none;
+    font: inherit;
+    font-weight: 500;
+    color: inherit;
+    text-align: left;
+    cursor: pointer;
+  }
+  .panel-header::before {
+    content: '▾';
+    transition: transform 0.2s;
+  }
+  .collapsed .panel-header::before {
+    transform: rotate(-90deg);
+  }
+  .collapsed .panel-list {
+    display: none;
+  }
+  .panel-list {
+    margin: 0;
+    padding: 0;
+    list-style: none;
+  }
+  .panel-group {
+    padding: 8px 16px 2px 26px;
+    font-size: 11px;
+    font-weight: 500;
+    letter-spacing: 0.5px;
+    text-transform: uppercase;
+    color: #5f6368;
+  }
+  .panel-item {
+    display: block;
+    width: 100%;
+    padding: 4px 16px 4px 42px;
+    background: none;
+    border: none;
+    border-radius: 0 16px 16px 0;
+    font: inherit;
+    color: inherit;
+    text-align: left;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    cursor: pointer;
+  }
+  .panel-item:hover,
+  .panel-item:focus-visible {
+    background: rgba(32, 33, 36, 0.06);
+    outline: none;
+  }
+  .panel-item.active {
+    background: #d3e3fd;
+    font-weight: 700;
+  }
+  .panel-item:disabled {
+    color: #80868b;
+    cursor: default;
+  }
+`;
+
+/**
+ * Compares queries the way Gmail would: case and spacing don't matter
+ */
+function normalizeQuery(query) {
+  return query.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * The search whose query Gmail is showing now, if any
+ */
+function findActiveSearch(searches, hash, now = new Date()) {
+  const current = parseSearchHash(hash);
+  if (current === null) return null;
+
+  const wanted = normalizeQuery(current);
+  return searches.find(search =>
+    !isTemplate(search.q) && normalizeQuery(expandDateMacros(search.q, now)) === wanted
+  ) || null;
+}
+
+/**
+ * Where a click on the panel should go. Searches stay in this mailbox
+ * unless they name another account. Only the URL is read, never the page
+ * title (it holds the signed-in address), so an account given by address
+ * is opened by URL. Returns { hash } or { url }.
+ */
+function panelSearchTarget(query, search, pageUrl) {
+  const own = normalizeAccount(search.account);
+  const here = parseGmailTab({ url: pageUrl });
+
+  if (own === null || accountMatches(here, own)) {
+    return { hash: '#search/' + encodeURIComponent(expandDateMacros(query)) };
+  }
+
+  return { url: buildSearchUrl(query, own) };
+}
+
+/**
+ * Finds the element the panel goes after (or into), or null while Gmail
+ * is still loading
+ */
+function findPanelAnchor(doc) {
+  const labelList = doc.querySelector(NAV_LABEL_LIST_SELECTOR);
+  if (labelList) return { after: labelList };
+
+  const nav = doc.querySelector(NAV_SELECTOR);
+  return nav ? { into: nav } : null;
+}
+
+/**
+ * Puts the panel's host element into Gmail's navigation, reusing it if it
+ * is still there. Returns the host, or null when the navigation isn't ready.
+ */
+function mountPanel(doc) {
+  const existing = doc.getElementById(PANEL_HOST_ID);
+  if (existing) return existing;
+
+  const anchor = findPanelAnchor(doc);
+  if (!anchor) return null;
+
+  const host = doc.createElement('div');
+  host.id = PANEL_HOST_ID;
+  // Open mode, so the panel can be inspected
+  const shadow = host.attachShadow({ mode: 'open' });
+
+  const style = doc.createElement('style');
+  style.textContent = PANEL_STYLES;
+  shadow.appendChild(style);
+
+  const panel = doc.createElement('section');
+  panel.className = 'panel';
+  panel.setAttribute('aria-label', 'Saved searches');
+  shadow.appendChild(panel);
+
+  if (anchor.after) {
+    anchor.after.after(host);
+  } else {
+    anchor.into.appendChild(host);
+  }
+
+  return host;
+}
+
+/**
+ * Takes the panel out of the page
+ */
+function unmountPanel(doc) {
+  const host = doc.getElementById(PANEL_HOST_ID);
+  if (host) host.remove();
+}
+
+/**
+ * Draws the panel. view is { searches, groups, activeSearch, collapsed,
+ * queries } where queries[i] is what searches[i] runs (null when a template
+ * has no values yet). Hidden searches are left out. Clicks call
+ * onOpen(search, query) or onToggle().
+ */
+function renderPanel(host, view, { onOpen, onToggle }) {
+  const doc = host.ownerDocument;
+  const panel = host.shadowRoot.querySelector('.panel');
+  panel.innerHTML = '';
+  panel.classList.toggle('collapsed', view.collapsed);
+
+  const header = doc.createElement('button');
+  header.className = 'panel-header';
+  header.textContent = 'Saved Searches';
+  header.setAttribute('aria-expanded', String(!view.collapsed));
+  header.addEventListener('click', onToggle);
+  panel.appendChild(header);
+
+  const list = doc.createElement('ul');
+  list.className = 'panel-list';
+
+  // Indexes stay those of view.searches, so queries still line up
+  const sections = groupSearches(view.groups, view.searches)
+    .map(section => ({ ...section, items: section.items.filter(({ search }) => !isHidden(search)) }))
+    .filter(section => section.items.length > 0);
+  sections.forEach(({ group, items }) => {
+    // A single group needs no heading
+    if (sections.length > 1) {
+      const heading = doc.createElement('li');
+      heading.className = 'panel-group';
+      heading.textContent = group.name;
+      list.appendChild(heading);
+    }
+
+    items.forEach(({ search, index }) => {
+      const li = doc.createElement('li');
+      const item = doc.createElement('button');
+      item.className = 'panel-item';
+      item.dataset.index = String(index);
+      // Security: use textContent
+      item.textContent = search.name;
+
+      if (view.queries[index] === null) {
+        item.disabled = true;
+        item.title = 'Open this template from the toolbar popup first to give it values';
+      } else {
+        item.title = search.q;
+      }
+
+      if (search === view.activeSearch) {
+        item.classList.add('active');
+        item.setAttribute('aria-current', 'page');
+      }
+
+      li.appendChild(item);
+      list.appendChild(li);
+    });
+  });
+
+  // One listener for every row
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.panel-item');
+    if (!item || item.disabled) return;
+
+    const index = parseInt(item.dataset.index, 10);
+    onOpen(view.searches[index], view.queries[index]);
+  });
+
+  panel.appendChild(list);
+}
+
+/**
+ * Calls callback once things settle after Gmail changes its page, so a
+ * panel wiped out by a re-render can be put back. Returns the observer.
+ */
+function watchForRerenders(doc, callback, delay = PANEL_REMOUNT_DELAY_MS) {
+  let timer = null;
+
+  const observer = new MutationObserver(() => {
+    clearTimeout(timer);
+    timer = setTimeout(callback, delay);
+  });
+  observer.observe(doc.body, { childList: true, subtree: true });
+
+  return observer;
+}
+
+// Export for tests (the content script loads this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PANEL_HOST_ID,
+    normalizeQuery,
+    findActiveSearch,
+    panelSearchTarget,
+    findPanelAnchor,
+    mountPanel,
+    unmountPanel,
+    renderPanel,
+    watchForRerenders
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Gmail Quick Search - Gmail View
+ * Reads the search behind the Gmail page open in a tab, so it can be saved
+ */
+
+'use strict';
+
+// Built-in Gmail views and the query that shows the same mail
+const GMAIL_VIEW_QUERIES = {
+  inbox: 'in:inbox',
+  starred: 'is:starred',
+  snoozed: 'is:snoozed',
+  imp: 'is:important',
+  sent: 'in:sent',
+  scheduled: 'in:scheduled',
+  drafts: 'in:drafts',
+  spam: 'in:spam',
+  trash: 'in:trash'
+};
+
+// The "Search" dropdown of Gmail's advanced search form
+const ADVANCED_SEARCH_SUBSETS = {
+  inbox: 'in:inbox',
+  starred: 'is:starred',
+  sent: 'in:sent',
+  drafts: 'in:drafts',
+  chats: 'is:chat',
+  spam: 'in:spam',
+  trash: 'in:trash',
+  unread: 'is:unread',
+  read: 'is:read'
+};
+
+// The "Date within" dropdown: 1d, 3d, 1w, 2w, 1m, 2m, 6m, 1y
+const WITHIN_PATTERN = /^(\d+)([dwmy])$/;
+const ADVANCED_DATE_PATTERN = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/;
+
+const SUGGESTED_NAME_LENGTH = 50;
+
+/**
+ * Decodes one part of a Gmail hash, or null when it is malformed
+ */
+function decodeHashPart(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The after:/before: dates for "within <span> of <date>" (YYYY/MM/DD)
+ */
+function withinDates(within, date) {
+  const span = WITHIN_PATTERN.exec(within || '');
+  const day = ADVANCED_DATE_PATTERN.exec(date || '');
+  if (!span || !day) return null;
+
+  const amount = parseInt(span[1], 10);
+  const shift = (sign) => {
+    const moved = new Date(parseInt(day[1], 10), parseInt(day[2], 10) - 1, parseInt(day[3], 10));
+    if (span[2] === 'd') moved.setDate(moved.getDate() + sign * amount);
+    if (span[2] === 'w') moved.setDate(moved.getDate() + sign * amount * 7);
+    if (span[2] === 'm') moved.setMonth(moved.getMonth() + sign * amount);
+    if (span[2] === 'y') moved.setFullYear(moved.getFullYear() + sign * amount);
+    return formatGmailDate(moved);
+  };
+
+  return { after: shift(-1), before: shift(1) };
+}
+
+/**
+ * Builds a query from the fields of Gmail's advanced search form, as found
+ * in an #advanced-search/ hash
+ */
+function queryFromAdvancedSearch(params) {
+  // A refined search keeps what was typed in the search box
+  const typed = (params.get('query') || '').trim();
+  if (typed) return typed;
+
+  const fields = emptyBuilderFields();
+  fields.from = params.get('from') || '';
+  fields.to = params.get('to') || '';
+  fields.subject = params.get('subject') || '';
+  fields.hasWords = params.get('has') || '';
+  fields.doesntHave = params.get('hasnot') || '';
+  fields.hasAttachment = params.get('hasattachment') === 'true';
+
+  if (/^\d+$/.test(params.get('size') || '')) {
+    const unit = { s_smb: 'M', s_skb: 'K' }[params.get('sizeunit')] || '';
+    fields.size = params.get('size') + unit;
+    fields.sizeOperator = params.get('sizeoperator') === 's_ss' ? 'smaller' : 'larger';
+  }
+
+  const parts = [buildQueryFromFields(fields)];
+
+  const dates = withinDates(params.get('within'), params.get('date'));
+  if (dates) parts.push(`after:${dates.after} before:${dates.before}`);
+
+  const subset = ADVANCED_SEARCH_SUBSETS[params.get('subset')];
+  if (subset) parts.push(subset);
+  if (params.get('excludechats') === 'true') parts.push('-in:chats');
+
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Reads the search a Gmail URL is showing. Returns { query, labelName }
+ * (labelName only for label views), or null when there is nothing to save.
+ */
+function queryFromGmailUrl(url) {
+  if (!parseGmailTab({ url })) return null;
+
+  const hashStart = url.indexOf('#');
+  const hash = hashStart === -1 ? '#inbox' : url.slice(hashStart);
+  let query = null;
+  let labelName;
+
+  if (hash.startsWith('#search/')) {
+    query = parseSearchHash(hash);
+  } else if (hash.startsWith('#advanced-search/')) {
+    query = queryFromAdvancedSearch(new URLSearchParams(hash.slice('#advanced-search/'.length)));
+  } else if (hash.startsWith('#label/')) {
+    // Nested labels are "Parent/Child", escaped as one part of the hash
+    labelName = decodeHashPart(hash.slice('#label/'.length).split('/')[0]);
+    if (labelName) query = 'label:' + labelName.trim().replace(/[\s/]+/g, '-');
+  } else if (hash.startsWith('#category/')) {
+    query = 'category:' + hash.slice('#category/'.length).split('/')[0];
+  } else {
+    query = GMAIL_VIEW_QUERIES[hash.slice(1).split('/')[0]] || null;
+  }
+
+  if (!query || !query.trim()) return null;
+
+  const view = { query: query.trim() };
+  if (labelName) view.labelName = labelName.trim();
+  return view;
+}
+
+/**
+ * Describes one top-level part of a query for a name, e.g. "from:boss"
+ * becomes "From boss" and "is:unread" becomes "Unread"
+ */
+function describeClause(node, query) {
+  const source = query.slice(node.start, node.end);
+  if (node.type !== 'operator' || node.value.type !== 'term') return source;
+
+  const value = node.value.value;
+  const capitalized = value.charAt(0).toUpperCase() + value.slice(1);
+
+  switch (node.name) {
+    case 'from': return `From ${value}`;
+    case 'to': return `To ${value}`;
+    case 'subject': return `"${value}"`;
+    case 'is':
+    case 'in':
+    case 'category':
+      return capitalized;
+    case 'label': return value;
+    case 'has': return value === 'attachment' ? 'With attachments' : source;
+    default: return source;
+  }
+}
+
+/**
+ * Suggests a name for a search saved from Gmail: the label's own name, or a
+ * short reading of the query. Only returns names that pass validation.
+ */
+function suggestSearchName(query, labelName) {
+  let name = labelName || '';
+
+  if (!name) {
+    const parsed = parseGmailQuery(query);
+    if (parsed.ok) {
+      const nodes = parsed.ast.type === 'and' && !parsed.ast.grouped ? parsed.ast.children : [parsed.ast];
+      name = nodes.map(node => describeClause(node, query)).join(' ');
+    } else {
+      name = query;
+    }
+  }
+
+  name = name.replace(/\s+/g, ' ').trim();
+  if (name.length > SUGGESTED_NAME_LENGTH) {
+    name = name.slice(0, SUGGESTED_NAME_LENGTH - 1).trim() + '…';
+  }
+
+  if (!name || !validateSearchName(name).valid) return 'Gmail Search';
+  return name;
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    queryFromAdvancedSearch,
+    queryFromGmailUrl,
+    suggestSearchName
+  };
+}
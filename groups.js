@@ -0,0 +1,169 @@
+/**
+ * Gmail Quick Search - Groups
+ * Named folders that saved searches belong to
+ */
+
+'use strict';
+
+const MAX_GROUPS = 20;
+const MAX_GROUP_NAME_LENGTH = 50;
+
+const DEFAULT_GROUP = { id: 'general', name: 'General' };
+
+/**
+ * Generates a reasonably unique id with the given prefix
+ */
+function generateId(prefix) {
+  return prefix + '-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Creates a new group object
+ */
+function createGroup(name) {
+  return { id: generateId('g'), name: name.trim() };
+}
+
+/**
+ * Makes sure there is at least one valid group and that every search
+ * belongs to an existing one. Searches without a group (data saved before
+ * groups existed) move into the first group.
+ * Returns new arrays and whether anything had to change.
+ */
+function normalizeGroups(groups, searches) {
+  let changed = false;
+  const seen = new Set();
+
+  const validGroups = (Array.isArray(groups) ? groups : []).filter((group) => {
+    const ok = group && typeof group.id === 'string' && typeof group.name === 'string' &&
+      group.name.trim().length > 0 && !seen.has(group.id);
+    if (ok) seen.add(group.id);
+    return ok;
+  }).map(group => ({ id: group.id, name: group.name }));
+
+  if (!Array.isArray(groups) || validGroups.length !== groups.length) {
+    changed = true;
+  }
+
+  if (validGroups.length === 0) {
+    validGroups.push({ ...DEFAULT_GROUP });
+    seen.add(DEFAULT_GROUP.id);
+    changed = true;
+  }
+
+  const fallbackId = validGroups[0].id;
+  const normalizedSearches = (searches || []).map((search) => {
+    if (seen.has(search.group)) return search;
+    changed = true;
+    return { ...search, group: fallbackId };
+  });
+
+  return { groups: validGroups, searches: normalizedSearches, changed };
+}
+
+/**
+ * Buckets searches by group, keeping each search's index in the full list
+ */
+function groupSearches(groups, searches) {
+  const sections = groups.map(group => ({ group, items: [] }));
+  const byId = new Map(sections.map(section => [section.group.id, section]));
+
+  searches.forEach((search, index) => {
+    const section = byId.get(search.group) || sections[0];
+    if (section) {
+      section.items.push({ search, index });
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Moves the search at fromIndex so it sits before the search currently at
+ * beforeIndex (searches.length appends), optionally into another group.
+ * Returns the new array and the search's new index.
+ */
+function moveSearch(searches, fromIndex, beforeIndex, groupId = null) {
+  const result = searches.slice();
+  const [search] = result.splice(fromIndex, 1);
+  const index = beforeIndex > fromIndex ? beforeIndex - 1 : beforeIndex;
+
+  result.splice(index, 0, groupId && groupId !== search.group ? { ...search, group: groupId } : search);
+  return { searches: result, index };
+}
+
+/**
+ * Moves a search one step up (-1) or down (+1) within its group, crossing
+ * into the neighbouring group at the edges. Returns null when it can't move.
+ */
+function stepSearch(groups, searches, index, direction) {
+  const sections = groupSearches(groups, searches);
+  const sectionIndex = sections.findIndex(section => section.items.some(item => item.index === index));
+  if (sectionIndex < 0) return null;
+
+  const items = sections[sectionIndex].items;
+  const position = items.findIndex(item => item.index === index);
+  const neighbour = items[position + direction];
+
+  if (neighbour) {
+    const beforeIndex = direction < 0 ? neighbour.index : neighbour.index + 1;
+    return moveSearch(searches, index, beforeIndex);
+  }
+
+  const adjacent = sections[sectionIndex + direction];
+  if (!adjacent) return null;
+
+  let beforeIndex = searches.length;
+  if (adjacent.items.length > 0) {
+    beforeIndex = direction < 0
+      ? adjacent.items[adjacent.items.length - 1].index + 1
+      : adjacent.items[0].index;
+  }
+
+  return moveSearch(searches, index, beforeIndex, adjacent.group.id);
+}
+
+/**
+ * Validates a group name against the other groups
+ */
+function validateGroupName(name, groups, excludeId = null) {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return { valid: false, error: 'Group name cannot be empty' };
+  }
+
+  const trimmed = name.trim();
+
+  if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+    return { valid: false, error: `Group name is too long (max ${MAX_GROUP_NAME_LENGTH} characters)` };
+  }
+
+  const unsafe = findUnsafeText(trimmed);
+  if (unsafe) {
+    return { valid: false, error: `Group name contains ${unsafe.reason}` };
+  }
+
+  const duplicate = (groups || []).find(group =>
+    group.id !== excludeId && group.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (duplicate) {
+    return { valid: false, error: `A group named "${duplicate.name}" already exists` };
+  }
+
+  return { valid: true };
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_GROUPS,
+    MAX_GROUP_NAME_LENGTH,
+    DEFAULT_GROUP,
+    generateId,
+    createGroup,
+    normalizeGroups,
+    groupSearches,
+    moveSearch,
+    stepSearch,
+    validateGroupName
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Gmail Quick Search - History
+ * Trash for deleted searches and snapshots of the whole collection, so
+ * deletions and bulk changes can be undone
+ */
+
+'use strict';
+
+// How long deleted searches stay in the trash (the trashRetentionDays setting)
+const TRASH_RETENTION_DAYS = [1, 7, 30, 90];
+const MAX_TRASH = 100;
+const MAX_SNAPSHOTS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Copies searches and groups so later edits can't reach the copy
+ */
+function cloneCollection(collection) {
+  return JSON.parse(JSON.stringify({ searches: collection.searches, groups: collection.groups }));
+}
+
+/**
+ * Puts deleted searches in the trash, newest first. removed is a list of
+ * { search, index } with the position each search had in the list.
+ */
+function trashSearches(trash, removed, now) {
+  const added = removed.map(({ search, index }) => ({ search: { ...search }, index, deletedAt: now }));
+  const addedIds = new Set(added.map(entry => entry.search.id));
+
+  // A search deleted again replaces its older trash entry
+  const kept = (trash || []).filter(entry => !addedIds.has(entry.search.id));
+  return added.concat(kept).slice(0, MAX_TRASH);
+}
+
+/**
+ * Drops trash entries older than the retention period, and anything that
+ * isn't a trash entry
+ */
+function purgeTrash(trash, retentionDays, now) {
+  const days = TRASH_RETENTION_DAYS.includes(retentionDays) ? retentionDays : 30;
+  const cutoff = now - days * DAY_MS;
+
+  return (Array.isArray(trash) ? trash : []).filter(entry =>
+    entry && entry.search && typeof entry.search.id === 'string' &&
+    typeof entry.deletedAt === 'number' && entry.deletedAt > cutoff
+  );
+}
+
+/**
+ * Marks searches that are coming back as just edited, so a sync doesn't
+ * delete them again for the deletion they are undoing
+ */
+function reviveSearches(searches, current, now) {
+  const currentIds = new Set(current.map(search => search.id));
+  return searches.map(search => (currentIds.has(search.id) ? search : { ...search, updatedAt: now }));
+}
+
+/**
+ * Moves searches from the trash back into the list, each at its old
+ * position. Searches whose group is gone go into the first group.
+ * Returns { ok, searches, trash, restored } or { ok: false, error }.
+ */
+function restoreFromTrash(trash, searchIds, searches, groups, now) {
+  const wanted = new Set(searchIds);
+  const entries = trash.filter(entry => wanted.has(entry.search.id));
+  const presentIds = new Set(searches.map(search => search.id));
+  const restorable = entries.filter(entry => !presentIds.has(entry.search.id));
+
+  if (searches.length + restorable.length > MAX_SEARCHES) {
+    return { ok: false, error: `Maximum ${MAX_SEARCHES} searches allowed` };
+  }
+
+  const groupIds = new Set(groups.map(group => group.id));
+  const result = searches.slice();
+  const restored = [];
+
+  restorable
+    .slice()
+    .sort((a, b) => a.index - b.index)
+    .forEach((entry) => {
+      const search = { ...entry.search, updatedAt: now };
+      if (!groupIds.has(search.group)) search.group = groups[0].id;
+
+      result.splice(Math.min(entry.index, result.length), 0, search);
+      restored.push(search);
+    });
+
+  return {
+    ok: true,
+    searches: result,
+    trash: trash.filter(entry => !wanted.has(entry.search.id)),
+    restored
+  };
+}
+
+/**
+ * Adds a snapshot of the collection, newest first, keeping the last
+ * MAX_SNAPSHOTS. Nothing is added when the newest snapshot already matches.
+ */
+function takeSnapshot(snapshots, collection, reason, now) {
+  const list = Array.isArray(snapshots) ? snapshots : [];
+  const copy = cloneCollection(collection);
+
+  const latest = list[0];
+  if (latest && JSON.stringify({ searches: latest.searches, groups: latest.groups }) === JSON.stringify(copy)) {
+    return list;
+  }
+
+  return [{ id: generateId('v'), at: now, reason, ...copy }].concat(list).slice(0, MAX_SNAPSHOTS);
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TRASH_RETENTION_DAYS,
+    MAX_TRASH,
+    MAX_SNAPSHOTS,
+    cloneCollection,
+    trashSearches,
+    purgeTrash,
+    reviveSearches,
+    restoreFromTrash,
+    takeSnapshot
+  };
+}
@@ -5,219 +5,236 @@
 
 'use strict';
 
-const STORAGE_KEY = 'gmail-saved-searches-v1';
-const MAX_SEARCHES = 50;
-const MAX_NAME_LENGTH = 100;
-const MAX_QUERY_LENGTH = 500;
-
-const DEFAULT_SEARCHES = [
-  { name: "Unread", q: "is:unread" },
-  { name: "Unread Archived", q: "is:unread -in:inbox" },
-  { name: "Needs Reply", q: "from:* has:nouserlabels -category:social -category:promotions -category:updates -category:forums -category:advertisements -category:reservations -category:purchases is:unread" },
-  { name: "Should Archive", q: "-has:nouserlabels in:inbox is:read -is:starred" },
-  { name: "Attachments", q: "has:attachment" },
-  { name: "Receipts", q: "category:purchases OR newer_than:1y subject:(receipt OR invoice)" },
-  { name: "Starred", q: "is:starred" },
-  { name: "Calendar", q: "-from:(me) subject:(\"invitation\" OR \"accepted\" OR \"rejected\" OR \"updated\" OR \"canceled event\" OR \"declined\" OR \"proposed\") when where calendar who organizer -Re" }
-];
+// How long the undo toast stays up
+const UNDO_TIMEOUT_MS = 10000;
 
 let currentSearches = [];
+let currentGroups = [];
+let currentSettings = { ...DEFAULT_SETTINGS };
+// How often and when each search was opened
+let currentUsage = {};
 let editingIndex = null;
+let draggedIndex = null;
+let pendingImport = null;
+// Which searches the list shows (see SEARCH_STATE_FILTERS)
+let stateFilter = 'all';
+// Ids of the searches ticked for a batch action
+let selectedIds = new Set();
+let queryMode = 'raw';
+// What the last delete, reset or edit changed, while its undo toast is up
+let pendingUndo = null;
+let undoTimer = null;
+// Synced changes that arrived while the list was busy, applied once it isn't
+let syncReloadPending = false;
+let batchInProgress = false;
+// Keys Chrome has assigned to each command, by command name
+let commandKeys = {};
 
 /**
- * Validates a string
- */
-function validateString(value, maxLength) {
-  if (!value || typeof value !== 'string') return false;
-  const trimmed = value.trim();
-  return trimmed.length > 0 && trimmed.length <= maxLength;
-}
-
-/**
- * Detects dangerous patterns in input
- * Security: Prevents code injection attempts
+ * Shows the modal
  */
-function containsDangerousPatterns(value) {
-  const dangerous = [
-    /<script/i,
-    /<iframe/i,
-    /<embed/i,
-    /<object/i,
-    /javascript:/i,
-    /data:/i,
-    /vbscript:/i,
-    /on\w+\s*=/i, // Event handlers like onclick=
-    /<img[^>]+src/i,
-    /eval\(/i,
-    /expression\(/i,
-  ];
-
-  for (const pattern of dangerous) {
-    if (pattern.test(value)) {
-      return true;
-    }
-  }
-
-  return false;
-}
+function showModal(title, search = null, index = null) {
+  const modal = document.getElementById('modal');
+  const modalTitle = document.getElementById('modalTitle');
+  const nameInput = document.getElementById('searchName');
+  const queryInput = document.getElementById('searchQuery');
+  const accountInput = document.getElementById('searchAccount');
+  const errorDiv = document.getElementById('modalError');
+  const nameValidation = document.getElementById('nameValidation');
+  const queryValidation = document.getElementById('queryValidation');
+  const accountValidation = document.getElementById('accountValidation');
+  const iconInput = document.getElementById('searchIcon');
+  const colorSelect = document.getElementById('searchColor');
+  const descriptionInput = document.getElementById('searchDescription');
+  const metadataValidation = document.getElementById('metadataValidation');
 
-/**
- * Validates Gmail query syntax
- * Basic validation to ensure it looks like a Gmail search
- */
-function validateGmailQuery(query) {
-  // Empty queries not allowed
-  if (!query || query.trim().length === 0) {
-    return { valid: false, error: 'Query cannot be empty' };
-  }
+  modalTitle.textContent = title;
+  errorDiv.style.display = 'none';
+  nameValidation.textContent = '';
+  queryValidation.textContent = '';
+  accountValidation.textContent = '';
+  metadataValidation.textContent = '';
+  renderQueryErrorContext('', null);
+  renderQueryPreview(null);
+  nameInput.className = 'form-input';
+  queryInput.className = 'form-input';
+  accountInput.className = 'form-input';
+  iconInput.className = 'form-input';
+  descriptionInput.className = 'form-input form-textarea';
 
-  // Check for dangerous patterns
-  if (containsDangerousPatterns(query)) {
-    return { valid: false, error: 'Query contains invalid characters or patterns' };
+  if (search) {
+    nameInput.value = search.name;
+    queryInput.value = search.q;
+    accountInput.value = search.account !== undefined && search.account !== null ? String(search.account) : '';
+    editingIndex = index;
+  } else {
+    nameInput.value = '';
+    queryInput.value = '';
+    accountInput.value = '';
+    editingIndex = null;
   }
 
-  // Common Gmail operators (not exhaustive, just common ones)
-  const validOperators = [
-    'from:', 'to:', 'subject:', 'label:', 'has:', 'is:', 'in:',
-    'cc:', 'bcc:', 'after:', 'before:', 'older:', 'newer:',
-    'category:', 'size:', 'larger:', 'smaller:', 'filename:',
-    'has:attachment', 'has:drive', 'has:document', 'has:spreadsheet',
-    'has:presentation', 'has:youtube', 'has:nouserlabels',
-    'is:unread', 'is:read', 'is:starred', 'is:important', 'is:chat',
-  ];
+  iconInput.value = search && search.icon ? search.icon : '';
+  descriptionInput.value = search && search.description ? search.description : '';
+  fillSelect(colorSelect, [['', 'None']].concat(
+    Object.keys(SEARCH_COLORS).map(key => [key, SEARCH_COLORS[key].label])
+  ), search && search.color ? search.color : '');
 
-  // Allow basic text search and operators
-  // Just warn about suspicious patterns, don't block everything
-  const hasOperator = validOperators.some(op => query.toLowerCase().includes(op));
-  const hasText = /[a-zA-Z0-9]/.test(query);
+  renderGroupOptions(search && search.group ? search.group : currentGroups[0].id);
+  refreshAccountOptions();
 
-  if (!hasOperator && !hasText) {
-    return { valid: false, error: 'Query must contain text or valid Gmail operators' };
-  }
+  // Open in the builder whenever the query can be shown there
+  writeBuilderFields(emptyBuilderFields());
+  setQueryMode('builder');
+  renderQueryLint(queryInput.value.trim());
 
-  // Check for SQL injection patterns (paranoid check)
-  const sqlPatterns = [
-    /union\s+select/i,
-    /drop\s+table/i,
-    /insert\s+into/i,
-    /delete\s+from/i,
-    /update\s+\w+\s+set/i,
-    /--/,
-    /;.*drop/i,
-  ];
+  modal.style.display = 'flex';
+  nameInput.focus();
+}
 
-  for (const pattern of sqlPatterns) {
-    if (pattern.test(query)) {
-      return { valid: false, error: 'Query contains invalid patterns' };
-    }
-  }
+/**
+ * Fills the group picker in the modal
+ */
+function renderGroupOptions(selectedId) {
+  const groupSelect = document.getElementById('searchGroup');
+  groupSelect.innerHTML = '';
+
+  currentGroups.forEach((group) => {
+    const option = document.createElement('option');
+    option.value = group.id;
+    option.textContent = group.name;
+    groupSelect.appendChild(option);
+  });
 
-  return { valid: true };
+  groupSelect.value = selectedId;
 }
 
 /**
- * Checks for duplicate searches
+ * Fills the category and is: flag choices in the query builder
  */
-function checkDuplicate(name, query, excludeIndex = null) {
-  for (let i = 0; i < currentSearches.length; i++) {
-    if (i === excludeIndex) continue;
-
-    const search = currentSearches[i];
+function renderBuilderChoices() {
+  const categorySelect = document.getElementById('builderCategory');
+  const anyOption = document.createElement('option');
+  anyOption.value = '';
+  anyOption.textContent = 'Any';
+  categorySelect.appendChild(anyOption);
+
+  BUILDER_CATEGORIES.forEach((category) => {
+    const option = document.createElement('option');
+    option.value = category;
+    option.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+    categorySelect.appendChild(option);
+  });
 
-    // Exact name match
-    if (search.name.toLowerCase() === name.toLowerCase()) {
-      return { isDuplicate: true, type: 'name', message: `A search named "${search.name}" already exists` };
-    }
+  const flagsContainer = document.getElementById('builderFlags');
+  BUILDER_FLAGS.forEach((flag) => {
+    const label = document.createElement('label');
+    label.className = 'builder-checkbox';
 
-    // Exact query match
-    if (search.q === query) {
-      return { isDuplicate: true, type: 'query', message: `This query already exists as "${search.name}"` };
-    }
-  }
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'builder-flag';
+    checkbox.value = flag;
 
-  return { isDuplicate: false };
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` is:${flag}`));
+    flagsContainer.appendChild(label);
+  });
 }
 
 /**
- * Validates search name
+ * Reads the query builder's fields
  */
-function validateSearchName(name) {
-  // Check for dangerous patterns
-  if (containsDangerousPatterns(name)) {
-    return { valid: false, error: 'Name contains invalid characters or patterns' };
-  }
-
-  // Check for suspicious characters
-  if (/<|>|{|}|\$|`/.test(name)) {
-    return { valid: false, error: 'Name contains invalid special characters' };
-  }
-
-  return { valid: true };
+function readBuilderFields() {
+  const value = id => document.getElementById(id).value;
+
+  return {
+    from: value('builderFrom'),
+    to: value('builderTo'),
+    subject: value('builderSubject'),
+    hasWords: value('builderHasWords'),
+    doesntHave: value('builderDoesntHave'),
+    label: value('builderLabel'),
+    category: value('builderCategory'),
+    hasAttachment: document.getElementById('builderAttachment').checked,
+    sizeOperator: value('builderSizeOperator'),
+    size: value('builderSize'),
+    after: value('builderAfter'),
+    before: value('builderBefore'),
+    flags: Array.from(document.querySelectorAll('.builder-flag'))
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.value)
+  };
 }
 
 /**
- * Loads searches from storage
+ * Puts builder fields into the form
  */
-async function loadSearches() {
-  try {
-    const result = await chrome.storage.local.get([STORAGE_KEY]);
-    const searches = result[STORAGE_KEY];
-
-    if (!searches || !Array.isArray(searches) || searches.length === 0) {
-      return DEFAULT_SEARCHES.slice();
-    }
-
-    return searches;
-  } catch (error) {
-    console.error('[Gmail Quick Search] Error loading searches:', error);
-    return DEFAULT_SEARCHES.slice();
-  }
+function writeBuilderFields(fields) {
+  document.getElementById('builderFrom').value = fields.from;
+  document.getElementById('builderTo').value = fields.to;
+  document.getElementById('builderSubject').value = fields.subject;
+  document.getElementById('builderHasWords').value = fields.hasWords;
+  document.getElementById('builderDoesntHave').value = fields.doesntHave;
+  document.getElementById('builderLabel').value = fields.label;
+  document.getElementById('builderCategory').value = fields.category;
+  document.getElementById('builderAttachment').checked = fields.hasAttachment;
+  document.getElementById('builderSizeOperator').value = fields.sizeOperator;
+  document.getElementById('builderSize').value = fields.size;
+  document.getElementById('builderAfter').value = fields.after;
+  document.getElementById('builderBefore').value = fields.before;
+  document.querySelectorAll('.builder-flag').forEach((checkbox) => {
+    checkbox.checked = fields.flags.includes(checkbox.value);
+  });
 }
 
 /**
- * Saves searches to storage
+ * Switches the query editor between the builder and the raw input.
+ * Stays in raw mode when the current query can't be shown as fields.
  */
-async function saveSearches(searches) {
-  try {
-    await chrome.storage.local.set({ [STORAGE_KEY]: searches });
-    return true;
-  } catch (error) {
-    console.error('[Gmail Quick Search] Error saving searches:', error);
-    return false;
+function setQueryMode(mode) {
+  const queryInput = document.getElementById('searchQuery');
+  const notice = document.getElementById('builderNotice');
+  let useBuilder = mode === 'builder';
+
+  notice.style.display = 'none';
+
+  if (useBuilder && queryInput.value.trim()) {
+    const result = parseQueryToFields(queryInput.value.trim());
+    if (result.ok) {
+      writeBuilderFields(result.fields);
+    } else {
+      useBuilder = false;
+      notice.textContent = `This query is too complex for the builder (${result.reason}), so it is shown as raw text.`;
+      notice.style.display = 'block';
+    }
   }
+
+  queryMode = useBuilder ? 'builder' : 'raw';
+  queryInput.readOnly = useBuilder;
+  document.getElementById('queryBuilder').style.display = useBuilder ? 'grid' : 'none';
+  document.getElementById('queryModeBuilder').setAttribute('aria-pressed', String(useBuilder));
+  document.getElementById('queryModeRaw').setAttribute('aria-pressed', String(!useBuilder));
 }
 
 /**
- * Shows the modal
+ * Regenerates the query from the builder fields as they change
  */
-function showModal(title, search = null, index = null) {
-  const modal = document.getElementById('modal');
-  const modalTitle = document.getElementById('modalTitle');
-  const nameInput = document.getElementById('searchName');
+function updateQueryFromBuilder() {
   const queryInput = document.getElementById('searchQuery');
-  const errorDiv = document.getElementById('modalError');
-  const nameValidation = document.getElementById('nameValidation');
-  const queryValidation = document.getElementById('queryValidation');
-
-  modalTitle.textContent = title;
-  errorDiv.style.display = 'none';
-  nameValidation.textContent = '';
-  queryValidation.textContent = '';
-  nameInput.className = 'form-input';
-  queryInput.className = 'form-input';
+  const fields = readBuilderFields();
+  const validation = validateBuilderFields(fields);
 
-  if (search) {
-    nameInput.value = search.name;
-    queryInput.value = search.q;
-    editingIndex = index;
-  } else {
-    nameInput.value = '';
-    queryInput.value = '';
-    editingIndex = null;
+  if (!validation.valid) {
+    const queryValidation = document.getElementById('queryValidation');
+    queryInput.className = 'form-input invalid';
+    queryValidation.textContent = `⚠️ ${validation.error}`;
+    queryValidation.className = 'validation-indicator invalid';
+    return;
   }
 
-  modal.style.display = 'flex';
-  nameInput.focus();
+  queryInput.value = buildQueryFromFields(fields);
+  validateQueryInput();
 }
 
 /**
@@ -253,7 +270,7 @@ function validateNameInput() {
   }
 
   // Duplicate check
-  const duplicateCheck = checkDuplicate(name, '', editingIndex);
+  const duplicateCheck = checkDuplicate(currentSearches, name, '', editingIndex);
   if (duplicateCheck.isDuplicate && duplicateCheck.type === 'name') {
     nameInput.className = 'form-input invalid';
     nameValidation.textContent = `⚠️ ${duplicateCheck.message}`;
@@ -267,13 +284,116 @@ function validateNameInput() {
   nameValidation.className = 'validation-indicator valid';
 }
 
+/**
+ * Shows the query with the part a syntax error refers to highlighted
+ */
+function renderQueryErrorContext(query, position) {
+  const container = document.getElementById('queryErrorContext');
+  container.innerHTML = '';
+
+  if (!position) {
+    container.style.display = 'none';
+    return;
+  }
+
+  const end = Math.max(position.end, position.start + 1);
+  const mark = document.createElement('mark');
+  // An error at the very end (e.g. a missing ")") gets a visible marker
+  mark.textContent = query.slice(position.start, end) || ' ';
+
+  container.appendChild(document.createTextNode(query.slice(0, position.start)));
+  container.appendChild(mark);
+  container.appendChild(document.createTextNode(query.slice(end)));
+  container.style.display = 'block';
+}
+
+/**
+ * Shows what a query with date macros will search for today (or hides it)
+ */
+function renderQueryPreview(expanded) {
+  const preview = document.getElementById('queryPreview');
+  preview.textContent = expanded ? `Searches today for: ${expanded}` : '';
+  preview.style.display = expanded ? 'block' : 'none';
+}
+
+/**
+ * Lists what the linter found in the query under the validation message,
+ * each with its fix as a button. These are only advice: none of them stop
+ * the search from being saved.
+ */
+function renderQueryLint(query) {
+  const issues = query ? lintQuery(query) : [];
+  if (issues.length === 0) return;
+
+  const container = document.createElement('div');
+  container.className = 'query-lint';
+  document.getElementById('queryValidation').appendChild(container);
+
+  issues.forEach((issue) => {
+    const row = document.createElement('div');
+    row.className = `query-lint-item ${issue.severity}`;
+
+    const severity = document.createElement('span');
+    severity.className = 'query-lint-severity';
+    severity.textContent = issue.severity;
+    severity.title = LINT_SEVERITIES[issue.severity];
+
+    const message = document.createElement('span');
+    message.className = 'query-lint-message';
+    // Security: use textContent
+    message.textContent = issue.message;
+
+    row.appendChild(severity);
+    row.appendChild(message);
+
+    if (issue.fix) {
+      const fixBtn = document.createElement('button');
+      fixBtn.type = 'button';
+      fixBtn.className = 'manage-item-btn';
+      fixBtn.textContent = issue.fix.label;
+      fixBtn.addEventListener('click', () => {
+        applyQueryFix(query, issue);
+      });
+      row.appendChild(fixBtn);
+    }
+
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Applies a linter fix to the query in the modal
+ */
+function applyQueryFix(query, issue) {
+  const queryInput = document.getElementById('searchQuery');
+  queryInput.value = applyLintFix(query, issue);
+
+  // The builder shows the fixed query when it can
+  if (queryMode === 'builder') setQueryMode('builder');
+  validateQueryInput();
+  announce(`Query changed to ${queryInput.value}`);
+}
+
 /**
  * Validates query input in real-time
  */
 function validateQueryInput() {
+  const q = document.getElementById('searchQuery').value.trim();
+
+  showQueryValidation(q);
+  // Linter advice goes below the message, so errors come first
+  renderQueryLint(q.length <= MAX_QUERY_LENGTH ? q : '');
+}
+
+/**
+ * Shows whether the query can be saved, with the error or warning if not
+ */
+function showQueryValidation(q) {
   const queryInput = document.getElementById('searchQuery');
   const queryValidation = document.getElementById('queryValidation');
-  const q = queryInput.value.trim();
+
+  renderQueryErrorContext(q, null);
+  renderQueryPreview(null);
 
   if (q.length === 0) {
     queryInput.className = 'form-input';
@@ -296,11 +416,12 @@ function validateQueryInput() {
     queryInput.className = 'form-input invalid';
     queryValidation.textContent = `⚠️ ${validation.error}`;
     queryValidation.className = 'validation-indicator invalid';
+    renderQueryErrorContext(q, validation.position);
     return;
   }
 
   // Duplicate check
-  const duplicateCheck = checkDuplicate('', q, editingIndex);
+  const duplicateCheck = checkDuplicate(currentSearches, '', q, editingIndex);
   if (duplicateCheck.isDuplicate && duplicateCheck.type === 'query') {
     queryInput.className = 'form-input invalid';
     queryValidation.textContent = `⚠️ ${duplicateCheck.message}`;
@@ -308,208 +429,1976 @@ function validateQueryInput() {
     return;
   }
 
+  // Saves, but probably isn't what was meant
+  if (validation.warning) {
+    queryInput.className = 'form-input';
+    queryValidation.textContent = `⚠️ ${validation.warning}`;
+    queryValidation.className = 'validation-indicator warning';
+    renderQueryErrorContext(q, validation.position);
+    renderQueryPreview(hasDateMacros(q) ? expandDateMacros(q) : null);
+    return;
+  }
+
   // Valid
   queryInput.className = 'form-input valid';
-  queryValidation.textContent = '✓ Valid Gmail query';
+  queryValidation.textContent = isTemplate(q)
+    ? `✓ Valid template (asks for: ${getPlaceholders(q).join(', ')})`
+    : '✓ Valid Gmail query';
+  renderQueryPreview(hasDateMacros(q) ? expandDateMacros(q) : null);
   queryValidation.className = 'validation-indicator valid';
 }
 
 /**
- * Hides the modal
+ * Validates account input in real-time
  */
-function hideModal() {
-  const modal = document.getElementById('modal');
-  modal.style.display = 'none';
-  editingIndex = null;
+function validateAccountInput() {
+  const accountInput = document.getElementById('searchAccount');
+  const accountValidation = document.getElementById('accountValidation');
+  const account = accountInput.value.trim();
+
+  if (account.length === 0) {
+    accountInput.className = 'form-input';
+    accountValidation.textContent = 'Uses the default account';
+    accountValidation.className = 'validation-indicator';
+    return;
+  }
+
+  const validation = validateAccount(account);
+  if (!validation.valid) {
+    accountInput.className = 'form-input invalid';
+    accountValidation.textContent = `⚠️ ${validation.error}`;
+    accountValidation.className = 'validation-indicator invalid';
+    return;
+  }
+
+  accountInput.className = 'form-input valid';
+  accountValidation.textContent = '✓ Valid account';
+  accountValidation.className = 'validation-indicator valid';
 }
 
 /**
- * Shows error in modal
+ * Reads the icon, colour and description fields of the modal
  */
-function showModalError(message) {
-  const errorDiv = document.getElementById('modalError');
-  errorDiv.textContent = message;
-  errorDiv.style.display = 'block';
+function readMetadataFields() {
+  return {
+    icon: document.getElementById('searchIcon').value.trim(),
+    color: document.getElementById('searchColor').value,
+    description: document.getElementById('searchDescription').value.trim()
+  };
 }
 
 /**
- * Saves the current modal data
+ * Validates the icon and description inputs in real-time
  */
-async function saveModal() {
-  const nameInput = document.getElementById('searchName');
-  const queryInput = document.getElementById('searchQuery');
-
-  const name = nameInput.value.trim();
-  const q = queryInput.value.trim();
+function validateMetadataInput() {
+  const iconInput = document.getElementById('searchIcon');
+  const descriptionInput = document.getElementById('searchDescription');
+  const metadataValidation = document.getElementById('metadataValidation');
+
+  const validation = validateSearchMetadata(readMetadataFields());
+  iconInput.className = validation.field === 'icon' ? 'form-input invalid' : 'form-input';
+  descriptionInput.className = validation.field === 'description'
+    ? 'form-input form-textarea invalid'
+    : 'form-input form-textarea';
+
+  metadataValidation.textContent = validation.valid ? '' : `⚠️ ${validation.error}`;
+  metadataValidation.className = validation.valid ? 'validation-indicator' : 'validation-indicator invalid';
+}
 
-  // Step 1: Basic length validation
-  if (!validateString(name, MAX_NAME_LENGTH)) {
-    showModalError('Invalid search name (1-100 characters required)');
-    return;
+/**
+ * Formats a detected account for display
+ */
+function describeAccount(info) {
+  if (info.index !== null && info.email) {
+    return `${info.email} (u/${info.index})`;
   }
+  return info.email || `u/${info.index}`;
+}
 
-  if (!validateString(q, MAX_QUERY_LENGTH)) {
-    showModalError('Invalid query (1-500 characters required)');
-    return;
-  }
+/**
+ * Fills the account suggestions from accounts open in Gmail tabs
+ */
+async function refreshAccountOptions() {
+  const datalist = document.getElementById('accountOptions');
 
-  // Step 2: Security validation for name
-  const nameValidation = validateSearchName(name);
-  if (!nameValidation.valid) {
-    showModalError(`Name validation failed: ${nameValidation.error}`);
-    return;
+  let accounts = [];
+  try {
+    accounts = detectOpenAccounts(await chrome.tabs.query({ url: GMAIL_MAIL_URL + '*' }));
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error detecting accounts:', error);
   }
 
-  // Step 3: Security validation for query
-  const queryValidation = validateGmailQuery(q);
-  if (!queryValidation.valid) {
-    showModalError(`Query validation failed: ${queryValidation.error}`);
-    return;
-  }
+  datalist.innerHTML = '';
+  accounts.forEach((info) => {
+    const option = document.createElement('option');
+    option.value = info.email || String(info.index);
+    option.label = describeAccount(info);
+    datalist.appendChild(option);
+  });
 
-  // Step 4: Check for duplicates
-  const duplicateCheck = checkDuplicate(name, q, editingIndex);
-  if (duplicateCheck.isDuplicate) {
-    const proceed = confirm(`⚠️ Warning: ${duplicateCheck.message}\n\nDo you want to continue anyway?`);
-    if (!proceed) {
-      return;
-    }
-  }
+  const detected = document.getElementById('detectedAccounts');
+  detected.textContent = accounts.length > 0
+    ? `Open in Gmail: ${accounts.map(describeAccount).join(', ')}`
+    : 'No Gmail accounts open right now';
+}
 
-  // Step 5: Check max searches limit
-  if (editingIndex === null && currentSearches.length >= MAX_SEARCHES) {
-    showModalError(`Maximum ${MAX_SEARCHES} searches allowed`);
-    return;
-  }
+/**
+ * Renders the settings section
+ */
+function renderSettings() {
+  const defaultAccountInput = document.getElementById('defaultAccount');
+  defaultAccountInput.value = String(currentSettings.defaultAccount);
+  defaultAccountInput.className = 'form-input';
+  document.getElementById('defaultAccountValidation').textContent = '';
 
-  // Step 6: Save
-  if (editingIndex !== null) {
-    // Edit existing
-    currentSearches[editingIndex] = { name, q };
-  } else {
-    // Add new
-    currentSearches.push({ name, q });
-  }
+  fillSelect(document.getElementById('openIn'), Object.entries(OPEN_MODES), currentSettings.openIn);
+  document.getElementById('gmailPanel').checked = currentSettings.gmailPanel;
 
-  const saved = await saveSearches(currentSearches);
+  document.getElementById('syncEnabled').checked = currentSettings.syncEnabled;
+  renderSyncStatus();
+  renderCountSettings();
+  renderContextMenuSettings();
+
+  document.getElementById('showRecent').checked = currentSettings.showRecent;
+  fillSelect(document.getElementById('pinnedStyle'), Object.entries(PINNED_STYLES), currentSettings.pinnedStyle);
+
+  const retentionChoices = TRASH_RETENTION_DAYS.map(days => [String(days), days === 1 ? '1 day' : `${days} days`]);
+  fillSelect(document.getElementById('trashRetentionDays'), retentionChoices, String(currentSettings.trashRetentionDays));
+}
+
+/**
+ * Saves where searches open
+ */
+async function saveOpenIn(e) {
+  const openIn = e.target.value;
+
+  const saved = await saveSettings({ openIn });
   if (!saved) {
-    showModalError('Failed to save. Please try again.');
+    alert('Failed to save the setting. Please try again.');
+    e.target.value = currentSettings.openIn;
     return;
   }
 
-  hideModal();
-  render();
+  currentSettings.openIn = openIn;
+  announce(`Searches open in: ${OPEN_MODES[openIn]}`);
 }
 
 /**
- * Deletes a search
+ * Turns the panel in Gmail on or off; open Gmail tabs follow right away
  */
-async function deleteSearch(index) {
-  const search = currentSearches[index];
-  const confirmed = confirm(`Delete "${search.name}"?`);
+async function toggleGmailPanel(e) {
+  const gmailPanel = e.target.checked;
 
-  if (!confirmed) return;
-
-  currentSearches.splice(index, 1);
-
-  // If all deleted, restore defaults
-  if (currentSearches.length === 0) {
-    currentSearches = DEFAULT_SEARCHES.slice();
+  const saved = await saveSettings({ gmailPanel });
+  if (!saved) {
+    e.target.checked = !gmailPanel;
+    return;
   }
 
-  await saveSearches(currentSearches);
-  render();
+  currentSettings.gmailPanel = gmailPanel;
+  announce(gmailPanel ? 'Saved searches will show in Gmail' : 'Saved searches hidden from Gmail');
 }
 
 /**
- * Resets to defaults
+ * Shows when searches last synced, or why syncing failed
  */
-async function resetToDefaults() {
-  const confirmed = confirm('Reset all searches to defaults? This will delete your custom searches.');
-
-  if (!confirmed) return;
+async function renderSyncStatus() {
+  const status = document.getElementById('syncStatus');
+  const replace = document.getElementById('replaceSyncBtn');
+
+  if (!currentSettings.syncEnabled) {
+    status.textContent = 'Searches are stored on this device only';
+    status.className = 'form-hint';
+    replace.style.display = 'none';
+    return;
+  }
 
-  currentSearches = DEFAULT_SEARCHES.slice();
-  await saveSearches(currentSearches);
-  render();
+  const state = await loadSyncState();
+  replace.style.display = state.stuck ? 'inline-block' : 'none';
+  if (state.lastError) {
+    status.textContent = `⚠️ ${state.lastError}`;
+    status.className = 'form-hint invalid';
+  } else if (state.lastSyncedAt) {
+    status.textContent = `Last synced ${new Date(state.lastSyncedAt).toLocaleString()}`;
+    status.className = 'form-hint';
+  } else {
+    status.textContent = 'Not synced yet';
+    status.className = 'form-hint';
+  }
 }
 
 /**
- * Renders the search list
+ * Shows what was migrated or repaired the last time storage was loaded
  */
-function render() {
-  const listContainer = document.getElementById('searchList');
-  listContainer.innerHTML = '';
+async function renderLoadReport() {
+  const container = document.getElementById('loadReport');
+  const report = await loadLoadReport();
 
-  if (currentSearches.length === 0) {
-    const empty = document.createElement('div');
-    empty.className = 'empty-state';
-    empty.innerHTML = `
-      <div class="empty-state-icon">📧</div>
-      <div class="empty-state-text">No saved searches.<br>Click "Add New Search" to get started.</div>
-    `;
-    listContainer.appendChild(empty);
+  if (!report) {
+    container.style.display = 'none';
     return;
   }
 
-  currentSearches.forEach((search, index) => {
-    const item = document.createElement('div');
-    item.className = 'manage-item';
-
-    const content = document.createElement('div');
-    content.className = 'manage-item-content';
-
-    const name = document.createElement('div');
-    name.className = 'manage-item-name';
-    name.textContent = search.name;
+  const parts = [];
+  if (report.migrated.length > 0) parts.push('storage upgraded');
+  if (report.repaired.length > 0) parts.push(`${report.repaired.length} fix(es) applied`);
+  if (report.quarantined.length > 0) parts.push(`${report.quarantined.length} damaged entr${report.quarantined.length === 1 ? 'y' : 'ies'} set aside`);
+  // Reports saved by older versions have no flagged list
+  const flagged = report.flagged || [];
+  if (flagged.length > 0) parts.push(`${flagged.length} quer${flagged.length === 1 ? 'y' : 'ies'} to check`);
+
+  document.getElementById('loadReportSummary').textContent =
+    `Saved searches were checked on ${new Date(report.at).toLocaleString()}: ${parts.join(', ')}.`;
+
+  const details = document.getElementById('loadReportDetails');
+  details.innerHTML = '';
+  const lines = report.migrated
+    .concat(report.repaired)
+    .concat(report.quarantined.map(({ label, reason }) => `Set aside ${label}: ${reason}`))
+    .concat(flagged.map(line => `Kept ${line}`));
+
+  lines.forEach((line) => {
+    const li = document.createElement('li');
+    li.textContent = line;
+    details.appendChild(li);
+  });
 
-    const query = document.createElement('div');
-    query.className = 'manage-item-query';
-    query.textContent = search.q;
+  container.style.display = 'block';
+}
 
-    content.appendChild(name);
-    content.appendChild(query);
+/**
+ * Hides the storage report until something else needs repairing
+ */
+async function dismissReport() {
+  await dismissLoadReport();
+  document.getElementById('loadReport').style.display = 'none';
+}
 
-    const actions = document.createElement('div');
-    actions.className = 'manage-item-actions';
+/**
+ * Reloads searches and groups from storage and re-renders
+ */
+async function reloadCollection(options) {
+  ({ searches: currentSearches, groups: currentGroups } = await loadCollection(options));
+  render();
+  renderSyncStatus();
+  renderLoadReport();
+}
 
-    const editBtn = document.createElement('button');
-    editBtn.className = 'manage-item-btn';
-    editBtn.textContent = 'Edit';
-    editBtn.addEventListener('click', () => {
-      showModal('Edit Search', search, index);
+/**
+ * Whether replacing the list now would get in the user's way: a search
+ * is being edited or dragged, searches are selected or being changed in
+ * a batch, or a change can still be undone
+ */
+function isListBusy() {
+  return document.getElementById('modal').style.display === 'flex' || draggedIndex !== null ||
+    selectedIds.size > 0 || batchInProgress || pendingUndo !== null;
+}
+
+/**
+ * Merges in searches synced from another device, reloading the list only
+ * when that changed anything. Waits while the list is busy.
+ */
+async function pickUpSyncedChanges() {
+  if (isListBusy()) {
+    syncReloadPending = true;
+    return;
+  }
+
+  syncReloadPending = false;
+  const result = await syncNow();
+  if (result.ok && result.changed) {
+    await reloadCollection({ sync: false });
+  } else {
+    renderSyncStatus();
+  }
+}
+
+/**
+ * Applies synced changes held back while the list was busy
+ */
+function applyPendingSync() {
+  if (syncReloadPending && !isListBusy()) {
+    pickUpSyncedChanges();
+  }
+}
+
+/**
+ * Turns Chrome sync on or off. The first sync uploads this device's
+ * searches, merging them with any already synced from another device.
+ */
+async function toggleSync(e) {
+  const enabled = e.target.checked;
+
+  const saved = await saveSettings({ syncEnabled: enabled });
+  if (!saved) {
+    e.target.checked = !enabled;
+    return;
+  }
+
+  currentSettings.syncEnabled = enabled;
+  await reloadCollection();
+}
+
+/**
+ * Writes this device's searches over a synced copy that can't be read
+ */
+async function replaceSyncedCopy() {
+  if (!confirm('Replace the searches in Chrome sync with the ones on this device? Searches saved only on your other devices will be lost.')) {
+    return;
+  }
+
+  const result = await replaceSyncedSearches();
+  if (!result.ok) {
+    alert(`Failed to replace the synced searches: ${result.error}`);
+  }
+  await reloadCollection();
+  if (result.ok) announce('Synced searches replaced with this device\'s');
+}
+
+/**
+ * Fills a select with [value, label] pairs and selects value
+ */
+function fillSelect(select, choices, value) {
+  select.innerHTML = '';
+  choices.forEach(([optionValue, label]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value;
+}
+
+/**
+ * Shows the result count settings
+ */
+function renderCountSettings() {
+  const manifest = chrome.runtime.getManifest();
+  const configured = isGmailApiConfigured(manifest);
+  const enabled = document.getElementById('countsEnabled');
+
+  // Without an OAuth client there is nothing to count with
+  enabled.checked = areCountsActive(currentSettings, manifest);
+  enabled.disabled = !configured;
+  document.getElementById('countsUnavailable').style.display = configured ? 'none' : 'block';
+  document.getElementById('countOptions').style.display = enabled.checked ? 'block' : 'none';
+  if (!configured) return;
+
+  fillSelect(
+    document.getElementById('countProvider'),
+    availableCountProviders(manifest),
+    resolveCountProvider(currentSettings, manifest)
+  );
+  fillSelect(
+    document.getElementById('countRefreshMinutes'),
+    COUNT_REFRESH_OPTIONS.map(minutes => [String(minutes), `${minutes} minutes`]),
+    String(currentSettings.countRefreshMinutes)
+  );
+  renderBadgeChoices();
+  renderCountStatus();
+}
+
+/**
+ * Lists the searches that can be shown on the toolbar badge
+ */
+function renderBadgeChoices() {
+  const choices = [['', '— None —']].concat(
+    currentSearches
+      .filter(search => countableQuery(search) !== null)
+      .map(search => [search.id, search.name])
+  );
+  const select = document.getElementById('badgeSearchId');
+  fillSelect(select, choices, currentSettings.badgeSearchId || '');
+  // The chosen search may have been deleted or made a template
+  if (select.value !== (currentSettings.badgeSearchId || '')) select.value = '';
+}
+
+/**
+ * Shows when counts were last checked, or why they couldn't be
+ */
+async function renderCountStatus() {
+  const status = document.getElementById('countStatus');
+  const signIn = document.getElementById('countSignInBtn');
+  const manifest = chrome.runtime.getManifest();
+  const provider = resolveCountProvider(currentSettings, manifest);
+
+  const entries = Object.values(await loadResultCounts())
+    .filter(entry => entry.provider === provider);
+  const failed = entries.find(entry => entry.error && entry.error !== 'other-account');
+  const checkedAt = Math.max(0, ...entries.map(entry => entry.checkedAt || 0));
+
+  if (failed) {
+    status.textContent = `⚠️ ${COUNT_ERRORS[failed.error] || COUNT_ERRORS.failed}`;
+    status.className = 'form-hint invalid';
+  } else if (checkedAt > 0) {
+    status.textContent = `Last checked ${new Date(checkedAt).toLocaleString()}`;
+    status.className = 'form-hint';
+  } else {
+    status.textContent = 'Not checked yet';
+    status.className = 'form-hint';
+  }
+
+  const needsSignIn = provider === 'gmail-api' &&
+    (failed ? failed.error === 'auth' : checkedAt === 0);
+  signIn.style.display = needsSignIn ? 'inline-block' : 'none';
+}
+
+/**
+ * Saves the result count settings. The background worker picks them up
+ * and recounts or reschedules as needed.
+ */
+async function saveCountSettings() {
+  const changes = {
+    countsEnabled: document.getElementById('countsEnabled').checked,
+    countProvider: document.getElementById('countProvider').value,
+    countRefreshMinutes: parseInt(document.getElementById('countRefreshMinutes').value, 10),
+    badgeSearchId: document.getElementById('badgeSearchId').value || null
+  };
+
+  const saved = await saveSettings(changes);
+  if (!saved) {
+    alert('Failed to save the count settings. Please try again.');
+    renderCountSettings();
+    return;
+  }
+
+  Object.assign(currentSettings, changes);
+  renderCountSettings();
+  announce('Result count settings updated');
+}
+
+/**
+ * Asks for permission to sign in, signs in to the Google account Chrome
+ * uses, then recounts every search
+ */
+async function signInForCounts() {
+  const status = document.getElementById('countStatus');
+
+  try {
+    const granted = await chrome.permissions.request({ permissions: ['identity'] });
+    if (!granted) {
+      status.textContent = '⚠️ Counts from Gmail need permission to sign in';
+      status.className = 'form-hint invalid';
+      return;
+    }
+
+    await chrome.identity.getAuthToken({ interactive: true });
+    await chrome.runtime.sendMessage({ type: 'refresh-counts', force: true });
+    status.textContent = 'Signed in — counting your searches…';
+    status.className = 'form-hint';
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error signing in:', error);
+    status.textContent = `⚠️ Couldn't sign in: ${error.message}`;
+    status.className = 'form-hint invalid';
+  }
+}
+
+/**
+ * Lists the right-click menu actions with a checkbox each
+ */
+function renderContextMenuSettings() {
+  const container = document.getElementById('contextMenuActions');
+  const enabled = Array.isArray(currentSettings.contextMenuActions)
+    ? currentSettings.contextMenuActions
+    : DEFAULT_CONTEXT_MENU_ACTIONS;
+  container.innerHTML = '';
+
+  CONTEXT_MENU_ACTIONS.forEach((action) => {
+    const label = document.createElement('label');
+    label.className = 'form-choice';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = action.id;
+    checkbox.checked = enabled.includes(action.id);
+    checkbox.addEventListener('change', saveContextMenuSettings);
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + action.label));
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Saves which right-click menu actions are enabled
+ */
+async function saveContextMenuSettings() {
+  const contextMenuActions = Array.from(document.querySelectorAll('#contextMenuActions input'))
+    .filter(checkbox => checkbox.checked)
+    .map(checkbox => checkbox.value);
+
+  const saved = await saveSettings({ contextMenuActions });
+  if (!saved) {
+    alert('Failed to save the menu settings. Please try again.');
+    renderContextMenuSettings();
+    return;
+  }
+
+  currentSettings.contextMenuActions = contextMenuActions;
+  announce('Right-click menu updated');
+}
+
+/**
+ * Lists the shortcut slots with the search bound to each
+ */
+function renderShortcuts() {
+  const list = document.getElementById('shortcutList');
+  list.innerHTML = '';
+
+  const describeKeys = name => commandKeys[name] || 'Not set';
+
+  const popupRow = document.createElement('div');
+  popupRow.className = 'shortcut-row';
+  const popupKeys = document.createElement('kbd');
+  popupKeys.className = 'shortcut-keys';
+  popupKeys.textContent = describeKeys(OPEN_POPUP_COMMAND);
+  const popupLabel = document.createElement('span');
+  popupLabel.textContent = 'Open the popup';
+  popupRow.appendChild(popupKeys);
+  popupRow.appendChild(popupLabel);
+  list.appendChild(popupRow);
+
+  const bindings = currentSettings.shortcutBindings || {};
+
+  SHORTCUT_SLOTS.forEach((command) => {
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+
+    const keys = document.createElement('kbd');
+    keys.className = 'shortcut-keys';
+    keys.textContent = describeKeys(command);
+
+    const select = document.createElement('select');
+    select.className = 'form-input';
+    select.setAttribute('aria-label', `Search for ${describeSlot(command)}`);
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = '— Not bound —';
+    select.appendChild(none);
+
+    currentSearches.forEach((search) => {
+      const option = document.createElement('option');
+      option.value = search.id;
+      option.textContent = search.name;
+      select.appendChild(option);
     });
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'manage-item-btn manage-item-btn-delete';
-    deleteBtn.textContent = 'Delete';
-    deleteBtn.addEventListener('click', () => {
-      deleteSearch(index);
+    const bound = resolveShortcut(command, bindings, currentSearches);
+    select.value = bound ? bound.id : '';
+    select.addEventListener('change', () => saveShortcutBinding(command, select.value));
+
+    row.appendChild(keys);
+    row.appendChild(select);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Binds a shortcut slot to a search (or clears it)
+ */
+async function saveShortcutBinding(command, searchId) {
+  const shortcutBindings = bindShortcut(currentSettings.shortcutBindings, command, searchId);
+  const saved = await saveSettings({ shortcutBindings });
+
+  if (!saved) {
+    alert('Failed to save the shortcut. Please try again.');
+    renderShortcuts();
+    return;
+  }
+
+  currentSettings.shortcutBindings = shortcutBindings;
+  const search = resolveShortcut(command, shortcutBindings, currentSearches);
+  announce(search ? `${describeSlot(command)} runs "${search.name}"` : `${describeSlot(command)} cleared`);
+}
+
+/**
+ * Opens Chrome's keyboard shortcut settings (extension pages can't link there)
+ */
+function openShortcutSettings() {
+  chrome.tabs.create({ url: SHORTCUTS_SETTINGS_URL });
+}
+
+/**
+ * Saves the default account setting
+ */
+async function saveDefaultAccount() {
+  const defaultAccountInput = document.getElementById('defaultAccount');
+  const validationDiv = document.getElementById('defaultAccountValidation');
+  const value = defaultAccountInput.value.trim();
+  const account = normalizeAccount(value);
+
+  if (value.length === 0 || account === null) {
+    defaultAccountInput.className = 'form-input invalid';
+    validationDiv.textContent = '⚠️ Account must be an index (0, 1, 2…) or an email address';
+    validationDiv.className = 'validation-indicator invalid';
+    return;
+  }
+
+  const saved = await saveSettings({ defaultAccount: account });
+  if (!saved) {
+    defaultAccountInput.className = 'form-input invalid';
+    validationDiv.textContent = '⚠️ Failed to save. Please try again.';
+    validationDiv.className = 'validation-indicator invalid';
+    return;
+  }
+
+  currentSettings.defaultAccount = account;
+  defaultAccountInput.className = 'form-input valid';
+  validationDiv.textContent = '✓ Saved';
+  validationDiv.className = 'validation-indicator valid';
+}
+
+/**
+ * Hides the modal
+ */
+function hideModal() {
+  const modal = document.getElementById('modal');
+  modal.style.display = 'none';
+  editingIndex = null;
+  applyPendingSync();
+}
+
+/**
+ * Shows error in modal
+ */
+function showModalError(message) {
+  const errorDiv = document.getElementById('modalError');
+  errorDiv.textContent = message;
+  errorDiv.style.display = 'block';
+}
+
+/**
+ * Saves the current modal data
+ */
+async function saveModal() {
+  const nameInput = document.getElementById('searchName');
+  const queryInput = document.getElementById('searchQuery');
+  const accountInput = document.getElementById('searchAccount');
+  const groupSelect = document.getElementById('searchGroup');
+
+  const name = nameInput.value.trim();
+  const q = queryInput.value.trim();
+  const accountValue = accountInput.value.trim();
+
+  // Builder fields have rules of their own (size format, date range)
+  if (queryMode === 'builder') {
+    const builderValidation = validateBuilderFields(readBuilderFields());
+    if (!builderValidation.valid) {
+      showModalError(builderValidation.error);
+      return;
+    }
+  }
+
+  // Step 1: Basic length validation
+  if (!validateString(name, MAX_NAME_LENGTH)) {
+    showModalError('Invalid search name (1-100 characters required)');
+    return;
+  }
+
+  if (!validateString(q, MAX_QUERY_LENGTH)) {
+    showModalError('Invalid query (1-500 characters required)');
+    return;
+  }
+
+  // Step 2: Security validation for name
+  const nameValidation = validateSearchName(name);
+  if (!nameValidation.valid) {
+    showModalError(`Name validation failed: ${nameValidation.error}`);
+    return;
+  }
+
+  // Step 3: Security validation for query
+  const queryValidation = validateGmailQuery(q);
+  if (!queryValidation.valid) {
+    showModalError(`Query validation failed: ${queryValidation.error}`);
+    return;
+  }
+
+  // Step 4: Validate the optional account
+  const accountCheck = validateAccount(accountValue);
+  if (!accountCheck.valid) {
+    showModalError(`Account validation failed: ${accountCheck.error}`);
+    return;
+  }
+
+  // Step 5: Validate the optional icon, colour and description
+  const metadata = readMetadataFields();
+  const metadataCheck = validateSearchMetadata(metadata);
+  if (!metadataCheck.valid) {
+    showModalError(`Validation failed: ${metadataCheck.error}`);
+    return;
+  }
+
+  // Step 6: Check for duplicates
+  const duplicateCheck = checkDuplicate(currentSearches, name, q, editingIndex);
+  if (duplicateCheck.isDuplicate) {
+    const proceed = confirm(`⚠️ Warning: ${duplicateCheck.message}\n\nDo you want to continue anyway?`);
+    if (!proceed) {
+      return;
+    }
+  }
+
+  // Step 7: Check max searches limit
+  if (editingIndex === null && currentSearches.length >= MAX_SEARCHES) {
+    showModalError(`Maximum ${MAX_SEARCHES} searches allowed`);
+    return;
+  }
+
+  // Step 8: Save (edits keep the search's id and other metadata)
+  const before = cloneCollection({ searches: currentSearches, groups: currentGroups });
+  const existing = editingIndex !== null ? currentSearches[editingIndex] : {};
+  const search = withSearchMetadata({ ...existing, name, q, group: groupSelect.value }, metadata);
+  const account = normalizeAccount(accountValue);
+  if (account !== null) {
+    search.account = account;
+  } else {
+    delete search.account;
+  }
+
+  if (editingIndex !== null) {
+    // Edit existing
+    currentSearches[editingIndex] = search;
+  } else {
+    // Add new
+    currentSearches.push(search);
+  }
+
+  const wasEditing = editingIndex !== null;
+  const saved = await saveSearches(currentSearches);
+  if (!saved) {
+    currentSearches = before.searches;
+    showModalError('Failed to save. Please try again.');
+    return;
+  }
+
+  hideModal();
+  render();
+
+  if (wasEditing) {
+    offerUndo(`Saved changes to "${name}"`, before);
+  }
+}
+
+/**
+ * Deletes a search, keeping it in the trash
+ */
+async function deleteSearch(index) {
+  const before = cloneCollection({ searches: currentSearches, groups: currentGroups });
+  const [search] = currentSearches.splice(index, 1);
+
+  const saved = await saveSearches(currentSearches);
+  if (!saved) {
+    currentSearches = before.searches;
+    alert('Failed to delete. Please try again.');
+    return;
+  }
+
+  await addToTrash([{ search, index }]);
+  render();
+  offerUndo(`Deleted "${search.name}"`, before, [search.id]);
+}
+
+/**
+ * Resets to defaults. The old searches go to the trash and a snapshot.
+ */
+async function resetToDefaults() {
+  const confirmed = confirm('Reset all searches to defaults? Your current searches will be moved to the trash.');
+
+  if (!confirmed) return;
+
+  const before = cloneCollection({ searches: currentSearches, groups: currentGroups });
+  await recordSnapshot('Before reset to defaults');
+
+  currentSearches = normalizeGroups(currentGroups, DEFAULT_SEARCHES).searches;
+  const saved = await saveSearches(currentSearches);
+  if (!saved) {
+    currentSearches = before.searches;
+    alert('Failed to reset. Please try again.');
+    return;
+  }
+
+  await addToTrash(before.searches.map((search, index) => ({ search, index })));
+  render();
+  offerUndo('Reset to the default searches', before, before.searches.map(search => search.id));
+}
+
+/**
+ * Adds deleted searches to the trash
+ */
+async function addToTrash(removed) {
+  const trash = trashSearches(await loadTrash(), removed, Date.now());
+  await saveTrash(trash);
+  renderTrash(trash);
+}
+
+/**
+ * Keeps a copy of the whole collection before a bulk change
+ */
+async function recordSnapshot(reason) {
+  const collection = { searches: currentSearches, groups: currentGroups };
+  const snapshots = takeSnapshot(await loadSnapshots(), collection, reason, Date.now());
+  await saveSnapshots(snapshots);
+  renderHistory(snapshots);
+}
+
+/**
+ * Shows the undo toast for a change. before is the collection as it was;
+ * trashedIds are the searches the change put in the trash.
+ */
+function offerUndo(message, before, trashedIds = []) {
+  pendingUndo = { before, trashedIds };
+
+  document.getElementById('toastMessage').textContent = message;
+  document.getElementById('toast').hidden = false;
+  announce(`${message}. Press Undo to bring it back.`);
+
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(hideToast, UNDO_TIMEOUT_MS);
+}
+
+/**
+ * Hides the undo toast; the change can no longer be undone from it
+ */
+function hideToast() {
+  clearTimeout(undoTimer);
+  pendingUndo = null;
+  document.getElementById('toast').hidden = true;
+  applyPendingSync();
+}
+
+/**
+ * Puts the collection back the way it was before the last change
+ */
+async function undoLastChange() {
+  if (!pendingUndo) return;
+  const { before, trashedIds } = pendingUndo;
+  hideToast();
+
+  currentSearches = reviveSearches(before.searches, currentSearches, Date.now());
+  currentGroups = before.groups;
+
+  const saved = await saveCollection();
+  if (!saved) {
+    alert('Failed to undo. Please try again.');
+    await reloadCollection();
+    return;
+  }
+
+  if (trashedIds.length > 0) {
+    const trash = (await loadTrash()).filter(entry => !trashedIds.includes(entry.search.id));
+    await saveTrash(trash);
+    renderTrash(trash);
+  }
+
+  render();
+  announce('Undone');
+}
+
+/**
+ * Lists the searches in the trash with a Restore button each
+ */
+function renderTrash(trash) {
+  const list = document.getElementById('trashList');
+  list.innerHTML = '';
+  document.getElementById('emptyTrashBtn').disabled = trash.length === 0;
+
+  if (trash.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'form-hint';
+    empty.textContent = 'The trash is empty';
+    list.appendChild(empty);
+    return;
+  }
+
+  trash.forEach((entry) => {
+    const row = document.createElement('div');
+    row.className = 'history-item';
+
+    const text = document.createElement('div');
+    text.className = 'history-item-text';
+    // Security: use textContent
+    text.textContent = `${entry.search.name} — ${entry.search.q}`;
+    text.title = entry.search.q;
+
+    const when = document.createElement('div');
+    when.className = 'history-item-meta';
+    when.textContent = `Deleted ${new Date(entry.deletedAt).toLocaleString()}`;
+    text.appendChild(when);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'manage-item-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.setAttribute('aria-label', `Restore "${entry.search.name}"`);
+    restoreBtn.addEventListener('click', () => restoreSearch(entry.search.id));
+
+    row.appendChild(text);
+    row.appendChild(restoreBtn);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Moves a search from the trash back into the list
+ */
+async function restoreSearch(searchId) {
+  const result = restoreFromTrash(await loadTrash(), [searchId], currentSearches, currentGroups, Date.now());
+  if (!result.ok) {
+    alert(result.error);
+    return;
+  }
+
+  currentSearches = result.searches;
+  const saved = await saveSearches(currentSearches);
+  if (!saved) {
+    alert('Failed to restore. Please try again.');
+    await reloadCollection();
+    return;
+  }
+
+  await saveTrash(result.trash);
+  renderTrash(result.trash);
+  render();
+  announce(result.restored.length > 0 ? `Restored "${result.restored[0].name}"` : 'Already in your searches');
+}
+
+/**
+ * Deletes everything in the trash for good
+ */
+async function emptyTrash() {
+  const trash = await loadTrash();
+  if (trash.length === 0) return;
+  if (!confirm(`Permanently delete the ${trash.length} search(es) in the trash?`)) return;
+
+  await saveTrash([]);
+  renderTrash([]);
+  announce('Trash emptied');
+}
+
+/**
+ * Turns the popup's Recent section on or off
+ */
+async function toggleShowRecent(e) {
+  const showRecent = e.target.checked;
+
+  const saved = await saveSettings({ showRecent });
+  if (!saved) {
+    e.target.checked = !showRecent;
+    return;
+  }
+
+  currentSettings.showRecent = showRecent;
+  announce(showRecent ? 'Recently used searches will show at the top of the popup' : 'Recent section hidden');
+}
+
+/**
+ * Saves how pinned searches are drawn in the popup
+ */
+async function savePinnedStyle(e) {
+  const pinnedStyle = e.target.value;
+
+  const saved = await saveSettings({ pinnedStyle });
+  if (!saved) {
+    alert('Failed to save the setting. Please try again.');
+    e.target.value = currentSettings.pinnedStyle;
+    return;
+  }
+
+  currentSettings.pinnedStyle = pinnedStyle;
+  announce(`Pinned searches show as: ${PINNED_STYLES[pinnedStyle]}`);
+}
+
+/**
+ * Forgets how often and when every search was opened
+ */
+async function clearUsageStats() {
+  if (!confirm('Clear the usage stats for every search?')) return;
+
+  const saved = await saveUsage({});
+  if (!saved) {
+    alert('Failed to clear the stats. Please try again.');
+    return;
+  }
+
+  currentUsage = {};
+  render();
+  announce('Usage stats cleared');
+}
+
+/**
+ * Saves how long deleted searches are kept, dropping any now past it
+ */
+async function saveTrashRetention(e) {
+  const trashRetentionDays = parseInt(e.target.value, 10);
+
+  const saved = await saveSettings({ trashRetentionDays });
+  if (!saved) {
+    alert('Failed to save the setting. Please try again.');
+    e.target.value = String(currentSettings.trashRetentionDays);
+    return;
+  }
+
+  currentSettings.trashRetentionDays = trashRetentionDays;
+  const trash = purgeTrash(await loadTrash(), trashRetentionDays, Date.now());
+  await saveTrash(trash);
+  renderTrash(trash);
+  announce(`Deleted searches are kept for ${trashRetentionDays} day(s)`);
+}
+
+/**
+ * Lists the snapshots with a Roll Back button each
+ */
+function renderHistory(snapshots) {
+  const list = document.getElementById('historyList');
+  list.innerHTML = '';
+
+  if (snapshots.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'form-hint';
+    empty.textContent = 'No earlier versions yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  snapshots.forEach((snapshot) => {
+    const row = document.createElement('div');
+    row.className = 'history-item';
+
+    const text = document.createElement('div');
+    text.className = 'history-item-text';
+    text.textContent = new Date(snapshot.at).toLocaleString();
+
+    const meta = document.createElement('div');
+    meta.className = 'history-item-meta';
+    meta.textContent = `${snapshot.reason} · ${snapshot.searches.length} search(es)`;
+    text.appendChild(meta);
+
+    const rollBackBtn = document.createElement('button');
+    rollBackBtn.className = 'manage-item-btn';
+    rollBackBtn.textContent = 'Roll Back';
+    rollBackBtn.setAttribute('aria-label', `Roll back to the version from ${new Date(snapshot.at).toLocaleString()}`);
+    rollBackBtn.addEventListener('click', () => rollBackTo(snapshot.id));
+
+    row.appendChild(text);
+    row.appendChild(rollBackBtn);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Replaces the collection with a snapshot, after taking one of the
+ * collection as it is now
+ */
+async function rollBackTo(snapshotId) {
+  const snapshot = (await loadSnapshots()).find(s => s.id === snapshotId);
+  if (!snapshot) return;
+
+  const before = cloneCollection({ searches: currentSearches, groups: currentGroups });
+  await recordSnapshot('Before rolling back');
+
+  const restored = normalizeGroups(snapshot.groups, reviveSearches(snapshot.searches, currentSearches, Date.now()));
+  currentGroups = restored.groups;
+  currentSearches = restored.searches;
+
+  const saved = await saveCollection();
+  if (!saved) {
+    alert('Failed to roll back. Please try again.');
+    await reloadCollection();
+    return;
+  }
+
+  render();
+  offerUndo(`Rolled back to the version from ${new Date(snapshot.at).toLocaleString()}`, before);
+}
+
+/**
+ * Downloads searches (all of them unless given a selection) as a JSON file
+ */
+function exportSearches(searches = currentSearches) {
+  const data = buildExport(searches, currentGroups);
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `gmail-quick-search-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads the chosen import file and shows the preview
+ */
+async function readImportFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error reading import file:', error);
+    alert('Could not read the file.');
+    return;
+  }
+
+  const parsed = parseImport(text);
+  if (!parsed.valid) {
+    alert(`Import failed: ${parsed.error}`);
+    return;
+  }
+
+  pendingImport = parsed;
+  document.querySelector('input[name="importMode"][value="merge"]').checked = true;
+  renderImportPreview();
+  document.getElementById('importModal').style.display = 'flex';
+}
+
+/**
+ * Appends one preview list (added/updated/skipped) to the details area
+ */
+function appendImportList(container, title, rows) {
+  if (rows.length === 0) return;
+
+  const heading = document.createElement('div');
+  heading.className = 'import-list-title';
+  heading.textContent = `${title} (${rows.length})`;
+  container.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.className = 'import-list';
+  rows.forEach((text) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Shows what the pending import would add, update and skip
+ */
+function renderImportPreview() {
+  const mode = document.querySelector('input[name="importMode"]:checked').value;
+  const plan = planImport(pendingImport, currentSearches, currentGroups, mode);
+  pendingImport.plan = plan;
+
+  const summary = document.getElementById('importSummary');
+  summary.textContent = `${plan.added.length} to add, ${plan.updated.length} to update, ${plan.skipped.length} skipped`;
+  if (plan.mode === 'replace') {
+    summary.textContent += ` — your current ${currentSearches.length} searches will be replaced`;
+  }
+
+  const details = document.getElementById('importDetails');
+  details.innerHTML = '';
+  appendImportList(details, 'Add', plan.added.map(s => `${s.name} — ${s.q}`));
+  appendImportList(details, 'Update', plan.updated.map(s => `${s.name} — ${s.q}`));
+  appendImportList(details, 'Skip', plan.skipped.map(s => `${s.name} — ${s.reason}`));
+
+  document.getElementById('importConfirm').disabled = plan.added.length + plan.updated.length === 0;
+}
+
+/**
+ * Hides the import preview
+ */
+function hideImportModal() {
+  document.getElementById('importModal').style.display = 'none';
+  pendingImport = null;
+}
+
+/**
+ * Applies the previewed import
+ */
+async function confirmImport() {
+  const plan = pendingImport && pendingImport.plan;
+  if (!plan) return;
+
+  if (plan.mode === 'replace' &&
+      !confirm(`Replace all ${currentSearches.length} searches with ${plan.searches.length} from the file?`)) {
+    return;
+  }
+
+  await recordSnapshot('Before import');
+  currentGroups = plan.groups;
+  currentSearches = plan.searches;
+
+  const saved = await saveCollection();
+  hideImportModal();
+  render();
+
+  if (!saved) {
+    alert('Failed to save the import. Please try again.');
+  }
+}
+
+/**
+ * Saves both searches and groups
+ */
+async function saveCollection() {
+  const groupsSaved = await saveGroups(currentGroups);
+  const searchesSaved = await saveSearches(currentSearches);
+  return groupsSaved && searchesSaved;
+}
+
+/**
+ * Asks for a group name until it is valid or the user cancels
+ */
+function promptGroupName(message, initial, excludeId = null) {
+  let name = prompt(message, initial);
+
+  while (name !== null) {
+    const validation = validateGroupName(name, currentGroups, excludeId);
+    if (validation.valid) {
+      return name.trim();
+    }
+    name = prompt(`⚠️ ${validation.error}\n\n${message}`, name);
+  }
+
+  return null;
+}
+
+/**
+ * Creates a new group
+ */
+async function addGroup() {
+  if (currentGroups.length >= MAX_GROUPS) {
+    alert(`Maximum ${MAX_GROUPS} groups allowed`);
+    return;
+  }
+
+  const name = promptGroupName('Name for the new group:', '');
+  if (name === null) return;
+
+  currentGroups.push(createGroup(name));
+  await saveGroups(currentGroups);
+  render();
+}
+
+/**
+ * Renames a group
+ */
+async function renameGroup(groupId) {
+  const group = currentGroups.find(g => g.id === groupId);
+  const name = promptGroupName(`Rename "${group.name}" to:`, group.name, groupId);
+  if (name === null) return;
+
+  group.name = name;
+  await saveGroups(currentGroups);
+  render();
+}
+
+/**
+ * Deletes a group, moving its searches into the first remaining group
+ */
+async function deleteGroup(groupId) {
+  if (currentGroups.length === 1) {
+    alert('At least one group is required.');
+    return;
+  }
+
+  const group = currentGroups.find(g => g.id === groupId);
+  const remaining = currentGroups.filter(g => g.id !== groupId);
+  const count = currentSearches.filter(s => s.group === groupId).length;
+
+  const message = count > 0
+    ? `Delete group "${group.name}"? Its ${count} search(es) will move to "${remaining[0].name}".`
+    : `Delete group "${group.name}"?`;
+  if (!confirm(message)) return;
+
+  await recordSnapshot(`Before deleting group "${group.name}"`);
+  currentGroups = remaining;
+  currentSearches = currentSearches.map(search =>
+    search.group === groupId ? { ...search, group: remaining[0].id } : search
+  );
+
+  await saveCollection();
+  render();
+}
+
+/**
+ * Moves a group up (-1) or down (+1) in the list
+ */
+async function moveGroup(groupId, direction) {
+  const from = currentGroups.findIndex(g => g.id === groupId);
+  const to = from + direction;
+  if (from < 0 || to < 0 || to >= currentGroups.length) return;
+
+  const [group] = currentGroups.splice(from, 1);
+  currentGroups.splice(to, 0, group);
+
+  await saveGroups(currentGroups);
+  render();
+}
+
+/**
+ * Saves a reordered list and keeps keyboard focus on the moved search
+ */
+async function applyMove(moved) {
+  const search = moved.searches[moved.index];
+  currentSearches = moved.searches;
+
+  await saveSearches(currentSearches);
+  render();
+
+  const item = document.querySelector(`.manage-item[data-index="${moved.index}"]`);
+  if (item) item.focus();
+
+  const group = currentGroups.find(g => g.id === search.group);
+  announce(`Moved "${search.name}"${group && currentGroups.length > 1 ? ` in ${group.name}` : ''}`);
+}
+
+/**
+ * Moves a search one step up or down
+ */
+async function stepSearchAt(index, direction) {
+  const moved = stepSearch(currentGroups, currentSearches, index, direction);
+  if (!moved) return;
+
+  await applyMove(moved);
+}
+
+/**
+ * Drops the dragged search before the given index in a group
+ */
+async function dropSearch(beforeIndex, groupId) {
+  const fromIndex = draggedIndex;
+  draggedIndex = null;
+  clearDropIndicators();
+
+  if (fromIndex === null) return;
+  if ((beforeIndex === fromIndex || beforeIndex === fromIndex + 1) &&
+      currentSearches[fromIndex].group === groupId) {
+    return;
+  }
+
+  await applyMove(moveSearch(currentSearches, fromIndex, beforeIndex, groupId));
+}
+
+/**
+ * Whether the pointer is over the lower half of a row
+ */
+function isDropAfter(e, item) {
+  const rect = item.getBoundingClientRect();
+  return e.clientY > rect.top + rect.height / 2;
+}
+
+/**
+ * Removes drag-over highlighting
+ */
+function clearDropIndicators() {
+  document.querySelectorAll('.drop-before, .drop-after, .drop-target').forEach((el) => {
+    el.classList.remove('drop-before', 'drop-after', 'drop-target');
+  });
+}
+
+/**
+ * Announces a change to screen readers
+ */
+function announce(message) {
+  const liveRegion = document.getElementById('liveRegion');
+  liveRegion.textContent = message;
+}
+
+/**
+ * Renders the search list
+ */
+function render() {
+  const listContainer = document.getElementById('searchList');
+  listContainer.innerHTML = '';
+  renderShortcuts();
+  renderBadgeChoices();
+  renderStateFilter();
+
+  // Searches deleted elsewhere (e.g. by sync) can't stay selected
+  const presentIds = new Set(currentSearches.map(search => search.id));
+  selectedIds = new Set(Array.from(selectedIds).filter(id => presentIds.has(id)));
+  renderBulkBar();
+
+  if (currentSearches.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.innerHTML = `
+      <div class="empty-state-icon">📧</div>
+      <div class="empty-state-text">No saved searches.<br>Click "Add New Search" to get started.</div>
+    `;
+    listContainer.appendChild(empty);
+    return;
+  }
+
+  const sections = groupSearches(currentGroups, currentSearches).map(({ group, items }) => ({
+    group,
+    items: items.filter(({ search }) => matchesStateFilter(search, stateFilter))
+  }));
+
+  // Under a filter, groups without a match are left out
+  const shown = stateFilter === 'all' ? sections : sections.filter(section => section.items.length > 0);
+  if (shown.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = stateFilter === 'pinned' ? 'No pinned searches.' : 'No hidden searches.';
+    listContainer.appendChild(empty);
+    return;
+  }
+
+  shown.forEach(({ group, items }) => {
+    listContainer.appendChild(createGroupSection(group, items, currentGroups.indexOf(group)));
+  });
+}
+
+/**
+ * Shows the batch action bar while searches are selected, and the state of
+ * the Select all box for the searches on screen
+ */
+function renderBulkBar() {
+  const bar = document.getElementById('bulkBar');
+  const selectAll = document.getElementById('selectAll');
+  const visible = currentSearches.filter(search => matchesStateFilter(search, stateFilter));
+  const visibleSelected = visible.filter(search => selectedIds.has(search.id)).length;
+
+  selectAll.checked = visible.length > 0 && visibleSelected === visible.length;
+  selectAll.indeterminate = visibleSelected > 0 && visibleSelected < visible.length;
+  selectAll.disabled = visible.length === 0;
+
+  bar.hidden = selectedIds.size === 0;
+  document.getElementById('selectionCount').textContent = `${pluralSearches(selectedIds.size)} selected`;
+
+  fillSelect(document.getElementById('bulkGroup'), [['', 'Move to group…']].concat(
+    currentGroups.map(group => [group.id, group.name])
+  ), '');
+}
+
+/**
+ * Ticks or unticks one search for a batch action
+ */
+function toggleSelection(searchId, selected) {
+  if (selected) {
+    selectedIds.add(searchId);
+  } else {
+    selectedIds.delete(searchId);
+  }
+  renderBulkBar();
+  applyPendingSync();
+}
+
+/**
+ * Selects every search on screen (under the current filter), or none
+ */
+function toggleSelectAll(e) {
+  currentSearches
+    .filter(search => matchesStateFilter(search, stateFilter))
+    .forEach((search) => {
+      if (e.target.checked) {
+        selectedIds.add(search.id);
+      } else {
+        selectedIds.delete(search.id);
+      }
     });
+  render();
+  applyPendingSync();
+}
+
+/**
+ * Clears the selection
+ */
+function clearSelection() {
+  selectedIds.clear();
+  render();
+  applyPendingSync();
+}
+
+/**
+ * Lists the selected searches for a confirmation, e.g. "• Unread"
+ */
+function describeSelection() {
+  const names = selectedItems(currentSearches, selectedIds).map(({ search }) => `• ${search.name}`);
+  const shown = names.slice(0, 10);
+  if (names.length > shown.length) shown.push(`…and ${names.length - shown.length} more`);
+  return shown.join('\n');
+}
+
+/**
+ * Applies a batch change to the selected searches: one confirmation, one
+ * save, a snapshot beforehand and a summary with Undo afterwards.
+ * change returns { searches, summary, removed } or { ok: false, error }.
+ */
+async function applyBatch(question, reason, change) {
+  const result = change(currentSearches, selectedIds);
+  if (result.ok === false) {
+    alert(result.error);
+    return;
+  }
+
+  if (!confirm(`${question}\n\n${describeSelection()}`)) return;
+
+  const before = cloneCollection({ searches: currentSearches, groups: currentGroups });
+  batchInProgress = true;
+  await recordSnapshot(reason);
+
+  currentSearches = result.searches;
+  const saved = await saveSearches(currentSearches);
+  batchInProgress = false;
+  if (!saved) {
+    currentSearches = before.searches;
+    alert('Failed to save. Please try again.');
+    return;
+  }
+
+  const removed = result.removed || [];
+  if (removed.length > 0) {
+    await addToTrash(removed);
+  }
+
+  selectedIds.clear();
+  render();
+  offerUndo(result.summary, before, removed.map(({ search }) => search.id));
+}
+
+/**
+ * Deletes the selected searches, keeping them in the trash
+ */
+function deleteSelection() {
+  const count = pluralSearches(selectedIds.size);
+  applyBatch(`Delete ${count}? Deleted searches are kept in the trash.`, `Before deleting ${count}`, deleteSelected);
+}
+
+/**
+ * Adds a copy of each selected search
+ */
+function duplicateSelection() {
+  const count = pluralSearches(selectedIds.size);
+  applyBatch(
+    `Duplicate ${count}? The copies keep the same queries until you edit them.`,
+    `Before duplicating ${count}`,
+    duplicateSelected
+  );
+}
+
+/**
+ * Moves the selected searches to the group picked in the batch bar
+ */
+function moveSelection(e) {
+  const group = currentGroups.find(g => g.id === e.target.value);
+  e.target.value = '';
+  if (!group) return;
+
+  const count = pluralSearches(selectedIds.size);
+  applyBatch(
+    `Move ${count} to "${group.name}"?`,
+    `Before moving ${count} to "${group.name}"`,
+    (searches, ids) => moveSelectedToGroup(searches, ids, group)
+  );
+}
+
+/**
+ * Hides the selected searches from the popup, or shows them again
+ */
+function setSelectionHidden(hidden) {
+  const count = pluralSearches(selectedIds.size);
+  applyBatch(
+    hidden ? `Hide ${count} from the popup?` : `Show ${count} in the popup again?`,
+    `Before ${hidden ? 'hiding' : 'showing'} ${count}`,
+    (searches, ids) => setSelectedHidden(searches, ids, hidden)
+  );
+}
+
+/**
+ * Downloads the selected searches as a JSON file
+ */
+function exportSelection() {
+  const searches = selectedItems(currentSearches, selectedIds).map(({ search }) => search);
+  exportSearches(searches);
+  announce(`Exported ${pluralSearches(searches.length)}`);
+}
+
+/**
+ * Fills the list filter, with how many searches each choice shows
+ */
+function renderStateFilter() {
+  const choices = Object.entries(SEARCH_STATE_FILTERS).map(([value, label]) => {
+    const count = currentSearches.filter(search => matchesStateFilter(search, value)).length;
+    return [value, `${label} (${count})`];
+  });
+  fillSelect(document.getElementById('stateFilter'), choices, stateFilter);
+}
+
+/**
+ * Shows all, pinned or hidden searches
+ */
+function changeStateFilter(e) {
+  stateFilter = e.target.value;
+  render();
+}
+
+/**
+ * Pins or hides a search, or undoes that
+ */
+async function toggleSearchState(index, state) {
+  const search = currentSearches[index];
+  const on = search[state] !== true;
+  currentSearches[index] = setSearchState(search, state, on);
+
+  const saved = await saveSearches(currentSearches);
+  if (!saved) {
+    currentSearches[index] = search;
+    alert('Failed to save. Please try again.');
+    return;
+  }
+
+  render();
+  const messages = {
+    pinned: on ? 'pinned to the top of the popup' : 'unpinned',
+    hidden: on ? 'hidden from the popup' : 'shown in the popup again'
+  };
+  announce(`"${search.name}" ${messages[state]}`);
+}
+
+/**
+ * Creates a group section with its header and searches
+ */
+function createGroupSection(group, items, groupIndex) {
+  const section = document.createElement('div');
+  section.className = 'manage-group';
+
+  const header = document.createElement('div');
+  header.className = 'manage-group-header';
+
+  const title = document.createElement('div');
+  title.className = 'manage-group-name';
+  title.textContent = `${group.name} (${items.length})`;
+
+  const actions = document.createElement('div');
+  actions.className = 'manage-item-actions';
+
+  const upBtn = document.createElement('button');
+  upBtn.className = 'manage-item-btn';
+  upBtn.textContent = '▲';
+  upBtn.title = 'Move group up';
+  upBtn.disabled = groupIndex === 0;
+  upBtn.addEventListener('click', () => moveGroup(group.id, -1));
+
+  const downBtn = document.createElement('button');
+  downBtn.className = 'manage-item-btn';
+  downBtn.textContent = '▼';
+  downBtn.title = 'Move group down';
+  downBtn.disabled = groupIndex === currentGroups.length - 1;
+  downBtn.addEventListener('click', () => moveGroup(group.id, 1));
+
+  const renameBtn = document.createElement('button');
+  renameBtn.className = 'manage-item-btn';
+  renameBtn.textContent = 'Rename';
+  renameBtn.addEventListener('click', () => renameGroup(group.id));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'manage-item-btn manage-item-btn-delete';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.disabled = currentGroups.length === 1;
+  deleteBtn.addEventListener('click', () => deleteGroup(group.id));
+
+  actions.appendChild(upBtn);
+  actions.appendChild(downBtn);
+  actions.appendChild(renameBtn);
+  actions.appendChild(deleteBtn);
+
+  header.appendChild(title);
+  header.appendChild(actions);
+  section.appendChild(header);
+
+  const list = document.createElement('div');
+  list.className = 'manage-group-items';
+
+  if (items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'manage-group-empty';
+    empty.textContent = 'No searches in this group';
+    list.appendChild(empty);
+  }
+
+  items.forEach(({ search, index }) => {
+    list.appendChild(createManageItem(search, index));
+  });
+
+  // Dropping on the group (not on a row) appends to the group
+  list.addEventListener('dragover', (e) => {
+    if (draggedIndex === null) return;
+    e.preventDefault();
+    clearDropIndicators();
+    list.classList.add('drop-target');
+  });
+
+  list.addEventListener('drop', (e) => {
+    if (draggedIndex === null) return;
+    e.preventDefault();
+
+    const beforeIndex = items.length > 0 ? items[items.length - 1].index + 1 : currentSearches.length;
+    dropSearch(beforeIndex, group.id);
+  });
+
+  section.appendChild(list);
+  return section;
+}
+
+/**
+ * Creates the row for one search
+ */
+function createManageItem(search, index) {
+  const item = document.createElement('div');
+  item.className = 'manage-item';
+  item.dataset.index = String(index);
+  item.draggable = true;
+  item.tabIndex = 0;
+  item.setAttribute('aria-label', `${search.name}. Alt+Up or Alt+Down to reorder.`);
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'manage-item-select';
+  checkbox.checked = selectedIds.has(search.id);
+  checkbox.setAttribute('aria-label', `Select "${search.name}"`);
+  checkbox.addEventListener('change', () => {
+    item.classList.toggle('selected', checkbox.checked);
+    toggleSelection(search.id, checkbox.checked);
+  });
+  item.classList.toggle('selected', checkbox.checked);
+
+  const handle = document.createElement('div');
+  handle.className = 'manage-item-handle';
+  handle.textContent = '⋮⋮';
+  handle.setAttribute('aria-hidden', 'true');
+
+  const content = document.createElement('div');
+  content.className = 'manage-item-content';
+
+  const name = document.createElement('div');
+  name.className = 'manage-item-name';
+  // Security: use textContent
+  name.textContent = search.icon ? `${search.icon} ${search.name}` : search.name;
+
+  const query = document.createElement('div');
+  query.className = 'manage-item-query';
+  query.textContent = search.q;
+
+  content.appendChild(name);
+
+  if (search.description) {
+    const description = document.createElement('div');
+    description.className = 'manage-item-description';
+    description.textContent = search.description;
+    content.appendChild(description);
+  }
+
+  content.appendChild(query);
+
+  const color = searchColorValue(search.color);
+  if (color) {
+    item.classList.add('has-color');
+    item.style.setProperty('--search-color', color);
+  }
+
+  const account = normalizeAccount(search.account);
+  if (account !== null) {
+    const accountTag = document.createElement('div');
+    accountTag.className = 'manage-item-account';
+    accountTag.textContent = typeof account === 'number' ? `Account u/${account}` : account;
+    content.appendChild(accountTag);
+  }
+
+  if (isPinned(search) || isHidden(search)) {
+    const stateTag = document.createElement('div');
+    stateTag.className = 'manage-item-state';
+    stateTag.textContent = isPinned(search) ? '📌 Pinned' : 'Hidden from the popup';
+    content.appendChild(stateTag);
+  }
+  item.classList.toggle('hidden-search', isHidden(search));
+
+  const now = Date.now();
+  const usage = document.createElement('div');
+  usage.className = 'manage-item-usage';
+  usage.textContent = describeUsage(search, currentUsage, now);
+  if (isStale(search, currentUsage, now)) {
+    usage.classList.add('stale');
+    usage.textContent = `Stale · ${usage.textContent}`;
+    usage.title = `Not opened in over ${STALE_AFTER_DAYS} days`;
+  }
+  content.appendChild(usage);
+
+  const actions = document.createElement('div');
+  actions.className = 'manage-item-actions';
+
+  const upBtn = document.createElement('button');
+  upBtn.className = 'manage-item-btn';
+  upBtn.textContent = '↑';
+  upBtn.title = 'Move up';
+  upBtn.setAttribute('aria-label', `Move "${search.name}" up`);
+  upBtn.addEventListener('click', () => {
+    stepSearchAt(index, -1);
+  });
+
+  const downBtn = document.createElement('button');
+  downBtn.className = 'manage-item-btn';
+  downBtn.textContent = '↓';
+  downBtn.title = 'Move down';
+  downBtn.setAttribute('aria-label', `Move "${search.name}" down`);
+  downBtn.addEventListener('click', () => {
+    stepSearchAt(index, 1);
+  });
+
+  const pinBtn = document.createElement('button');
+  pinBtn.className = 'manage-item-btn';
+  pinBtn.textContent = isPinned(search) ? 'Unpin' : 'Pin';
+  pinBtn.setAttribute('aria-pressed', String(isPinned(search)));
+  pinBtn.setAttribute('aria-label', `Pin "${search.name}" to the top of the popup`);
+  pinBtn.addEventListener('click', () => {
+    toggleSearchState(index, 'pinned');
+  });
+
+  const hideBtn = document.createElement('button');
+  hideBtn.className = 'manage-item-btn';
+  hideBtn.textContent = isHidden(search) ? 'Show' : 'Hide';
+  hideBtn.setAttribute('aria-pressed', String(isHidden(search)));
+  hideBtn.setAttribute('aria-label', `Hide "${search.name}" from the popup`);
+  hideBtn.addEventListener('click', () => {
+    toggleSearchState(index, 'hidden');
+  });
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'manage-item-btn';
+  editBtn.textContent = 'Edit';
+  editBtn.addEventListener('click', () => {
+    showModal('Edit Search', search, index);
+  });
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'manage-item-btn manage-item-btn-delete';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', () => {
+    deleteSearch(index);
+  });
+
+  actions.appendChild(upBtn);
+  actions.appendChild(downBtn);
+  actions.appendChild(pinBtn);
+  actions.appendChild(hideBtn);
+  actions.appendChild(editBtn);
+  actions.appendChild(deleteBtn);
+
+  item.appendChild(checkbox);
+  item.appendChild(handle);
+  item.appendChild(content);
+  item.appendChild(actions);
+
+  // Keyboard reordering
+  item.addEventListener('keydown', (e) => {
+    if (e.target !== item || !e.altKey) return;
+
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      stepSearchAt(index, e.key === 'ArrowUp' ? -1 : 1);
+    }
+  });
 
-    actions.appendChild(editBtn);
-    actions.appendChild(deleteBtn);
+  // Drag-and-drop reordering
+  item.addEventListener('dragstart', (e) => {
+    draggedIndex = index;
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(index));
+  });
+
+  item.addEventListener('dragend', () => {
+    draggedIndex = null;
+    item.classList.remove('dragging');
+    clearDropIndicators();
+    applyPendingSync();
+  });
+
+  item.addEventListener('dragover', (e) => {
+    if (draggedIndex === null) return;
+    e.preventDefault();
+    e.stopPropagation();
 
-    item.appendChild(content);
-    item.appendChild(actions);
+    clearDropIndicators();
+    item.classList.add(isDropAfter(e, item) ? 'drop-after' : 'drop-before');
+  });
+
+  item.addEventListener('drop', (e) => {
+    if (draggedIndex === null) return;
+    e.preventDefault();
+    e.stopPropagation();
 
-    listContainer.appendChild(item);
+    const beforeIndex = isDropAfter(e, item) ? index + 1 : index;
+    dropSearch(beforeIndex, search.group);
   });
+
+  return item;
 }
 
 /**
  * Initializes the page
  */
 async function init() {
-  currentSearches = await loadSearches();
+  ({ searches: currentSearches, groups: currentGroups } = await loadCollection());
+  currentSettings = await loadSettings();
+  currentUsage = await loadUsage();
+  try {
+    commandKeys = await loadCommandKeys();
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading shortcuts:', error);
+  }
   render();
+  renderSettings();
+  renderLoadReport();
+  refreshAccountOptions();
+
+  // Old trash entries are dropped whenever the manage page opens
+  const trash = purgeTrash(await loadTrash(), currentSettings.trashRetentionDays, Date.now());
+  await saveTrash(trash);
+  renderTrash(trash);
+  renderHistory(await loadSnapshots());
 
   // Set up event listeners
   document.getElementById('addNewBtn').addEventListener('click', () => {
     showModal('Add New Search');
   });
 
+  document.getElementById('addGroupBtn').addEventListener('click', addGroup);
   document.getElementById('resetBtn').addEventListener('click', resetToDefaults);
+  document.getElementById('toastUndo').addEventListener('click', undoLastChange);
+  document.getElementById('toastClose').addEventListener('click', hideToast);
+  document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+  document.getElementById('trashRetentionDays').addEventListener('change', saveTrashRetention);
+  document.getElementById('showRecent').addEventListener('change', toggleShowRecent);
+  document.getElementById('pinnedStyle').addEventListener('change', savePinnedStyle);
+  document.getElementById('stateFilter').addEventListener('change', changeStateFilter);
+  document.getElementById('selectAll').addEventListener('change', toggleSelectAll);
+  document.getElementById('bulkDeleteBtn').addEventListener('click', deleteSelection);
+  document.getElementById('bulkDuplicateBtn').addEventListener('click', duplicateSelection);
+  document.getElementById('bulkGroup').addEventListener('change', moveSelection);
+  document.getElementById('bulkHideBtn').addEventListener('click', () => setSelectionHidden(true));
+  document.getElementById('bulkShowBtn').addEventListener('click', () => setSelectionHidden(false));
+  document.getElementById('bulkExportBtn').addEventListener('click', exportSelection);
+  document.getElementById('bulkClearBtn').addEventListener('click', clearSelection);
+  document.getElementById('clearUsageBtn').addEventListener('click', clearUsageStats);
+  document.getElementById('loadReportDismiss').addEventListener('click', dismissReport);
+
+  document.getElementById('exportBtn').addEventListener('click', () => exportSearches());
+  document.getElementById('importBtn').addEventListener('click', () => {
+    document.getElementById('importFile').click();
+  });
+  document.getElementById('importFile').addEventListener('change', readImportFile);
+  document.querySelectorAll('input[name="importMode"]').forEach((radio) => {
+    radio.addEventListener('change', renderImportPreview);
+  });
+  document.getElementById('importClose').addEventListener('click', hideImportModal);
+  document.getElementById('importCancel').addEventListener('click', hideImportModal);
+  document.getElementById('importConfirm').addEventListener('click', confirmImport);
+  document.getElementById('importModal').addEventListener('click', (e) => {
+    if (e.target.id === 'importModal') {
+      hideImportModal();
+    }
+  });
 
   document.getElementById('modalClose').addEventListener('click', hideModal);
   document.getElementById('modalCancel').addEventListener('click', hideModal);
@@ -522,9 +2411,63 @@ async function init() {
     }
   });
 
+  // Query builder
+  renderBuilderChoices();
+  document.getElementById('queryModeBuilder').addEventListener('click', () => setQueryMode('builder'));
+  document.getElementById('queryModeRaw').addEventListener('click', () => setQueryMode('raw'));
+  document.querySelectorAll('#queryBuilder input, #queryBuilder select').forEach((field) => {
+    field.addEventListener('input', updateQueryFromBuilder);
+    field.addEventListener('change', updateQueryFromBuilder);
+    field.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        saveModal();
+      }
+    });
+  });
+
   // Real-time validation
   document.getElementById('searchName').addEventListener('input', validateNameInput);
   document.getElementById('searchQuery').addEventListener('input', validateQueryInput);
+  document.getElementById('searchAccount').addEventListener('input', validateAccountInput);
+  document.getElementById('searchIcon').addEventListener('input', validateMetadataInput);
+  document.getElementById('searchDescription').addEventListener('input', validateMetadataInput);
+
+  document.getElementById('defaultAccount').addEventListener('change', saveDefaultAccount);
+  document.getElementById('openIn').addEventListener('change', saveOpenIn);
+  document.getElementById('gmailPanel').addEventListener('change', toggleGmailPanel);
+  document.getElementById('syncEnabled').addEventListener('change', toggleSync);
+  document.getElementById('replaceSyncBtn').addEventListener('click', replaceSyncedCopy);
+  document.getElementById('shortcutSettingsBtn').addEventListener('click', openShortcutSettings);
+  ['countsEnabled', 'countProvider', 'countRefreshMinutes', 'badgeSearchId'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', saveCountSettings);
+  });
+  document.getElementById('countSignInBtn').addEventListener('click', signInForCounts);
+
+  // Keys may have been changed in Chrome's shortcut settings meanwhile
+  window.addEventListener('focus', async () => {
+    try {
+      commandKeys = await loadCommandKeys();
+      renderShortcuts();
+    } catch (error) {
+      console.error('[Gmail Quick Search] Error loading shortcuts:', error);
+    }
+  });
+
+  // Pick up edits synced from another device, but not this page's own
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && currentSettings.syncEnabled && !isOwnSyncChange(changes)) {
+      pickUpSyncedChanges();
+    }
+    // Counts arrive as the background worker finishes them
+    if (areaName === 'local' && changes[COUNTS_KEY]) {
+      renderCountStatus();
+    }
+    // Searches opened elsewhere while this page is open
+    if (areaName === 'local' && changes[USAGE_KEY]) {
+      currentUsage = changes[USAGE_KEY].newValue || {};
+      render();
+    }
+  });
 
   // Handle Enter key in inputs
   document.getElementById('searchName').addEventListener('keypress', (e) => {
@@ -539,9 +2482,24 @@ async function init() {
     }
   });
 
-  // Check if opened with action=add
+  document.getElementById('searchAccount').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      saveModal();
+    }
+  });
+
+  // Check if opened with action=add, possibly with a search from Gmail
   const params = new URLSearchParams(window.location.search);
-  if (params.get('action') === 'add') {
+  if (params.get('action') === 'add' && params.get('q')) {
+    showModal('Save Gmail Search', {
+      name: params.get('name') || '',
+      q: params.get('q'),
+      account: params.get('account')
+    });
+    // Show problems and duplicates before the user changes anything
+    validateNameInput();
+    validateQueryInput();
+  } else if (params.get('action') === 'add') {
     showModal('Add New Search');
   }
 }
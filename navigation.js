@@ -0,0 +1,334 @@
+/**
+ * Gmail Quick Search - Navigation
+ * Multi-account URL building, account detection, Gmail tab matching and
+ * where searches open
+ */
+
+'use strict';
+
+const GMAIL_MAIL_URL = 'https://mail.google.com/mail/';
+
+// Gmail accepts either the account index or the account email after /u/
+const ACCOUNT_PATH_PATTERN = /^https:\/\/mail\.google\.com\/mail\/(?:u\/([^/?#]+)\/?)?/i;
+const EMAIL_PATTERN = /^[^\s@/?#]+@[^\s@/?#]+\.[^\s@/?#]+$/;
+// Gmail tab titles look like "Inbox (3) - someone@example.com - Gmail"
+const TITLE_EMAIL_PATTERN = /([^\s()<>"]+@[^\s()<>"]+\.[^\s()<>"]+)/;
+
+// Where searches open (the openIn setting). Shift-click also allows 'newWindow'.
+const OPEN_MODES = {
+  reuse: 'The Gmail tab for the search\'s account',
+  dedicatedTab: 'A dedicated search tab (leaves your inbox tab alone)',
+  currentTab: 'The current tab',
+  newTab: 'A new tab',
+  backgroundTab: 'A new background tab'
+};
+const DISPOSITION_MODES = {
+  currentTab: 'currentTab',
+  newForegroundTab: 'newTab',
+  newBackgroundTab: 'backgroundTab'
+};
+// Id of the dedicated search tab, kept in session storage: tab ids are
+// reused after a browser restart
+const SEARCH_TAB_KEY = 'gmail-quick-search-search-tab';
+
+/**
+ * Normalizes an account reference to an index, a lowercase email, or null
+ */
+function normalizeAccount(value) {
+  if (value === null || value === undefined) return null;
+
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+  }
+
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  if (trimmed.length === 0) return null;
+
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+
+  return EMAIL_PATTERN.test(trimmed) ? trimmed.toLowerCase() : null;
+}
+
+/**
+ * Validates a user-entered account reference (blank means "use the default")
+ */
+function validateAccount(value) {
+  if (value === null || value === undefined || String(value).trim().length === 0) {
+    return { valid: true };
+  }
+
+  if (normalizeAccount(value) === null) {
+    return { valid: false, error: 'Account must be an index (0, 1, 2…) or an email address' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Picks the account for a search, falling back to the default account setting
+ */
+function resolveAccount(search, settings) {
+  const own = normalizeAccount(search && search.account);
+  if (own !== null) return own;
+
+  const fallback = normalizeAccount(settings && settings.defaultAccount);
+  return fallback !== null ? fallback : 0;
+}
+
+/**
+ * Extracts the account index and email from a Gmail tab, or null for other tabs
+ */
+function parseGmailTab(tab) {
+  if (!tab || typeof tab.url !== 'string') return null;
+
+  const match = ACCOUNT_PATH_PATTERN.exec(tab.url);
+  if (!match) return null;
+
+  let segment = '0';
+  if (match[1]) {
+    try {
+      segment = decodeURIComponent(match[1]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const info = { index: null, email: null };
+  const account = normalizeAccount(segment);
+
+  if (typeof account === 'number') {
+    info.index = account;
+  } else if (typeof account === 'string') {
+    info.email = account;
+  }
+
+  if (!info.email && typeof tab.title === 'string') {
+    const titleMatch = TITLE_EMAIL_PATTERN.exec(tab.title);
+    if (titleMatch) {
+      info.email = titleMatch[1].toLowerCase();
+    }
+  }
+
+  return info;
+}
+
+/**
+ * The query in a Gmail #search/ hash, or null for any other view.
+ * Anything after the query (an open message, a page) is ignored.
+ */
+function parseSearchHash(hash) {
+  const match = /^#search\/([^/]*)/.exec(hash || '');
+  if (!match) return null;
+
+  try {
+    return decodeURIComponent(match[1].replace(/\+/g, ' '));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Lists the distinct accounts open in Gmail tabs, ordered by index
+ */
+function detectOpenAccounts(tabs) {
+  const accounts = [];
+
+  (tabs || []).forEach((tab) => {
+    const info = parseGmailTab(tab);
+    if (!info) return;
+
+    const existing = accounts.find(a =>
+      (info.index !== null && a.index === info.index) ||
+      (info.email !== null && a.email === info.email)
+    );
+
+    if (existing) {
+      if (existing.index === null) existing.index = info.index;
+      if (existing.email === null) existing.email = info.email;
+    } else {
+      accounts.push(info);
+    }
+  });
+
+  return accounts.sort((a, b) => {
+    const ai = a.index === null ? Infinity : a.index;
+    const bi = b.index === null ? Infinity : b.index;
+    return ai - bi;
+  });
+}
+
+/**
+ * Checks whether parsed tab info belongs to the given account
+ */
+function accountMatches(info, account) {
+  if (!info || account === null) return false;
+
+  if (typeof account === 'number') {
+    return info.index === account;
+  }
+
+  return info.email === account;
+}
+
+/**
+ * Finds the Gmail tab showing the given account
+ */
+function findGmailTab(tabs, account) {
+  return (tabs || []).find(tab => accountMatches(parseGmailTab(tab), account)) || null;
+}
+
+/**
+ * Builds the Gmail search URL for a query and account.
+ * Date macros like {today} are expanded here, at the moment of opening.
+ */
+function buildSearchUrl(query, account, now = new Date()) {
+  const normalized = normalizeAccount(account);
+  const segment = normalized === null ? 0 : normalized;
+
+  return GMAIL_MAIL_URL + 'u/' + segment + '/#search/' + encodeURIComponent(expandDateMacros(query, now));
+}
+
+/**
+ * Opens a Gmail search for an account, reusing that account's tab if one is open
+ */
+async function openGmailSearch(query, account) {
+  const tabs = await chrome.tabs.query({ url: GMAIL_MAIL_URL + '*' });
+  const target = normalizeAccount(account);
+  const gmailTab = findGmailTab(tabs, target === null ? 0 : target);
+
+  // Keep the tab on its /u/N/ path so Gmail doesn't reload into another account
+  const info = parseGmailTab(gmailTab);
+  const gmailUrl = buildSearchUrl(query, info && info.index !== null ? info.index : target);
+
+  if (gmailTab) {
+    await chrome.tabs.update(gmailTab.id, {
+      active: true,
+      url: gmailUrl
+    });
+
+    // Focus the window containing the tab
+    await chrome.windows.update(gmailTab.windowId, { focused: true });
+  } else {
+    await chrome.tabs.create({ url: gmailUrl });
+  }
+}
+
+/**
+ * Picks the open mode for a click: Ctrl/Cmd-click and middle-click open a
+ * background tab, Shift-click a new window, anything else uses the setting
+ */
+function openModeForClick(event, defaultMode) {
+  if (event && (event.ctrlKey || event.metaKey || event.button === 1)) return 'backgroundTab';
+  if (event && event.shiftKey) return 'newWindow';
+  return Object.prototype.hasOwnProperty.call(OPEN_MODES, defaultMode) ? defaultMode : 'reuse';
+}
+
+/**
+ * Loads a URL in the dedicated search tab, opening one if it was closed
+ */
+async function openInDedicatedTab(url) {
+  const stored = await chrome.storage.session.get([SEARCH_TAB_KEY]);
+  const tabId = stored[SEARCH_TAB_KEY];
+
+  if (typeof tabId === 'number') {
+    try {
+      const tab = await chrome.tabs.update(tabId, { active: true, url });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      return;
+    } catch (error) {
+      // Closed since; open a new one below
+    }
+  }
+
+  const tab = await chrome.tabs.create({ url });
+  await chrome.storage.session.set({ [SEARCH_TAB_KEY]: tab.id });
+}
+
+/**
+ * Opens a Gmail search in an open mode (see OPEN_MODES, plus 'newWindow').
+ * search is the saved search being opened, if any, so its use is recorded.
+ */
+async function openGmailSearchIn(query, account, mode, search = null) {
+  // Before opening: the popup may close as the tab changes
+  if (search) await recordSearchUse([search]);
+
+  if (mode === 'reuse' || !mode) {
+    await openGmailSearch(query, account);
+    return;
+  }
+
+  const gmailUrl = buildSearchUrl(query, account);
+
+  if (mode === 'newTab' || mode === 'backgroundTab') {
+    await chrome.tabs.create({ url: gmailUrl, active: mode === 'newTab' });
+  } else if (mode === 'newWindow') {
+    await chrome.windows.create({ url: gmailUrl });
+  } else if (mode === 'dedicatedTab') {
+    await openInDedicatedTab(gmailUrl);
+  } else {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (activeTab) {
+      await chrome.tabs.update(activeTab.id, { url: gmailUrl });
+    } else {
+      await chrome.tabs.create({ url: gmailUrl });
+    }
+  }
+}
+
+/**
+ * Opens a Gmail search where an omnibox disposition asks for it:
+ * 'currentTab', 'newForegroundTab' or 'newBackgroundTab'
+ */
+async function openGmailSearchInDisposition(query, account, disposition, search = null) {
+  await openGmailSearchIn(query, account, DISPOSITION_MODES[disposition] || 'currentTab', search);
+}
+
+/**
+ * Opens several searches ({ query, account, search } each) in new tabs
+ * after the current one, in order, then brings the first to the front
+ * unless focusFirst is false. Tabs open in the background first so the
+ * popup stays alive until they all exist.
+ */
+async function openGmailSearchesInTabs(entries, { focusFirst = true } = {}) {
+  const searches = entries.map(entry => entry.search).filter(Boolean);
+  if (searches.length > 0) await recordSearchUse(searches);
+
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const created = [];
+
+  for (const [i, { query, account }] of entries.entries()) {
+    const options = { url: buildSearchUrl(query, account), active: false };
+    if (activeTab) options.index = activeTab.index + 1 + i;
+    created.push(await chrome.tabs.create(options));
+  }
+
+  if (focusFirst && created.length > 0) {
+    await chrome.tabs.update(created[0].id, { active: true });
+  }
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GMAIL_MAIL_URL,
+    OPEN_MODES,
+    normalizeAccount,
+    validateAccount,
+    resolveAccount,
+    parseGmailTab,
+    parseSearchHash,
+    detectOpenAccounts,
+    accountMatches,
+    findGmailTab,
+    buildSearchUrl,
+    openGmailSearch,
+    openModeForClick,
+    openGmailSearchIn,
+    openGmailSearchInDisposition,
+    openGmailSearchesInTabs
+  };
+}
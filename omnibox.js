@@ -0,0 +1,89 @@
+/**
+ * Gmail Quick Search - Omnibox
+ * Address bar suggestions for saved searches (keyword "gm")
+ */
+
+'use strict';
+
+const OMNIBOX_MAX_SUGGESTIONS = 6;
+// Separates a search's name from its query in suggestion content
+const OMNIBOX_SEPARATOR = ' → ';
+
+/**
+ * Escapes text for the omnibox description markup
+ */
+function escapeOmniboxXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Escapes text, wrapping the given [start, end) ranges in <match>
+ */
+function highlightOmniboxText(text, ranges) {
+  let result = '';
+  let position = 0;
+
+  ranges.forEach(([start, end]) => {
+    result += escapeOmniboxXml(text.slice(position, start));
+    result += '<match>' + escapeOmniboxXml(text.slice(start, end)) + '</match>';
+    position = end;
+  });
+
+  return result + escapeOmniboxXml(text.slice(position));
+}
+
+/**
+ * The text a suggestion puts in the address bar when it is selected
+ */
+function omniboxContent(search) {
+  return search.name + OMNIBOX_SEPARATOR + search.q;
+}
+
+/**
+ * Builds suggestions for what has been typed after the keyword, best
+ * matches first. With nothing typed the first saved searches are offered.
+ * Hidden searches are never suggested.
+ */
+function buildOmniboxSuggestions(allSearches, text) {
+  const searches = visibleSearches(allSearches);
+  const matches = text.trim()
+    ? filterSearches(searches, text)
+    : searches.map((search, index) => ({ search, index, nameRanges: [], queryRanges: [] }));
+
+  return matches.slice(0, OMNIBOX_MAX_SUGGESTIONS).map(({ search, nameRanges, queryRanges }) => ({
+    content: omniboxContent(search),
+    description: highlightOmniboxText(search.name, nameRanges) +
+      ' <dim>' + highlightOmniboxText(search.q, queryRanges) + '</dim>'
+  }));
+}
+
+/**
+ * Works out what was chosen: a saved search when the text is one of our
+ * suggestions, otherwise a raw Gmail query ({ error } when it can't be
+ * opened)
+ */
+function resolveOmniboxInput(text, searches) {
+  const search = visibleSearches(searches).find(s => omniboxContent(s) === text);
+  if (search) return { search };
+
+  const query = text.trim();
+  const validation = validateTypedQuery(query);
+  return validation.valid ? { query } : { error: validation.error };
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    OMNIBOX_MAX_SUGGESTIONS,
+    escapeOmniboxXml,
+    highlightOmniboxText,
+    omniboxContent,
+    buildOmniboxSuggestions,
+    resolveOmniboxInput
+  };
+}
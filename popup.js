@@ -5,108 +5,695 @@
 
 'use strict';
 
-const STORAGE_KEY = 'gmail-saved-searches-v1';
+let currentSettings = { ...DEFAULT_SETTINGS };
+let collapsedGroups = new Set();
+let currentSearches = [];
+let currentGroups = [];
+// Recently used values for each template placeholder
+let templateRecents = {};
+// Whether counts are turned on and there is a provider to count with
+let countsShown = false;
+// Cached result counts (search id -> entry), when counts are turned on
+let currentCounts = {};
+// How often and when each search was opened (search id -> entry)
+let currentUsage = {};
+// Position of the keyboard-selected row among the visible rows
+let selectedOption = -1;
 
-const DEFAULT_SEARCHES = [
-  { name: "Unread", q: "is:unread" },
-  { name: "Unread Archived", q: "is:unread -in:inbox" },
-  { name: "Needs Reply", q: "from:* has:nouserlabels -category:social -category:promotions -category:updates -category:forums -category:advertisements -category:reservations -category:purchases is:unread" },
-  { name: "Should Archive", q: "-has:nouserlabels in:inbox is:read -is:starred" },
-  { name: "Attachments", q: "has:attachment" },
-  { name: "Receipts", q: "category:purchases OR newer_than:1y subject:(receipt OR invoice)" },
-  { name: "Starred", q: "is:starred" },
-  { name: "Calendar", q: "-from:(me) subject:(\"invitation\" OR \"accepted\" OR \"rejected\" OR \"updated\" OR \"canceled event\" OR \"declined\" OR \"proposed\") when where calendar who organizer -Re" }
-];
+// Opening more tabs than this at once asks first
+const MAX_TABS_WITHOUT_ASKING = 10;
 
 /**
- * Loads searches from storage
+ * Navigates to a Gmail search in the search's account. search is the saved
+ * search being opened, if any, so its use can be recorded.
  */
-async function loadSearches() {
+async function navigateToSearch(query, account, mode = currentSettings.openIn, search = null) {
   try {
-    const result = await chrome.storage.local.get([STORAGE_KEY]);
-    const searches = result[STORAGE_KEY];
+    await openGmailSearchIn(query, account, mode, search);
 
-    if (!searches || !Array.isArray(searches) || searches.length === 0) {
-      return DEFAULT_SEARCHES;
+    // Background tabs leave the popup open for picking more
+    if (mode !== 'backgroundTab') {
+      window.close();
+    } else if (search) {
+      currentUsage = await loadUsage();
     }
-
-    return searches;
   } catch (error) {
-    console.error('[Gmail Quick Search] Error loading searches:', error);
-    return DEFAULT_SEARCHES;
+    console.error('[Gmail Quick Search] Error navigating:', error);
   }
 }
 
 /**
- * Navigates to a Gmail search
+ * Shows a message in the status line under the list (hidden when empty)
  */
-async function navigateToSearch(query) {
-  try {
-    // Find Gmail tab or create new one
-    const tabs = await chrome.tabs.query({});
-    const gmailTab = tabs.find(tab => tab.url && tab.url.includes('mail.google.com'));
-
-    const searchHash = '#search/' + encodeURIComponent(query);
-    const gmailUrl = 'https://mail.google.com/mail/u/0/' + searchHash;
-
-    if (gmailTab) {
-      // Update existing Gmail tab
-      await chrome.tabs.update(gmailTab.id, {
-        active: true,
-        url: gmailUrl
-      });
-
-      // Focus the window containing the tab
-      await chrome.windows.update(gmailTab.windowId, { focused: true });
+function showPopupStatus(message) {
+  const status = document.getElementById('popupStatus');
+  status.textContent = message;
+  status.hidden = !message;
+}
+
+/**
+ * Opens several searches in tabs of their own. Templates use the values
+ * typed last and are skipped until they have some; then the tabs open in
+ * the background and the popup stays open to say which were skipped.
+ */
+async function openSearchesInTabs(searches) {
+  const entries = [];
+  const skipped = [];
+
+  searches.forEach((search) => {
+    const query = isTemplate(search.q) ? fillFromRecentValues(search.q, templateRecents) : search.q;
+    if (query) {
+      entries.push({ query, account: resolveAccount(search, currentSettings), search });
     } else {
-      // Open new Gmail tab
-      await chrome.tabs.create({ url: gmailUrl });
+      skipped.push(`"${search.name}"`);
     }
+  });
+
+  const one = skipped.length === 1;
+  showPopupStatus(skipped.length > 0
+    ? `Skipped template${one ? '' : 's'} ${skipped.join(', ')}: open ${one ? 'it' : 'each'} once to give ${one ? 'it' : 'them'} values`
+    : '');
+
+  if (entries.length === 0) return;
+  if (entries.length > MAX_TABS_WITHOUT_ASKING && !confirm(`Open ${entries.length} tabs?`)) return;
 
-    // Close popup
-    window.close();
+  try {
+    // Bringing a tab forward would close the popup and its message
+    await openGmailSearchesInTabs(entries, { focusFirst: skipped.length === 0 });
+    if (skipped.length === 0) window.close();
   } catch (error) {
-    console.error('[Gmail Quick Search] Error navigating:', error);
+    console.error('[Gmail Quick Search] Error opening searches:', error);
+  }
+}
+
+/**
+ * Runs open(mode) when a row is clicked or middle-clicked, with the mode
+ * the click's modifier keys ask for
+ */
+function addOpenHandlers(item, open) {
+  item.addEventListener('click', e => open(openModeForClick(e, currentSettings.openIn)));
+  item.addEventListener('auxclick', (e) => {
+    if (e.button === 1) open('backgroundTab');
+  });
+  // Keep middle-click from starting autoscroll
+  item.addEventListener('mousedown', (e) => {
+    if (e.button === 1) e.preventDefault();
+  });
+}
+
+/**
+ * Appends text with the given [start, end) ranges wrapped in <mark>
+ */
+function appendHighlighted(element, text, ranges) {
+  let position = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > position) {
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+    }
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    position = end;
+  });
+
+  if (position < text.length) {
+    element.appendChild(document.createTextNode(text.slice(position)));
   }
 }
 
 /**
- * Renders the search list
+ * Creates the result count chip for a search: the count, "…" while it is
+ * being counted, or the last count flagged with what went wrong. Null when
+ * counts are off or the search can't be counted (templates).
+ */
+function createCountChip(search) {
+  if (!countsShown || countableQuery(search) === null) return null;
+
+  const { text, state, title } = describeCount(findCountEntry(currentCounts, search));
+  const chip = document.createElement('div');
+  chip.className = `search-item-count ${state}`;
+  chip.textContent = text;
+  chip.title = title;
+  return chip;
+}
+
+/**
+ * Swaps in new counts on the rows already shown, keeping the selection
  */
-function renderSearchList(searches) {
+function updateCountChips() {
+  document.querySelectorAll('#searchList .search-item[data-search-id]').forEach((item) => {
+    const search = currentSearches.find(s => s.id === item.dataset.searchId);
+    const chip = item.querySelector('.search-item-count');
+    if (search && chip) {
+      chip.replaceWith(createCountChip(search));
+    }
+  });
+}
+
+/**
+ * Creates a clickable row for one search, highlighting filter matches
+ */
+function createSearchItem(search, match = null) {
+  const item = document.createElement('div');
+  item.className = 'search-item';
+  item.setAttribute('role', 'option');
+  if (search.id) item.dataset.searchId = search.id;
+  applySearchColor(item, search);
+
+  if (search.icon) {
+    const icon = document.createElement('span');
+    icon.className = 'search-item-icon';
+    icon.textContent = search.icon;
+    icon.setAttribute('aria-hidden', 'true');
+    item.appendChild(icon);
+  }
+
+  const name = document.createElement('div');
+  name.className = 'search-item-name';
+  // Security: use textContent
+  appendHighlighted(name, search.name, match ? match.nameRanges : []);
+
+  item.appendChild(name);
+
+  if (search.description) {
+    const description = document.createElement('div');
+    description.className = 'search-item-description';
+    description.textContent = search.description;
+    item.appendChild(description);
+  }
+
+  // Show the query when that's where the filter matched
+  if (match && match.queryRanges.length > 0) {
+    const query = document.createElement('div');
+    query.className = 'search-item-query';
+    appendHighlighted(query, search.q, match.queryRanges);
+    item.appendChild(query);
+  }
+
+  const account = normalizeAccount(search.account);
+  if (account !== null) {
+    const accountTag = document.createElement('div');
+    accountTag.className = 'search-item-account';
+    accountTag.textContent = typeof account === 'number' ? `u/${account}` : account;
+    item.appendChild(accountTag);
+  }
+
+  const countChip = createCountChip(search);
+  if (countChip) {
+    item.appendChild(countChip);
+  }
+
+  // Templates ask for their values before opening
+  const template = isTemplate(search.q);
+  if (template) {
+    const templateTag = document.createElement('div');
+    templateTag.className = 'search-item-template';
+    templateTag.textContent = '{ }';
+    templateTag.title = `Asks for: ${getPlaceholders(search.q).join(', ')}`;
+    item.appendChild(templateTag);
+  }
+
+  addOpenHandlers(item, mode => openSavedSearch(search, mode, item));
+
+  // Add tooltip showing the query (and description) on hover
+  item.title = search.description ? `${search.description}\n${search.q}` : search.q;
+
+  return item;
+}
+
+/**
+ * Marks an element with a search's colour tag, if it has one
+ */
+function applySearchColor(element, search) {
+  const color = searchColorValue(search.color);
+  if (!color) return;
+
+  element.classList.add('has-color');
+  element.style.setProperty('--search-color', color);
+}
+
+/**
+ * Opens a saved search, asking for a template's values first in a form
+ * placed after anchor
+ */
+function openSavedSearch(search, mode, anchor) {
+  if (isTemplate(search.q)) {
+    showTemplateForm(anchor, search, mode);
+  } else {
+    navigateToSearch(search.q, resolveAccount(search, currentSettings), mode, search);
+  }
+}
+
+/**
+ * Closes the open template form, if any
+ */
+function hideTemplateForm() {
+  const form = document.querySelector('#searchList .template-form');
+  if (form) form.remove();
+}
+
+/**
+ * Shows an inline form under a template's row asking for each placeholder,
+ * prefilled with the value used last time
+ */
+function showTemplateForm(item, search, mode) {
+  hideTemplateForm();
+
+  const form = document.createElement('form');
+  form.className = 'template-form';
+  form.noValidate = true;
+
+  const inputs = {};
+  getPlaceholders(search.q).forEach((name) => {
+    const recent = Array.isArray(templateRecents[name]) ? templateRecents[name] : [];
+
+    const label = document.createElement('label');
+    label.className = 'template-field';
+    label.textContent = name;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'template-input';
+    input.value = recent[0] || '';
+    input.setAttribute('list', `template-recent-${name}`);
+    input.maxLength = 200;
+    label.appendChild(input);
+
+    const datalist = document.createElement('datalist');
+    datalist.id = `template-recent-${name}`;
+    recent.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      datalist.appendChild(option);
+    });
+
+    form.appendChild(label);
+    form.appendChild(datalist);
+    inputs[name] = input;
+  });
+
+  const error = document.createElement('div');
+  error.className = 'template-error';
+  error.setAttribute('role', 'alert');
+  form.appendChild(error);
+
+  const actions = document.createElement('div');
+  actions.className = 'template-actions';
+
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'template-btn';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => {
+    hideTemplateForm();
+    document.getElementById('filterInput').focus();
+  });
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'template-btn template-btn-primary';
+  submit.textContent = 'Open';
+
+  actions.appendChild(cancel);
+  actions.appendChild(submit);
+  form.appendChild(actions);
+
+  form.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      cancel.click();
+    }
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitTemplateForm(search, inputs, error, mode);
+  });
+
+  item.after(form);
+
+  const first = Object.values(inputs)[0];
+  first.focus();
+  first.select();
+}
+
+/**
+ * Validates the typed values, remembers them and opens the filled search
+ */
+async function submitTemplateForm(search, inputs, errorDiv, mode) {
+  const values = {};
+  Object.keys(inputs).forEach((name) => {
+    values[name] = inputs[name].value;
+  });
+
+  const check = validateTemplateValues(search.q, values);
+  if (!check.valid) {
+    errorDiv.textContent = `⚠️ ${check.error}`;
+    inputs[check.name].focus();
+    return;
+  }
+
+  const query = fillTemplate(search.q, values);
+  const validation = validateGmailQuery(query);
+  if (!validation.valid) {
+    errorDiv.textContent = `⚠️ ${validation.error}`;
+    return;
+  }
+
+  templateRecents = rememberTemplateValues(templateRecents, values);
+  await saveUiState({ templateRecents });
+
+  navigateToSearch(query, resolveAccount(search, currentSettings), mode, search);
+}
+
+/**
+ * Creates the row that searches Gmail for the filter text itself, or says
+ * why the text can't be searched for
+ */
+function createFallbackItem(text) {
+  const item = document.createElement('div');
+  item.className = 'search-item search-item-fallback';
+  item.setAttribute('role', 'option');
+
+  const name = document.createElement('div');
+  name.className = 'search-item-name';
+  item.appendChild(name);
+
+  const validation = validateTypedQuery(text);
+  if (!validation.valid) {
+    item.classList.add('search-item-invalid');
+    item.setAttribute('aria-disabled', 'true');
+    name.textContent = `⚠️ ${validation.error}`;
+    return item;
+  }
+
+  name.textContent = `🔍 Search Gmail for "${text}"`;
+  addOpenHandlers(item, (mode) => {
+    navigateToSearch(text, resolveAccount({}, currentSettings), mode);
+  });
+
+  return item;
+}
+
+/**
+ * Creates the row that opens every filter match in its own tab
+ */
+function createOpenAllItem(searches) {
+  const item = document.createElement('div');
+  item.className = 'search-item search-item-open-all';
+  item.setAttribute('role', 'option');
+
+  const name = document.createElement('div');
+  name.className = 'search-item-name';
+  name.textContent = `Open all ${searches.length} matches in tabs`;
+  item.appendChild(name);
+
+  item.addEventListener('click', () => openSearchesInTabs(searches));
+
+  return item;
+}
+
+/**
+ * Rows the keyboard can reach (items in collapsed groups are skipped)
+ */
+function getVisibleOptions() {
+  return Array.from(document.querySelectorAll('#searchList .search-item'))
+    .filter(item => !item.closest('.group-section.collapsed'));
+}
+
+/**
+ * Marks the row at position as selected and keeps it in view
+ */
+function selectOption(position) {
+  const options = getVisibleOptions();
+  const filterInput = document.getElementById('filterInput');
+
+  selectedOption = options.length === 0 ? -1 : Math.max(-1, Math.min(position, options.length - 1));
+
+  options.forEach((item, i) => {
+    item.id = `search-option-${i}`;
+    item.classList.toggle('selected', i === selectedOption);
+    item.setAttribute('aria-selected', String(i === selectedOption));
+  });
+
+  if (selectedOption >= 0) {
+    filterInput.setAttribute('aria-activedescendant', options[selectedOption].id);
+    if (options[selectedOption].scrollIntoView) {
+      options[selectedOption].scrollIntoView({ block: 'nearest' });
+    }
+  } else {
+    filterInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Arrow keys move the selection, Enter opens it, Escape clears the filter
+ */
+function handleFilterKeydown(e) {
+  const options = getVisibleOptions();
+
+  if (e.key === 'ArrowDown') {
+    e.preventDefault();
+    selectOption(selectedOption + 1 >= options.length ? 0 : selectedOption + 1);
+  } else if (e.key === 'ArrowUp') {
+    e.preventDefault();
+    selectOption(selectedOption <= 0 ? options.length - 1 : selectedOption - 1);
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    const item = options[selectedOption >= 0 ? selectedOption : 0];
+    // Ctrl/Cmd+Enter and Shift+Enter work like the same click
+    if (item) {
+      item.dispatchEvent(new MouseEvent('click', { ctrlKey: e.ctrlKey, metaKey: e.metaKey, shiftKey: e.shiftKey }));
+    }
+  } else if (e.key === 'Escape' && e.target.value) {
+    // Keep the popup open; a second Escape closes it as usual
+    e.preventDefault();
+    e.target.value = '';
+    renderSearchList(currentSearches, currentGroups);
+  }
+}
+
+/**
+ * Re-renders the list for the current filter text
+ */
+function applyFilter() {
+  renderSearchList(currentSearches, currentGroups, document.getElementById('filterInput').value);
+}
+
+/**
+ * Toggles a group open/closed and remembers the choice
+ */
+function toggleGroup(groupId, section) {
+  if (collapsedGroups.has(groupId)) {
+    collapsedGroups.delete(groupId);
+  } else {
+    collapsedGroups.add(groupId);
+  }
+
+  const collapsed = collapsedGroups.has(groupId);
+  section.classList.toggle('collapsed', collapsed);
+  section.querySelector('.group-header').setAttribute('aria-expanded', String(!collapsed));
+
+  saveUiState({ collapsedGroups: Array.from(collapsedGroups) });
+}
+
+/**
+ * Renders the matches for the filter text, best first, or the Gmail
+ * fallback row when nothing matches
+ */
+function renderFilteredList(listContainer, searches, filterText) {
+  const matches = filterSearches(searches || [], filterText);
+
+  if (matches.length === 0) {
+    listContainer.appendChild(createFallbackItem(filterText.trim()));
+  } else {
+    matches.forEach((match) => {
+      listContainer.appendChild(createSearchItem(match.search, match));
+    });
+
+    if (matches.length > 1) {
+      listContainer.appendChild(createOpenAllItem(matches.map(match => match.search)));
+    }
+  }
+
+  selectOption(0);
+}
+
+/**
+ * Creates the Pinned section at the top of the list: full rows, or a row
+ * of compact buttons when the pinnedStyle setting asks for them
+ */
+function createPinnedSection(searches) {
+  const section = document.createElement('div');
+  section.className = 'group-section pinned-section';
+
+  const heading = document.createElement('div');
+  heading.className = 'section-heading';
+  heading.textContent = 'Pinned';
+  section.appendChild(heading);
+
+  if (currentSettings.pinnedStyle !== 'compact') {
+    const body = document.createElement('div');
+    body.className = 'group-items';
+    searches.forEach((search) => {
+      body.appendChild(createSearchItem(search));
+    });
+    section.appendChild(body);
+    return section;
+  }
+
+  const row = document.createElement('div');
+  row.className = 'pinned-icons';
+  searches.forEach((search) => {
+    const button = document.createElement('button');
+    button.className = 'pinned-icon';
+    button.textContent = compactLabel(search);
+    applySearchColor(button, search);
+    // Security: the name only ever goes into attributes and textContent
+    button.title = search.name;
+    button.setAttribute('aria-label', search.name);
+    addOpenHandlers(button, mode => openSavedSearch(search, mode, row));
+    row.appendChild(button);
+  });
+  section.appendChild(row);
+
+  return section;
+}
+
+/**
+ * Creates the Recent section shown above the groups, for searches taken
+ * out of them
+ */
+function createRecentSection(searches) {
+  const section = document.createElement('div');
+  section.className = 'group-section recent-section';
+
+  const heading = document.createElement('div');
+  heading.className = 'section-heading';
+  heading.textContent = 'Recent';
+
+  const body = document.createElement('div');
+  body.className = 'group-items';
+  searches.forEach((search) => {
+    body.appendChild(createSearchItem(search));
+  });
+
+  section.appendChild(heading);
+  section.appendChild(body);
+  return section;
+}
+
+/**
+ * Saves the popup's sort order and redraws the list with it
+ */
+async function changeSortMode(e) {
+  const popupSort = e.target.value;
+  currentSettings.popupSort = popupSort;
+  applyFilter();
+
+  const saved = await saveSettings({ popupSort });
+  if (!saved) {
+    console.error('[Gmail Quick Search] Error saving the sort order');
+  }
+}
+
+/**
+ * Renders the search list, one collapsible section per group
+ */
+function renderSearchList(searches, groups, filterText = '') {
   const listContainer = document.getElementById('searchList');
   listContainer.innerHTML = '';
+  selectedOption = -1;
 
-  if (!searches || searches.length === 0) {
+  // Hidden searches stay out of the popup, filtering included
+  const { pinned, others } = splitPopupSearches(searches || []);
+  const shown = pinned.concat(others);
+
+  if (filterText.trim()) {
+    renderFilteredList(listContainer, shown, filterText);
+    return;
+  }
+
+  if (shown.length === 0) {
     const empty = document.createElement('div');
     empty.className = 'empty-state';
     empty.innerHTML = `
       <div class="empty-state-icon">📧</div>
       <div class="empty-state-text">No saved searches yet.<br>Click "+ Add Search" to get started.</div>
     `;
+    if (searches && searches.length > 0) {
+      empty.querySelector('.empty-state-text').textContent = 'All your searches are hidden. Show them again from the manage page.';
+    }
     listContainer.appendChild(empty);
     return;
   }
 
-  searches.forEach((search) => {
-    const item = document.createElement('div');
-    item.className = 'search-item';
+  if (pinned.length > 0) {
+    listContainer.appendChild(createPinnedSection(sortSearches(pinned, currentSettings.popupSort, currentUsage)));
+  }
 
-    const name = document.createElement('div');
-    name.className = 'search-item-name';
-    // Security: use textContent
-    name.textContent = search.name;
+  // Recent searches move up out of their groups so none is listed twice;
+  // pinned ones are already at the top
+  const recent = currentSettings.showRecent ? recentSearches(others, currentUsage) : [];
+  if (recent.length > 0) {
+    listContainer.appendChild(createRecentSection(recent));
+  }
 
-    item.appendChild(name);
+  const sections = groupSearches(groups, others.filter(search => !recent.includes(search)))
+    .filter(section => section.items.length > 0)
+    .map(section => ({ ...section, items: sortSearchItems(section.items, currentSettings.popupSort, currentUsage) }));
 
-    item.addEventListener('click', () => {
-      navigateToSearch(search.q);
+  // A single group needs no header
+  if (sections.length === 1) {
+    sections[0].items.forEach(({ search }) => {
+      listContainer.appendChild(createSearchItem(search));
     });
+    return;
+  }
+
+  sections.forEach(({ group, items }) => {
+    const section = document.createElement('div');
+    section.className = 'group-section';
+    section.classList.toggle('collapsed', collapsedGroups.has(group.id));
+
+    const header = document.createElement('button');
+    header.className = 'group-header';
+    header.setAttribute('aria-expanded', String(!collapsedGroups.has(group.id)));
+
+    const groupName = document.createElement('span');
+    groupName.className = 'group-name';
+    groupName.textContent = group.name;
 
-    // Add tooltip showing the query on hover
-    item.title = search.q;
+    const count = document.createElement('span');
+    count.className = 'group-count';
+    count.textContent = String(items.length);
 
-    listContainer.appendChild(item);
+    header.appendChild(groupName);
+    header.appendChild(count);
+    header.addEventListener('click', () => toggleGroup(group.id, section));
+
+    const openAll = document.createElement('button');
+    openAll.className = 'group-open-all';
+    openAll.textContent = '⧉';
+    openAll.title = `Open every search in ${group.name} in its own tab`;
+    openAll.setAttribute('aria-label', openAll.title);
+    openAll.addEventListener('click', () => openSearchesInTabs(items.map(({ search }) => search)));
+
+    const headerRow = document.createElement('div');
+    headerRow.className = 'group-header-row';
+    headerRow.appendChild(header);
+    headerRow.appendChild(openAll);
+
+    const body = document.createElement('div');
+    body.className = 'group-items';
+    items.forEach(({ search }) => {
+      body.appendChild(createSearchItem(search));
+    });
+
+    section.appendChild(headerRow);
+    section.appendChild(body);
+    listContainer.appendChild(section);
   });
 }
 
@@ -132,16 +719,17 @@ function openManageWindow() {
 }
 
 /**
- * Opens add search window
+ * Opens add search window, optionally prefilled with { q, name, account }
  */
-function openAddWindow() {
+function openAddWindow(prefill = {}) {
   const width = 500;
   const height = 400;
   const left = Math.round((screen.width - width) / 2);
   const top = Math.round((screen.height - height) / 2);
+  const params = new URLSearchParams({ action: 'add', ...prefill });
 
   chrome.windows.create({
-    url: 'manage.html?action=add',
+    url: 'manage.html?' + params.toString(),
     type: 'popup',
     width: width,
     height: height,
@@ -152,16 +740,83 @@ function openAddWindow() {
   window.close();
 }
 
+/**
+ * Offers to save the search shown in the active tab, when it is Gmail
+ */
+async function initSaveViewButton() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const info = parseGmailTab(tab);
+  const view = info && queryFromGmailUrl(tab.url);
+  if (!view) return;
+
+  const prefill = { q: view.query, name: suggestSearchName(view.query, view.labelName) };
+
+  // Only name the account when it isn't the one searches open in anyway
+  if (!accountMatches(info, resolveAccount({}, currentSettings))) {
+    prefill.account = info.email !== null ? info.email : String(info.index);
+  }
+
+  const saveViewBtn = document.getElementById('saveViewBtn');
+  saveViewBtn.title = view.query;
+  saveViewBtn.hidden = false;
+  saveViewBtn.addEventListener('click', () => openAddWindow(prefill));
+}
+
 /**
  * Initializes the popup
  */
 async function init() {
-  const searches = await loadSearches();
-  renderSearchList(searches);
+  currentSettings = await loadSettings();
+  const uiState = await loadUiState();
+  collapsedGroups = new Set(Array.isArray(uiState.collapsedGroups) ? uiState.collapsedGroups : []);
+  templateRecents = uiState.templateRecents && typeof uiState.templateRecents === 'object' ? uiState.templateRecents : {};
+  currentUsage = await loadUsage();
+
+  countsShown = areCountsActive(currentSettings, chrome.runtime.getManifest());
+  if (countsShown) {
+    currentCounts = await loadResultCounts();
+  }
+
+  const { searches, groups } = await loadCollection();
+  currentSearches = searches;
+  currentGroups = groups;
+  renderSearchList(searches, groups);
+
+  if (countsShown) {
+    // Counts arrive as the background worker finishes them
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[COUNTS_KEY]) {
+        currentCounts = changes[COUNTS_KEY].newValue || {};
+        updateCountChips();
+      }
+    });
+    chrome.runtime.sendMessage({ type: 'refresh-counts' }).catch((error) => {
+      console.error('[Gmail Quick Search] Error requesting result counts:', error);
+    });
+  }
 
   // Set up event listeners
+  const sortMode = document.getElementById('sortMode');
+  Object.entries(SORT_MODES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    sortMode.appendChild(option);
+  });
+  sortMode.value = currentSettings.popupSort;
+  sortMode.addEventListener('change', changeSortMode);
+
+  const filterInput = document.getElementById('filterInput');
+  filterInput.addEventListener('input', applyFilter);
+  filterInput.addEventListener('keydown', handleFilterKeydown);
+  filterInput.focus();
+
   document.getElementById('manageBtn').addEventListener('click', openManageWindow);
-  document.getElementById('addBtn').addEventListener('click', openAddWindow);
+  document.getElementById('addBtn').addEventListener('click', () => openAddWindow());
+
+  initSaveViewButton().catch((error) => {
+    console.error('[Gmail Quick Search] Error reading the current Gmail search:', error);
+  });
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,217 @@
+/**
+ * Gmail Quick Search - Query Builder
+ * Converts between structured search fields and Gmail query strings
+ */
+
+'use strict';
+
+const BUILDER_CATEGORIES = ['primary', 'social', 'promotions', 'updates', 'forums', 'reservations', 'purchases'];
+const BUILDER_FLAGS = ['unread', 'read', 'starred', 'important', 'snoozed'];
+
+const SIZE_PATTERN = /^\d+[KkMm]?$/;
+const QUERY_DATE_PATTERN = /^(\d{4})\/(\d{2})\/(\d{2})$/;
+const INPUT_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * A blank set of builder fields
+ */
+function emptyBuilderFields() {
+  return {
+    from: '',
+    to: '',
+    subject: '',
+    hasWords: '',
+    doesntHave: '',
+    label: '',
+    category: '',
+    hasAttachment: false,
+    sizeOperator: 'larger',
+    size: '',
+    after: '',
+    before: '',
+    flags: []
+  };
+}
+
+/**
+ * Formats an operator value, wrapping it in parentheses when it has spaces
+ */
+function formatOperatorValue(value) {
+  if (/^"[^"]*"$/.test(value)) return value;
+  return /[\s(){}"]/.test(value) ? `(${value})` : value;
+}
+
+/**
+ * Turns the words in "doesn't have" into negated terms
+ */
+function formatExcludedWords(text) {
+  const tokenized = tokenizeQuery(text);
+  const simple = tokenized.tokens && tokenized.tokens.every(token => token.type === 'word' || token.type === 'phrase');
+
+  if (!simple) return `-(${text})`;
+  return tokenized.tokens.map(token => '-' + text.slice(token.start, token.end)).join(' ');
+}
+
+/**
+ * Builds a Gmail query from builder fields. Blank fields are left out.
+ */
+function buildQueryFromFields(fields) {
+  const clean = key => (typeof fields[key] === 'string' ? fields[key].trim() : '');
+  const parts = [];
+
+  ['from', 'to', 'subject'].forEach((key) => {
+    if (clean(key)) parts.push(`${key}:${formatOperatorValue(clean(key))}`);
+  });
+
+  if (clean('hasWords')) parts.push(clean('hasWords'));
+  if (clean('doesntHave')) parts.push(formatExcludedWords(clean('doesntHave')));
+  if (clean('label')) parts.push(`label:${clean('label').replace(/\s+/g, '-')}`);
+  if (clean('category')) parts.push(`category:${clean('category')}`);
+  if (fields.hasAttachment) parts.push('has:attachment');
+
+  if (clean('size')) {
+    const operator = fields.sizeOperator === 'smaller' ? 'smaller' : 'larger';
+    parts.push(`${operator}:${clean('size')}`);
+  }
+
+  ['after', 'before'].forEach((key) => {
+    const match = INPUT_DATE_PATTERN.exec(clean(key));
+    if (match) parts.push(`${key}:${match[1]}/${match[2]}/${match[3]}`);
+  });
+
+  (fields.flags || []).forEach(flag => parts.push(`is:${flag}`));
+
+  return parts.join(' ');
+}
+
+/**
+ * Checks builder fields that have their own format rules
+ */
+function validateBuilderFields(fields) {
+  if (fields.size && !SIZE_PATTERN.test(fields.size.trim())) {
+    return { valid: false, error: 'Size must be a number with an optional K or M, e.g. 5M' };
+  }
+
+  if (fields.after && fields.before && fields.after >= fields.before) {
+    return { valid: false, error: 'The "after" date must be earlier than the "before" date' };
+  }
+
+  const flags = fields.flags || [];
+  if (flags.includes('read') && flags.includes('unread')) {
+    return { valid: false, error: 'A message cannot be both read and unread' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * The top-level clauses of a query as source text, for comparing queries
+ * regardless of clause order
+ */
+function queryClauses(query) {
+  const parsed = parseGmailQuery(query);
+  if (!parsed.ok) return null;
+
+  const nodes = parsed.ast.type === 'and' && !parsed.ast.grouped ? parsed.ast.children : [parsed.ast];
+  return nodes.map(node => query.slice(node.start, node.end).replace(/\s+/g, ' ')).sort();
+}
+
+/**
+ * Reads an existing query back into builder fields. Returns { ok, fields }
+ * or { ok: false, reason } when the builder can't show it without changing it.
+ */
+function parseQueryToFields(query) {
+  const parsed = parseGmailQuery(query);
+  if (!parsed.ok) {
+    return { ok: false, reason: parsed.error.message };
+  }
+  // Writing the fields back would close the bracket or quote
+  if (parsed.warnings.length > 0) {
+    return { ok: false, reason: parsed.warnings[0].message };
+  }
+
+  const fields = emptyBuilderFields();
+  const words = [];
+  const excluded = [];
+  const source = node => query.slice(node.start, node.end);
+  const nodes = parsed.ast.type === 'and' && !parsed.ast.grouped ? parsed.ast.children : [parsed.ast];
+
+  const hasOperator = (node) => {
+    let found = false;
+    walkQuery(node, (child) => {
+      if (child.type === 'operator') found = true;
+    });
+    return found;
+  };
+
+  const unsupported = node => ({ ok: false, reason: `uses "${source(node)}", which the builder can't show` });
+
+  for (const node of nodes) {
+    if (node.type === 'not' && node.child.type === 'term') {
+      excluded.push(source(node.child));
+      continue;
+    }
+
+    if (node.type !== 'operator') {
+      if (node.type === 'not' || hasOperator(node)) return unsupported(node);
+      words.push(source(node));
+      continue;
+    }
+
+    const value = node.value;
+    let text = null;
+    if (value.type === 'term') {
+      text = source(value);
+    } else if (value.grouped && query[value.start] === '(' && !hasOperator(value)) {
+      text = query.slice(value.start + 1, value.end - 1).trim();
+    }
+
+    if (text === null) return unsupported(node);
+
+    const plain = value.type === 'term' && !value.quoted ? value.value.toLowerCase() : null;
+    const dateMatch = plain && QUERY_DATE_PATTERN.exec(plain);
+
+    if (['from', 'to', 'subject'].includes(node.name) && !fields[node.name]) {
+      fields[node.name] = text;
+    } else if (node.name === 'label' && plain && !fields.label) {
+      fields.label = value.value;
+    } else if (node.name === 'category' && BUILDER_CATEGORIES.includes(plain) && !fields.category) {
+      fields.category = plain;
+    } else if (node.name === 'has' && plain === 'attachment' && !fields.hasAttachment) {
+      fields.hasAttachment = true;
+    } else if ((node.name === 'larger' || node.name === 'smaller') && plain && SIZE_PATTERN.test(plain) && !fields.size) {
+      fields.sizeOperator = node.name;
+      fields.size = value.value;
+    } else if ((node.name === 'after' || node.name === 'before') && dateMatch && !fields[node.name]) {
+      fields[node.name] = `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
+    } else if (node.name === 'is' && BUILDER_FLAGS.includes(plain) && !fields.flags.includes(plain)) {
+      fields.flags.push(plain);
+    } else {
+      return unsupported(node);
+    }
+  }
+
+  fields.hasWords = words.join(' ');
+  fields.doesntHave = excluded.join(' ');
+
+  // Only accept fields that rebuild into the same query
+  const original = queryClauses(query);
+  const rebuilt = queryClauses(buildQueryFromFields(fields));
+  if (!rebuilt || original.join('\n') !== rebuilt.join('\n')) {
+    return { ok: false, reason: 'would change when rebuilt from fields' };
+  }
+
+  return { ok: true, fields };
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BUILDER_CATEGORIES,
+    BUILDER_FLAGS,
+    emptyBuilderFields,
+    buildQueryFromFields,
+    validateBuilderFields,
+    parseQueryToFields
+  };
+}
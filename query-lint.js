@@ -0,0 +1,351 @@
+/**
+ * Gmail Quick Search - Query Lint
+ * Warnings for queries that are valid but probably don't search what was
+ * meant, each with a fix where there is an obvious one
+ */
+
+'use strict';
+
+// How sure the linter is that something is wrong
+const LINT_SEVERITIES = {
+  error: 'Finds nothing or not what you meant',
+  warning: 'Probably a mistake',
+  info: 'Harmless, but can be tidied up'
+};
+
+// Values Gmail understands for operators with a fixed set of them
+const LINT_KNOWN_VALUES = {
+  is: ['read', 'unread', 'starred', 'important', 'snoozed', 'muted', 'chat'],
+  in: ['inbox', 'sent', 'drafts', 'spam', 'trash', 'anywhere', 'chats', 'snoozed', 'scheduled', 'important', 'starred'],
+  has: [
+    'attachment', 'drive', 'document', 'spreadsheet', 'presentation', 'youtube', 'userlabels', 'nouserlabels',
+    'yellow-star', 'orange-star', 'red-star', 'purple-star', 'blue-star', 'green-star',
+    'red-bang', 'orange-guillemet', 'yellow-bang', 'green-check', 'blue-info', 'purple-question'
+  ],
+  category: ['primary', 'social', 'promotions', 'updates', 'forums', 'reservations', 'purchases']
+};
+
+// older:/newer: are old aliases; the standard forms depend on the value
+const LINT_ALIASES = {
+  older: { date: 'before', age: 'older_than' },
+  newer: { date: 'after', age: 'newer_than' }
+};
+
+const DATE_OPERATORS = ['after', 'before'];
+const AGE_OPERATORS = { older_than: 'before', newer_than: 'after' };
+const AGE_PATTERN = /^\d+[dmy]$/i;
+const OPERATOR_NAME_PATTERN = /(^|[\s({+-])([a-zA-Z_][a-zA-Z0-9_]*):/g;
+
+/**
+ * A lint result. fix is { label, start, end, text } (replace that range
+ * of the query with text) or null.
+ */
+function lintIssue(rule, severity, message, node, fix = null) {
+  return { rule, severity, message, start: node.start, end: node.end, fix };
+}
+
+/**
+ * Reads a date as Gmail would (YYYY/MM/DD, YYYY-MM-DD, MM/DD/YYYY or a
+ * Unix timestamp). Returns a comparable number, or null when it isn't one.
+ */
+function parseQueryDate(text) {
+  if (/^\d{9,}$/.test(text)) return parseInt(text, 10) * 1000;
+
+  let parts = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/.exec(text);
+  let year;
+  let month;
+  let day;
+  if (parts) {
+    [, year, month, day] = parts.map(Number);
+  } else {
+    parts = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+    if (!parts) return null;
+    [, month, day, year] = parts.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.getTime();
+}
+
+/**
+ * Suggests a YYYY/MM/DD form for a date Gmail can't read, when its meaning
+ * is clear (e.g. "2024.3.5" or "25/12/2024"). Returns null otherwise.
+ */
+function suggestQueryDate(text) {
+  const pad = n => String(n).padStart(2, '0');
+  const build = (year, month, day) => {
+    const date = `${year}/${pad(month)}/${pad(day)}`;
+    return parseQueryDate(date) === null ? null : date;
+  };
+
+  let parts = /^(\d{4})[./-](\d{1,2})[./-](\d{1,2})$/.exec(text);
+  if (parts) return build(parts[1], parts[2], parts[3]);
+
+  // Day first: only when it can't be a month, or written with dots
+  parts = /^(\d{1,2})([./-])(\d{1,2})\2(\d{4})$/.exec(text);
+  if (parts && (Number(parts[1]) > 12 || parts[2] !== '/')) return build(parts[4], parts[3], parts[1]);
+
+  return null;
+}
+
+/**
+ * Suggests a standard age (e.g. "14d") for one Gmail can't read, such as
+ * "2w" or "7days". Returns null when there isn't one.
+ */
+function suggestAge(text) {
+  const weeks = /^(\d+)\s*w(?:eeks?)?$/i.exec(text);
+  if (weeks) return `${parseInt(weeks[1], 10) * 7}d`;
+
+  const spelled = /^(\d+)\s*(days?|months?|years?)$/i.exec(text);
+  if (spelled) return `${spelled[1]}${spelled[2].charAt(0).toLowerCase()}`;
+
+  return null;
+}
+
+/**
+ * The known value a misspelled one most likely meant, or null
+ */
+function closestValue(value, known) {
+  const limit = value.length <= 4 ? 1 : 2;
+  let best = null;
+  let bestDistance = Infinity;
+
+  known.forEach((candidate) => {
+    const distance = editDistance(value, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance > 0 && bestDistance <= limit ? best : null;
+}
+
+/**
+ * Finds names that look like misspelled operators. Gmail searches for an
+ * unknown "name:" as plain text, so the parser keeps it as a word and these
+ * are found in the text rather than the AST.
+ */
+function lintOperatorNames(query) {
+  const issues = [];
+  // Quoted text is searched for as it is
+  const unquoted = query.replace(/"[^"]*"/g, phrase => ' '.repeat(phrase.length));
+  let match;
+  OPERATOR_NAME_PATTERN.lastIndex = 0;
+
+  while ((match = OPERATOR_NAME_PATTERN.exec(unquoted)) !== null) {
+    const name = match[2];
+    if (GMAIL_OPERATORS.includes(name.toLowerCase())) continue;
+
+    const suggestion = closestOperator(name);
+    if (!suggestion) continue;
+
+    const start = match.index + match[1].length;
+    const node = { start, end: start + name.length + 1 };
+    issues.push(lintIssue('operator-typo', 'warning', `Unknown operator "${name}:" — did you mean "${suggestion}:"?`, node, {
+      label: `Use "${suggestion}:"`, start: node.start, end: node.end, text: `${suggestion}:`
+    }));
+  }
+
+  return issues;
+}
+
+/**
+ * Checks one operator's value: typos, old aliases and malformed dates
+ */
+function lintOperator(node, query) {
+  if (node.value.type !== 'term' || node.value.quoted) return [];
+
+  const value = node.value.value;
+  // Placeholders and date macros are filled in later
+  if (/[{}]/.test(query.slice(node.start, node.end))) return [];
+
+  const lower = value.toLowerCase();
+  const nameRange = { start: node.start, end: node.value.start };
+  const replaceName = (name, label) => ({ label, start: nameRange.start, end: nameRange.end, text: `${name}:` });
+  const replaceValue = (text, label) => ({ label, start: node.value.start, end: node.value.end, text });
+
+  const known = LINT_KNOWN_VALUES[node.name];
+  if (known && !known.includes(lower)) {
+    const suggestion = closestValue(lower, known);
+    if (suggestion) {
+      return [lintIssue('value-typo', 'warning', `"${node.name}:${value}" isn't something Gmail knows — did you mean "${node.name}:${suggestion}"?`, node,
+        replaceValue(suggestion, `Use "${node.name}:${suggestion}"`))];
+    }
+    return [];
+  }
+
+  const alias = LINT_ALIASES[node.name];
+  if (alias) {
+    const isAge = AGE_PATTERN.test(value);
+    const standard = isAge ? alias.age : alias.date;
+    return [lintIssue('old-operator', 'warning', `"${node.name}:" is an old form — use "${standard}:" for ${isAge ? 'ages' : 'dates'}`, node,
+      replaceName(standard, `Use "${standard}:"`))];
+  }
+
+  if (DATE_OPERATORS.includes(node.name)) {
+    if (parseQueryDate(value) !== null) return [];
+
+    if (AGE_PATTERN.test(value)) {
+      const ageOperator = node.name === 'after' ? 'newer_than' : 'older_than';
+      return [lintIssue('date-format', 'error', `"${node.name}:" needs a date; "${ageOperator}:${value}" searches by age`, node,
+        replaceName(ageOperator, `Use "${ageOperator}:"`))];
+    }
+
+    const suggestion = suggestQueryDate(value);
+    return [lintIssue('date-format', 'error', `"${value}" isn't a date Gmail understands — use YYYY/MM/DD`, node,
+      suggestion ? replaceValue(suggestion, `Use ${suggestion}`) : null)];
+  }
+
+  if (AGE_OPERATORS[node.name]) {
+    if (AGE_PATTERN.test(value)) return [];
+
+    if (parseQueryDate(value) !== null) {
+      const dateOperator = AGE_OPERATORS[node.name];
+      return [lintIssue('date-format', 'error', `"${node.name}:" needs an age like 7d; "${dateOperator}:${value}" searches by date`, node,
+        replaceName(dateOperator, `Use "${dateOperator}:"`))];
+    }
+
+    const suggestion = suggestAge(value);
+    return [lintIssue('date-format', 'error', `"${value}" isn't an age Gmail understands — use a number and d, m or y (e.g. 7d)`, node,
+      suggestion ? replaceValue(suggestion, `Use ${suggestion}`) : null)];
+  }
+
+  return [];
+}
+
+/**
+ * What a clause of an AND matches, for comparing clauses, or null for
+ * anything more complex than a term or operator
+ */
+function clauseKey(node) {
+  const negated = node.type === 'not';
+  const target = negated ? node.child : node;
+
+  if (target.type === 'operator' && target.value.type === 'term') {
+    return { key: `${target.name}:${target.value.value.toLowerCase()}`, negated, node: target };
+  }
+  if (target.type === 'term') {
+    return { key: target.quoted ? `"${target.value}"` : target.value.toLowerCase(), negated, node: target };
+  }
+  return null;
+}
+
+/**
+ * Finds clauses of one AND that repeat or contradict each other
+ */
+function lintConjunction(children, query) {
+  const issues = [];
+  const seen = new Map();
+  const dates = { after: [], before: [] };
+
+  children.forEach((child, i) => {
+    const clause = clauseKey(child);
+    if (!clause || clause.key === 'or') return;
+
+    const source = query.slice(child.start, child.end);
+    const earlier = seen.get(clause.key);
+
+    if (earlier && earlier.negated === clause.negated) {
+      issues.push(lintIssue('redundant', 'info', `"${source}" is already in the query`, child, {
+        label: 'Remove the repeat', start: children[i - 1].end, end: child.end, text: ''
+      }));
+    } else if (earlier) {
+      issues.push(lintIssue('contradiction', 'error', `"${source}" contradicts "${earlier.source}", so nothing can match`, child));
+    } else {
+      seen.set(clause.key, { negated: clause.negated, source });
+    }
+
+    const opposite = { 'is:read': 'is:unread', 'is:unread': 'is:read' }[clause.key];
+    const clash = opposite && seen.get(opposite);
+    if (clash && !clash.negated && !clause.negated) {
+      issues.push(lintIssue('contradiction', 'error', `"${source}" contradicts "${clash.source}", so nothing can match`, child));
+    }
+
+    // Date ranges that end before they start
+    if (!clause.negated && clause.node.type === 'operator') {
+      const name = { after: 'after', newer: 'after', before: 'before', older: 'before' }[clause.node.name];
+      const time = name ? parseQueryDate(clause.node.value.value) : null;
+      if (time !== null) dates[name].push({ time, child, source });
+    }
+  });
+
+  dates.after.forEach((after) => {
+    dates.before.forEach((before) => {
+      if (after.time < before.time) return;
+      const later = after.child.start > before.child.start ? after : before;
+      const other = later === after ? before : after;
+      issues.push(lintIssue('contradiction', 'error', `"${later.source}" and "${other.source}" leave no dates in between, so nothing can match`, later.child));
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Finds a lowercase "or", which Gmail searches for as a word
+ */
+function lintLowercaseOr(children) {
+  const issues = [];
+
+  children.forEach((child, i) => {
+    if (i === 0 || i === children.length - 1) return;
+    if (child.type !== 'term' || child.quoted || child.value.toLowerCase() !== 'or') return;
+
+    issues.push(lintIssue('lowercase-or', 'warning', `Gmail only treats OR in capitals as "either"; "${child.value}" is searched for as a word`, child, {
+      label: 'Use OR', start: child.start, end: child.end, text: 'OR'
+    }));
+  });
+
+  return issues;
+}
+
+/**
+ * Lints a query. Returns a list of { rule, severity, message, start, end,
+ * fix }, in the order they appear. Queries that don't parse only get the
+ * operator name check; validation reports the rest.
+ */
+function lintQuery(query) {
+  if (typeof query !== 'string' || query.trim().length === 0) return [];
+
+  // Template placeholders keep their length, so positions still line up
+  const masked = maskPlaceholders(query);
+  const parsed = parseGmailQuery(masked);
+  if (!parsed.ok) return lintOperatorNames(masked);
+
+  const issues = lintOperatorNames(masked);
+  walkQuery(parsed.ast, (node) => {
+    if (node.type === 'operator') {
+      issues.push(...lintOperator(node, query));
+    } else if (node.type === 'and') {
+      issues.push(...lintConjunction(node.children, query));
+      issues.push(...lintLowercaseOr(node.children));
+    }
+  });
+
+  return issues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Applies an issue's fix to the query it was found in
+ */
+function applyLintFix(query, issue) {
+  if (!issue.fix) return query;
+  const { start, end, text } = issue.fix;
+  return query.slice(0, start) + text + query.slice(end);
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LINT_SEVERITIES,
+    parseQueryDate,
+    suggestQueryDate,
+    suggestAge,
+    lintQuery,
+    applyLintFix
+  };
+}
@@ -0,0 +1,431 @@
+/**
+ * Gmail Quick Search - Query Parser
+ * Tokenizes and parses Gmail search syntax into an AST with positioned errors
+ */
+
+'use strict';
+
+// Operators Gmail understands (name before the colon)
+const GMAIL_OPERATORS = [
+  'from', 'to', 'cc', 'bcc', 'subject', 'label', 'has', 'is', 'in',
+  'after', 'before', 'older', 'newer', 'older_than', 'newer_than',
+  'category', 'size', 'larger', 'smaller', 'filename', 'list',
+  'deliveredto', 'rfc822msgid'
+];
+
+/**
+ * A parse failure with the character range it refers to (0-based)
+ */
+function queryError(message, start, end = start + 1) {
+  return { message, start, end };
+}
+
+/**
+ * Edit distance allowing adjacent swaps, used to spot operator typos
+ */
+function editDistance(a, b) {
+  const d = [];
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [i];
+  }
+  for (let j = 0; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Returns the known operator a misspelled name most likely meant, or null.
+ * Names under three letters (ID:, PS:) are nearly always plain text.
+ */
+function closestOperator(name) {
+  const lower = name.toLowerCase();
+  if (lower.length < 3) return null;
+  const limit = lower.length <= 4 ? 1 : 2;
+  let best = null;
+  let bestDistance = Infinity;
+
+  GMAIL_OPERATORS.forEach((operator) => {
+    const distance = editDistance(lower, operator);
+    if (distance < bestDistance) {
+      best = operator;
+      bestDistance = distance;
+    }
+  });
+
+  return bestDistance > 0 && bestDistance <= limit ? best : null;
+}
+
+/**
+ * Splits a query into tokens. Returns { tokens, warnings }.
+ *
+ * Token types: word, phrase, operator (name + ':'), lparen, rparen,
+ * lbrace, rbrace, minus, plus, or, and, around
+ *
+ * Only known operator names become operator tokens: Gmail searches for
+ * anything else before a colon (e.g. "ID:4711") as ordinary text.
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  const warnings = [];
+  let i = 0;
+
+  const isBreak = ch => /\s/.test(ch) || ch === '(' || ch === ')' || ch === '{' || ch === '}' || ch === '"';
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      const close = query.indexOf('"', i + 1);
+      if (close === -1) {
+        // Gmail reads the phrase to the end of the query
+        warnings.push(queryError('Unclosed quote', i, query.length));
+        tokens.push({ type: 'phrase', value: query.slice(i + 1), start: i, end: query.length });
+        break;
+      }
+      tokens.push({ type: 'phrase', value: query.slice(i + 1, close), start: i, end: close + 1 });
+      i = close + 1;
+      continue;
+    }
+
+    const single = { '(': 'lparen', ')': 'rparen', '{': 'lbrace', '}': 'rbrace' }[ch];
+    if (single) {
+      tokens.push({ type: single, value: ch, start: i, end: i + 1 });
+      i += 1;
+      continue;
+    }
+
+    // Leading - / + only mean negate / exact when something follows directly
+    const previous = tokens[tokens.length - 1];
+    const atTermStart = !previous || previous.end < i || ['lparen', 'lbrace', 'minus'].includes(previous.type);
+    if ((ch === '-' || ch === '+') && atTermStart && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: ch === '-' ? 'minus' : 'plus', value: ch, start: i, end: i + 1 });
+      i += 1;
+      continue;
+    }
+
+    let end = i;
+    while (end < query.length && !isBreak(query[end])) {
+      end += 1;
+    }
+    const text = query.slice(i, end);
+
+    const operatorMatch = /^([a-zA-Z_][a-zA-Z0-9_]*):/.exec(text);
+    if (operatorMatch && GMAIL_OPERATORS.includes(operatorMatch[1].toLowerCase())) {
+      const nameEnd = i + operatorMatch[0].length;
+      tokens.push({ type: 'operator', value: operatorMatch[1].toLowerCase(), start: i, end: nameEnd });
+      if (end > nameEnd) {
+        tokens.push({ type: 'word', value: query.slice(nameEnd, end), start: nameEnd, end });
+      }
+      i = end;
+      continue;
+    }
+
+    if (text === 'OR' || text === 'AND') {
+      tokens.push({ type: text.toLowerCase(), value: text, start: i, end });
+    } else if (text === 'AROUND') {
+      tokens.push({ type: 'around', value: text, start: i, end });
+    } else {
+      tokens.push({ type: 'word', value: text, start: i, end });
+    }
+    i = end;
+  }
+
+  return { tokens, warnings };
+}
+
+/**
+ * Recursive-descent parser over the token list.
+ *
+ *   query    := sequence
+ *   sequence := orExpr ( 'AND'? orExpr )*
+ *   orExpr   := unary ( 'OR' unary )*
+ *   unary    := '-' unary | '+' primary | primary ( 'AROUND' number primary )?
+ *   primary  := word | phrase | operator value | '(' sequence ')' | '{' unary+ '}'
+ *
+ * OR binds tighter than the implicit AND, as in Gmail: "a b OR c" is
+ * a AND (b OR c).
+ *
+ * Brackets Gmail would still run the query with (an unclosed "(" or a
+ * stray ")") are added to warnings and parsed as Gmail reads them.
+ */
+function createParser(query, tokens, warnings) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const endOfQuery = () => queryError('Query ends unexpectedly', query.length, query.length);
+
+  const describe = token => (token.type === 'phrase' ? 'quoted phrase' : `"${token.value}"`);
+
+  function parseSequence(closer) {
+    const children = [];
+    const startToken = peek();
+
+    while (peek() && peek().type !== closer) {
+      const token = peek();
+
+      if (token.type === 'and') {
+        if (children.length === 0) {
+          throw queryError('AND needs a search term before it', token.start, token.end);
+        }
+        next();
+        if (!peek() || peek().type === closer) {
+          throw queryError('AND needs a search term after it', token.start, token.end);
+        }
+        continue;
+      }
+
+      if (token.type === 'or') {
+        throw queryError('OR needs a search term before it', token.start, token.end);
+      }
+
+      if (token.type === 'rparen' || token.type === 'rbrace') {
+        warnings.push(queryError(`Unexpected "${token.value}" with no matching opening bracket`, token.start, token.end));
+        next();
+        continue;
+      }
+
+      children.push(parseOr(closer));
+    }
+
+    if (children.length === 0) return null;
+    if (children.length === 1) return children[0];
+
+    return { type: 'and', children, start: startToken.start, end: children[children.length - 1].end };
+  }
+
+  function parseOr(closer) {
+    const first = parseUnary(closer);
+    const children = [first];
+
+    while (peek() && peek().type === 'or') {
+      const orToken = next();
+      const following = peek();
+      if (!following || following.type === closer || ['or', 'and', 'rparen', 'rbrace'].includes(following.type)) {
+        throw queryError('OR needs a search term after it', orToken.start, orToken.end);
+      }
+      children.push(parseUnary(closer));
+    }
+
+    if (children.length === 1) return first;
+    return { type: 'or', children, start: first.start, end: children[children.length - 1].end };
+  }
+
+  function parseUnary(closer) {
+    const token = peek();
+    if (!token) throw endOfQuery();
+
+    if (token.type === 'minus') {
+      next();
+      if (!peek() || peek().type === closer || ['or', 'and', 'around'].includes(peek().type)) {
+        throw queryError('Nothing to exclude after "-"', token.start, token.end);
+      }
+      const child = parseUnary(closer);
+      return { type: 'not', child, start: token.start, end: child.end };
+    }
+
+    if (token.type === 'plus') {
+      next();
+      const child = parsePrimary();
+      if (child.type !== 'term') {
+        throw queryError('"+" must be followed by a word', token.start, token.end);
+      }
+      return { ...child, exact: true, start: token.start };
+    }
+
+    const left = parsePrimary();
+
+    if (peek() && peek().type === 'around') {
+      const aroundToken = next();
+      const distance = next();
+      if (!distance || distance.type !== 'word' || !/^\d+$/.test(distance.value)) {
+        throw queryError('AROUND must be followed by a number of words', aroundToken.start, aroundToken.end);
+      }
+      if (!peek() || peek().type === closer) {
+        throw queryError('AROUND needs a search term after the number', distance.start, distance.end);
+      }
+      const right = parsePrimary();
+      return { type: 'around', distance: parseInt(distance.value, 10), left, right, start: left.start, end: right.end };
+    }
+
+    return left;
+  }
+
+  function parseGroup(openToken, closerType, closerChar) {
+    const inner = closerType === 'rbrace' ? parseBraceItems(openToken) : parseSequence('rparen');
+    const close = next();
+    const unclosed = queryError(`Unclosed "${openToken.value}" — add a matching "${closerChar}"`, openToken.start, openToken.end);
+
+    if (!inner) {
+      if (!close) throw unclosed;
+      throw queryError(`Empty "${openToken.value}${closerChar}" group`, openToken.start, close.end);
+    }
+
+    // The group runs to the end of the query
+    if (!close) {
+      warnings.push(unclosed);
+      return { ...inner, start: openToken.start, end: inner.end, grouped: true };
+    }
+
+    return { ...inner, start: openToken.start, end: close.end, grouped: true };
+  }
+
+  // {a b c} means a OR b OR c
+  function parseBraceItems(openToken) {
+    const children = [];
+    while (peek() && peek().type !== 'rbrace') {
+      const token = peek();
+      if (['or', 'and', 'rparen'].includes(token.type)) {
+        throw queryError(`Unexpected ${describe(token)} inside "{ }"`, token.start, token.end);
+      }
+      children.push(parseUnary('rbrace'));
+    }
+
+    if (children.length === 0) return null;
+    if (children.length === 1) return children[0];
+    return { type: 'or', children, start: openToken.start, end: children[children.length - 1].end };
+  }
+
+  function parseOperatorValue(operatorToken) {
+    const token = peek();
+    if (!token || token.start !== operatorToken.end) {
+      throw queryError(`"${operatorToken.value}:" has no value`, operatorToken.start, operatorToken.end);
+    }
+
+    if (token.type === 'word' || token.type === 'phrase') {
+      next();
+      return { type: 'term', value: token.value, quoted: token.type === 'phrase', start: token.start, end: token.end };
+    }
+
+    if (token.type === 'lparen' || token.type === 'lbrace') {
+      next();
+      return token.type === 'lparen' ? parseGroup(token, 'rparen', ')') : parseGroup(token, 'rbrace', '}');
+    }
+
+    if (token.type === 'minus') {
+      // e.g. from:-x is unusual but harmless; treat the rest as text
+      next();
+      const value = parsePrimary();
+      return { type: 'not', child: value, start: token.start, end: value.end };
+    }
+
+    throw queryError(`"${operatorToken.value}:" has no value`, operatorToken.start, operatorToken.end);
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) throw endOfQuery();
+
+    switch (token.type) {
+      case 'word':
+      case 'phrase':
+        return { type: 'term', value: token.value, quoted: token.type === 'phrase', start: token.start, end: token.end };
+      case 'operator': {
+        const value = parseOperatorValue(token);
+        return { type: 'operator', name: token.value, value, start: token.start, end: value.end };
+      }
+      case 'lparen':
+        return parseGroup(token, 'rparen', ')');
+      case 'lbrace':
+        return parseGroup(token, 'rbrace', '}');
+      case 'rparen':
+      case 'rbrace':
+        throw queryError(`Unexpected "${token.value}" with no matching opening bracket`, token.start, token.end);
+      case 'or':
+        throw queryError('OR needs a search term before it', token.start, token.end);
+      case 'and':
+        throw queryError('AND needs a search term before it', token.start, token.end);
+      case 'around':
+        throw queryError('AROUND needs a search term before it', token.start, token.end);
+      default:
+        throw queryError(`Unexpected ${describe(token)}`, token.start, token.end);
+    }
+  }
+
+  return {
+    parse() {
+      const ast = parseSequence(null);
+      // Nothing but stray brackets
+      if (!ast) throw warnings[0];
+      return ast;
+    }
+  };
+}
+
+/**
+ * Parses a Gmail query. Returns { ok: true, ast, warnings } or
+ * { ok: false, error } with { message, start, end } at 0-based positions.
+ *
+ * Errors are kept for terms Gmail has nothing to search for (a dangling
+ * OR, an operator without a value); warnings are for queries Gmail still
+ * runs, just maybe not as meant.
+ */
+function parseGmailQuery(query) {
+  if (typeof query !== 'string' || query.trim().length === 0) {
+    return { ok: false, error: queryError('Query cannot be empty', 0, 0) };
+  }
+
+  const { tokens, warnings } = tokenizeQuery(query);
+
+  try {
+    const ast = createParser(query, tokens, warnings).parse();
+    return { ok: true, ast, warnings };
+  } catch (error) {
+    if (error && typeof error.message === 'string' && typeof error.start === 'number') {
+      return { ok: false, error };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Formats a parse error for display, with a 1-based character position
+ */
+function formatQueryError(error) {
+  return `${error.message} (at character ${error.start + 1})`;
+}
+
+/**
+ * Calls visit(node) for every node in the AST
+ */
+function walkQuery(node, visit) {
+  if (!node) return;
+  visit(node);
+
+  if (node.children) node.children.forEach(child => walkQuery(child, visit));
+  if (node.child) walkQuery(node.child, visit);
+  if (node.value && typeof node.value === 'object') walkQuery(node.value, visit);
+  if (node.left) walkQuery(node.left, visit);
+  if (node.right) walkQuery(node.right, visit);
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GMAIL_OPERATORS,
+    editDistance,
+    closestOperator,
+    tokenizeQuery,
+    parseGmailQuery,
+    formatQueryError,
+    walkQuery
+  };
+}
@@ -0,0 +1,299 @@
+/**
+ * Gmail Quick Search - Result Counts
+ * How many conversations each saved search finds, from a pluggable provider
+ */
+
+'use strict';
+
+const GMAIL_API_THREADS_URL = 'https://gmail.googleapis.com/gmail/v1/users/me/threads';
+const GMAIL_API_PROFILE_URL = 'https://gmail.googleapis.com/gmail/v1/users/me/profile';
+const COUNT_REFRESH_OPTIONS = [5, 15, 30, 60];
+const MAX_SHOWN_COUNT = 999;
+
+// A provider has an id and countResults(query) -> Promise<number>. One
+// that can only count a single mailbox also has coversAccount(account) ->
+// Promise<boolean>; searches for other accounts aren't counted. Only real
+// counts are offered; the fake provider below is for tests.
+const COUNT_PROVIDERS = {
+  'gmail-api': 'Gmail API (signs in with your Google account)'
+};
+
+// Codes a provider's errors carry, with what to tell the user
+const COUNT_ERRORS = {
+  auth: 'Sign in to Gmail to see counts',
+  offline: 'Can\'t reach Gmail right now',
+  'rate-limited': 'Gmail asked us to slow down — trying again later',
+  failed: 'Couldn\'t count this search',
+  'other-account': 'Counts only cover the Google account Chrome is signed in with'
+};
+
+/**
+ * Whether the manifest has an OAuth client for the Gmail API. The
+ * extension ships without one; see the README for adding your own.
+ */
+function isGmailApiConfigured(manifest) {
+  const clientId = manifest && manifest.oauth2 && manifest.oauth2.client_id;
+  return typeof clientId === 'string' && /^[\w-]+\.apps\.googleusercontent\.com$/.test(clientId) &&
+    !clientId.startsWith('YOUR_CLIENT_ID');
+}
+
+/**
+ * The providers that can be used with this manifest, as [id, label] pairs
+ */
+function availableCountProviders(manifest) {
+  return Object.entries(COUNT_PROVIDERS).filter(([id]) => id !== 'gmail-api' || isGmailApiConfigured(manifest));
+}
+
+/**
+ * The provider to count with: the chosen one when it can be used, otherwise
+ * the first that can, or null when none can (no OAuth client configured)
+ */
+function resolveCountProvider(settings, manifest) {
+  const available = availableCountProviders(manifest).map(([id]) => id);
+  if (settings && available.includes(settings.countProvider)) return settings.countProvider;
+  return available.length > 0 ? available[0] : null;
+}
+
+/**
+ * Whether counts are turned on and there is a provider to count with
+ */
+function areCountsActive(settings, manifest) {
+  return Boolean(settings && settings.countsEnabled) && resolveCountProvider(settings, manifest) !== null;
+}
+
+/**
+ * Creates an error a provider can reject with
+ */
+function countError(code, message) {
+  const error = new Error(message || COUNT_ERRORS[code]);
+  error.code = code;
+  return error;
+}
+
+/**
+ * A provider that makes up stable counts without touching the network, for
+ * tests. Pass counts (query -> number or Error) to control particular queries.
+ */
+function createFakeCountProvider(counts = {}) {
+  return {
+    id: 'fake',
+    async countResults(query) {
+      if (Object.prototype.hasOwnProperty.call(counts, query)) {
+        const value = counts[query];
+        if (value instanceof Error) throw value;
+        return value;
+      }
+
+      let hash = 0;
+      for (const char of query) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 1009;
+      }
+      return hash % 40;
+    }
+  };
+}
+
+/**
+ * A provider backed by the Gmail API. getToken() resolves to an OAuth
+ * token (or null when not signed in); removeToken(token) forgets a
+ * rejected one so the next attempt asks for a new token.
+ */
+function createGmailApiCountProvider({ getToken, removeToken, fetchImpl }) {
+  // The signed-in address, looked up once
+  let profileEmail = null;
+
+  async function request(url) {
+    const token = await getToken();
+    if (!token) throw countError('auth');
+
+    let response;
+    try {
+      response = await fetchImpl(url, { headers: { Authorization: `Bearer ${token}` } });
+    } catch (error) {
+      throw countError('offline');
+    }
+
+    if (response.status === 401) {
+      await removeToken(token);
+      throw countError('auth');
+    }
+    if (response.status === 429 || response.status === 403) {
+      throw countError('rate-limited');
+    }
+    if (!response.ok) {
+      throw countError('failed', `Gmail API returned ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  return {
+    id: 'gmail-api',
+    async countResults(query) {
+      const data = await request(`${GMAIL_API_THREADS_URL}?maxResults=1&fields=resultSizeEstimate&q=${encodeURIComponent(query)}`);
+      return Number.isInteger(data.resultSizeEstimate) ? data.resultSizeEstimate : 0;
+    },
+
+    // users/me is Chrome's account: an email must be that address, and of
+    // the indexes only u/0, the browser's first account, is taken to be it
+    async coversAccount(account) {
+      if (typeof account === 'number') return account === 0;
+
+      if (profileEmail === null) {
+        const data = await request(`${GMAIL_API_PROFILE_URL}?fields=emailAddress`);
+        profileEmail = typeof data.emailAddress === 'string' ? data.emailAddress.toLowerCase() : '';
+      }
+      return account.toLowerCase() === profileEmail;
+    }
+  };
+}
+
+/**
+ * The query to count for a search, with date macros filled in. Templates
+ * have no single query, so they are not counted (null).
+ */
+function countableQuery(search, now = new Date()) {
+  if (!search || typeof search.id !== 'string' || isTemplate(search.q)) return null;
+  return expandDateMacros(search.q, now);
+}
+
+/**
+ * Whether a cached entry can be shown as it is
+ */
+function isCountFresh(entry, query, providerId, now, maxAgeMs, account = 0) {
+  return Boolean(entry) && entry.query === query && entry.provider === providerId &&
+    entry.account === account && !entry.error && now - entry.checkedAt < maxAgeMs;
+}
+
+/**
+ * The cached entry for a search, unless it was counted for a different
+ * query (the search was edited, or a date macro moved on)
+ */
+function findCountEntry(counts, search, now = new Date()) {
+  const entry = counts && search ? counts[search.id] : null;
+  return entry && entry.query === countableQuery(search, now) ? entry : null;
+}
+
+/**
+ * Counts each search whose cached count is missing or stale, one at a
+ * time. Returns the new cache (search id -> { query, account, provider,
+ * count, error, checkedAt }). A failed count keeps the last known number
+ * next to the error; sign-in, network and rate-limit errors skip the rest.
+ * accountFor(search) gives the account a search opens in.
+ */
+async function refreshResultCounts(searches, cache, provider, { now = Date.now(), maxAgeMs, force = false, accountFor = () => 0 }) {
+  const previous = cache || {};
+  const next = {};
+  let stopped = null;
+
+  for (const search of searches) {
+    const query = countableQuery(search, new Date(now));
+    if (query === null) continue;
+
+    const account = accountFor(search);
+    const entry = previous[search.id];
+    if (!force && isCountFresh(entry, query, provider.id, now, maxAgeMs, account)) {
+      next[search.id] = entry;
+      continue;
+    }
+
+    const sameCount = entry && entry.query === query && entry.provider === provider.id && entry.account === account;
+    const base = { query, account, provider: provider.id, count: sameCount ? entry.count : null, checkedAt: now };
+
+    if (stopped) {
+      next[search.id] = { ...base, error: stopped };
+      continue;
+    }
+
+    try {
+      // A count from another mailbox would be wrong, so there is none
+      if (provider.coversAccount && !(await provider.coversAccount(account))) {
+        next[search.id] = { ...base, count: null, error: 'other-account' };
+        continue;
+      }
+
+      const count = await provider.countResults(query);
+      next[search.id] = { ...base, count, error: null };
+    } catch (error) {
+      const code = error && COUNT_ERRORS[error.code] ? error.code : 'failed';
+      if (code === 'failed') {
+        console.error('[Gmail Quick Search] Error counting results:', error);
+      } else {
+        console.warn(`[Gmail Quick Search] Counting stopped: ${COUNT_ERRORS[code]}`);
+        stopped = code;
+      }
+      next[search.id] = { ...base, error: code };
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Short text for a count: "999+" past the limit
+ */
+function formatCount(count) {
+  return count > MAX_SHOWN_COUNT ? `${MAX_SHOWN_COUNT}+` : String(count);
+}
+
+/**
+ * What to show for a cached entry: { text, state, title }. State is
+ * "ok", "pending" (not counted yet), "unavailable" (the provider can't
+ * count this search's account) or "error".
+ */
+function describeCount(entry) {
+  if (!entry) {
+    return { text: '…', state: 'pending', title: 'Counting…' };
+  }
+
+  if (entry.error === 'other-account') {
+    return { text: '–', state: 'unavailable', title: COUNT_ERRORS['other-account'] };
+  }
+
+  if (entry.error) {
+    return {
+      text: entry.count === null || entry.count === undefined ? '!' : formatCount(entry.count),
+      state: 'error',
+      title: COUNT_ERRORS[entry.error] || COUNT_ERRORS.failed
+    };
+  }
+
+  return {
+    text: formatCount(entry.count),
+    state: 'ok',
+    title: `${entry.count} conversation${entry.count === 1 ? '' : 's'} (checked ${new Date(entry.checkedAt).toLocaleTimeString()})`
+  };
+}
+
+/**
+ * Toolbar badge for the chosen search: no text for zero, nothing chosen or
+ * a search that can't be counted, "!" when counting failed
+ */
+function badgeForCount(entry) {
+  if (!entry || entry.error === 'other-account') return { text: '', color: '#1a73e8' };
+  if (entry.error) return { text: '!', color: '#d93025' };
+  return { text: entry.count > 0 ? formatCount(entry.count) : '', color: '#1a73e8' };
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COUNT_PROVIDERS,
+    COUNT_ERRORS,
+    COUNT_REFRESH_OPTIONS,
+    isGmailApiConfigured,
+    availableCountProviders,
+    resolveCountProvider,
+    areCountsActive,
+    countError,
+    createFakeCountProvider,
+    createGmailApiCountProvider,
+    countableQuery,
+    isCountFresh,
+    findCountEntry,
+    refreshResultCounts,
+    formatCount,
+    describeCount,
+    badgeForCount
+  };
+}
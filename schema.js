@@ -0,0 +1,311 @@
+/**
+ * Gmail Quick Search - Storage Schema
+ * Schema versioning, ordered migrations and integrity repair on load
+ */
+
+'use strict';
+
+// Stored next to the searches: { version, lastReport }
+const SCHEMA_KEY = 'gmail-saved-searches-schema';
+// Entries that could not be repaired are kept here rather than dropped
+const QUARANTINE_KEY = 'gmail-saved-searches-quarantine';
+const MAX_QUARANTINE = 50;
+
+/**
+ * Ordered migrations. Each one takes { searches, groups } in the previous
+ * version's format and returns the next version's. Add new formats by
+ * appending an entry; never edit one that has shipped.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Moved searches into groups',
+    migrate: (data) => {
+      const normalized = normalizeGroups(data.groups, data.searches);
+      return { searches: normalized.searches, groups: normalized.groups };
+    }
+  },
+  {
+    version: 3,
+    description: 'Gave each search an id and last-modified time',
+    migrate: (data) => {
+      const searches = data.searches.map(search => ({ ...search }));
+      stampSearches(searches, searches, Date.now());
+      return { searches, groups: data.groups };
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Fields a stored search may carry; anything else is dropped on repair
+const SEARCH_FIELDS = [
+  'id', 'name', 'q', 'group', 'account', 'pinned', 'hidden', 'icon', 'color', 'description', 'updatedAt'
+];
+
+/**
+ * Runs every migration newer than fromVersion, in order
+ */
+function migrateCollection(data, fromVersion) {
+  let current = data;
+  const applied = [];
+
+  MIGRATIONS.forEach((migration) => {
+    if (migration.version <= fromVersion) return;
+    current = migration.migrate(current);
+    applied.push(migration.description);
+  });
+
+  return { data: current, version: CURRENT_SCHEMA_VERSION, applied };
+}
+
+/**
+ * Describes a stored entry for the repair report
+ */
+function describeEntry(entry, position) {
+  if (entry && typeof entry === 'object' && typeof entry.name === 'string' && entry.name.trim()) {
+    return `"${entry.name.trim().slice(0, 40)}"`;
+  }
+  return `entry ${position + 1}`;
+}
+
+/**
+ * Checks one stored search, fixing what can be fixed safely.
+ * Returns a fresh object (never the stored one) or a reason to quarantine.
+ * problem is set when a query is kept despite failing validation.
+ */
+function repairSearch(entry) {
+  const fixes = [];
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { ok: false, reason: 'Not a search object' };
+  }
+
+  if (typeof entry.q !== 'string' || entry.q.trim().length === 0) {
+    return { ok: false, reason: 'Missing query' };
+  }
+
+  const q = entry.q.trim();
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { ok: false, reason: `Query longer than ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  // Syntax errors (which come with a position) may be in searches saved
+  // before queries were parsed, and Gmail still runs them: keep those
+  const queryValidation = validateGmailQuery(q);
+  if (!queryValidation.valid && !queryValidation.position) {
+    return { ok: false, reason: queryValidation.error };
+  }
+  const problem = queryValidation.valid ? null : queryValidation.error;
+
+  let name = entry.name;
+  if (typeof name === 'number') {
+    name = String(name);
+    fixes.push('name converted to text');
+  }
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    name = q;
+    fixes.push('missing name replaced with its query');
+  }
+
+  name = name.trim();
+  if (name.length > MAX_NAME_LENGTH) {
+    name = name.slice(0, MAX_NAME_LENGTH).trim();
+    fixes.push('name shortened');
+  }
+
+  const nameValidation = validateSearchName(name);
+  if (!nameValidation.valid) {
+    return { ok: false, reason: nameValidation.error };
+  }
+
+  const search = {};
+  SEARCH_FIELDS.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(entry, field)) {
+      search[field] = entry[field];
+    }
+  });
+  search.name = name;
+  search.q = q;
+
+  if (search.account !== undefined && normalizeAccount(search.account) === null) {
+    delete search.account;
+    fixes.push('invalid account removed');
+  } else if (search.account !== undefined) {
+    search.account = normalizeAccount(search.account);
+  }
+
+  if (search.id !== undefined && typeof search.id !== 'string') {
+    delete search.id;
+    fixes.push('invalid id replaced');
+  }
+
+  if (search.group !== undefined && typeof search.group !== 'string') {
+    delete search.group;
+    fixes.push('invalid group removed');
+  }
+
+  // Flags are only stored while on
+  ['pinned', 'hidden'].forEach((flag) => {
+    if (search[flag] === undefined || search[flag] === true) return;
+    if (search[flag] !== false) fixes.push(`invalid ${flag} flag removed`);
+    delete search[flag];
+  });
+
+  if (search.pinned && search.hidden) {
+    delete search.pinned;
+    fixes.push('unpinned because it is hidden');
+  }
+
+  // Metadata is optional: long descriptions are shortened, anything else
+  // that doesn't validate is dropped
+  if (typeof search.description === 'string' && search.description.trim().length > MAX_DESCRIPTION_LENGTH) {
+    search.description = search.description.trim().slice(0, MAX_DESCRIPTION_LENGTH).trim();
+    fixes.push('description shortened');
+  }
+
+  ['icon', 'color', 'description'].forEach((field) => {
+    if (search[field] !== undefined && !validateSearchMetadata({ [field]: search[field] }).valid) {
+      delete search[field];
+      fixes.push(`invalid ${field} removed`);
+    }
+  });
+
+  if (search.updatedAt !== undefined && !Number.isFinite(search.updatedAt)) {
+    delete search.updatedAt;
+  }
+
+  // Trims what's left and drops blank metadata
+  return { ok: true, search: withSearchMetadata(search, search), fixes, problem };
+}
+
+/**
+ * Repairs a stored list of searches. Returns the usable searches, what was
+ * fixed, what was quarantined and which kept searches need checking.
+ */
+function repairSearches(entries) {
+  const searches = [];
+  const repaired = [];
+  const quarantined = [];
+  const flagged = [];
+  const ids = new Set();
+
+  entries.forEach((entry, position) => {
+    const label = describeEntry(entry, position);
+    const result = repairSearch(entry);
+
+    if (!result.ok) {
+      quarantined.push({ entry, reason: result.reason, label });
+      return;
+    }
+
+    const search = result.search;
+    if (search.id && ids.has(search.id)) {
+      delete search.id;
+      result.fixes.push('duplicate id replaced');
+    }
+    if (search.id) ids.add(search.id);
+
+    if (result.fixes.length > 0) {
+      repaired.push(`${label}: ${result.fixes.join(', ')}`);
+    }
+    if (result.problem) {
+      flagged.push(`${label}: ${result.problem}`);
+    }
+
+    searches.push(search);
+  });
+
+  return { searches, repaired, quarantined, flagged };
+}
+
+/**
+ * Migrates and repairs whatever is in storage. Returns the collection to
+ * use, a report of what changed, and whether it needs writing back.
+ */
+function prepareCollection(storedSearches, storedGroups, schemaRecord) {
+  const report = { migrated: [], repaired: [], quarantined: [], flagged: [] };
+  const storedVersion = schemaRecord && Number.isInteger(schemaRecord.version) ? schemaRecord.version : null;
+  const hasStoredData = storedSearches !== undefined && storedSearches !== null;
+  let entries = [];
+
+  if (hasStoredData && !Array.isArray(storedSearches)) {
+    report.quarantined.push({ entry: storedSearches, reason: 'Stored searches were not a list', label: 'saved searches' });
+  } else if (hasStoredData) {
+    // Migrations only ever see objects; anything else is quarantined
+    storedSearches.forEach((entry, position) => {
+      if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+        entries.push(entry);
+      } else {
+        report.quarantined.push({ entry, reason: 'Not a search object', label: describeEntry(entry, position) });
+      }
+    });
+  }
+
+  // Data without a schema record predates versioning
+  const fromVersion = storedVersion === null ? 1 : storedVersion;
+  const migrated = migrateCollection({ searches: entries, groups: storedGroups }, fromVersion);
+  if (hasStoredData) {
+    report.migrated = migrated.applied;
+  }
+
+  const repairedList = repairSearches(migrated.data.searches);
+  report.repaired = repairedList.repaired;
+  report.quarantined = report.quarantined.concat(repairedList.quarantined);
+  report.flagged = repairedList.flagged;
+
+  // Every search being deleted leaves an empty list, which is kept; the
+  // defaults are only for a first run or when nothing usable was left
+  let searches = repairedList.searches;
+  if (searches.length === 0 && (!hasStoredData || report.quarantined.length > 0)) {
+    searches = DEFAULT_SEARCHES.map(search => ({ ...search }));
+    if (hasStoredData && report.quarantined.length > 0) {
+      report.repaired.push('No usable searches were left, so the defaults were restored');
+    }
+  }
+
+  // Repairs and defaults can lack groups and ids, so fill both in again
+  const normalized = normalizeGroups(migrated.data.groups, searches);
+  const missingIds = normalized.searches.some(search => !search.id || !search.updatedAt);
+  if (missingIds) {
+    stampSearches(normalized.searches, normalized.searches, Date.now());
+  }
+
+  // Flagged searches are left as they are, so they don't need writing back
+  const changed = storedVersion !== CURRENT_SCHEMA_VERSION || normalized.changed || missingIds ||
+    report.repaired.length > 0 || report.quarantined.length > 0;
+
+  return {
+    searches: normalized.searches,
+    groups: normalized.groups,
+    version: CURRENT_SCHEMA_VERSION,
+    report,
+    changed
+  };
+}
+
+/**
+ * Whether a load report has anything worth telling the user
+ */
+function hasReportContent(report) {
+  return !!report && (report.migrated.length > 0 || report.repaired.length > 0 || report.quarantined.length > 0 ||
+    (report.flagged || []).length > 0);
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SCHEMA_KEY,
+    QUARANTINE_KEY,
+    MAX_QUARANTINE,
+    MIGRATIONS,
+    CURRENT_SCHEMA_VERSION,
+    SEARCH_FIELDS,
+    migrateCollection,
+    repairSearch,
+    repairSearches,
+    prepareCollection,
+    hasReportContent
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Gmail Quick Search - Search Filter
+ * Fuzzy matching of saved searches by name and query text
+ */
+
+'use strict';
+
+/**
+ * Merges touching or overlapping [start, end) ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  sorted.forEach((range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([range[0], range[1]]);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Whether position starts a word in text
+ */
+function isWordStart(text, position) {
+  return position === 0 || /[\s:()"{}\-_.@]/.test(text[position - 1]);
+}
+
+/**
+ * Matches pattern against text, case-insensitively. A substring match
+ * scores highest; otherwise (when scattered is allowed) the pattern's
+ * letters must appear in order. Returns { score, ranges } or null.
+ */
+function fuzzyMatch(text, pattern, scattered = true) {
+  const haystack = text.toLowerCase();
+  const needle = pattern.toLowerCase();
+  if (!needle) return { score: 0, ranges: [] };
+
+  const index = haystack.indexOf(needle);
+  if (index !== -1) {
+    const score = 100 + needle.length * 4 + (isWordStart(haystack, index) ? 20 : 0) - Math.min(index, 20);
+    return { score, ranges: [[index, index + needle.length]] };
+  }
+
+  if (!scattered) return null;
+
+  const ranges = [];
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const ch of needle) {
+    const found = haystack.indexOf(ch, position);
+    if (found === -1) return null;
+
+    score += 1;
+    if (found === previous + 1) score += 3;
+    if (isWordStart(haystack, found)) score += 2;
+
+    ranges.push([found, found + 1]);
+    previous = found;
+    position = found + 1;
+  }
+
+  return { score, ranges: mergeRanges(ranges) };
+}
+
+/**
+ * Filters searches by the words typed, each of which must match the name
+ * (fuzzily) or the query (as a substring; scattered letters across a long
+ * query match almost anything). Name matches count double. Returns the
+ * matches best first, with the ranges to highlight in each field.
+ */
+function filterSearches(searches, filterText) {
+  const words = (filterText || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const matches = [];
+
+  searches.forEach((search, index) => {
+    let score = 0;
+    let nameRanges = [];
+    let queryRanges = [];
+
+    for (const word of words) {
+      const nameMatch = fuzzyMatch(search.name, word);
+      const queryMatch = fuzzyMatch(search.q, word, false);
+      if (!nameMatch && !queryMatch) return;
+
+      const nameScore = nameMatch ? nameMatch.score * 2 : -1;
+      const queryScore = queryMatch ? queryMatch.score : -1;
+
+      if (nameScore >= queryScore) {
+        score += nameScore;
+        nameRanges = nameRanges.concat(nameMatch.ranges);
+      } else {
+        score += queryScore;
+        queryRanges = queryRanges.concat(queryMatch.ranges);
+      }
+    }
+
+    matches.push({
+      search,
+      index,
+      score,
+      nameRanges: mergeRanges(nameRanges),
+      queryRanges: mergeRanges(queryRanges)
+    });
+  });
+
+  // Array.prototype.sort is stable, so ties keep the saved order
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    mergeRanges,
+    fuzzyMatch,
+    filterSearches
+  };
+}
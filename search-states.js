@@ -0,0 +1,105 @@
+/**
+ * Gmail Quick Search - Search States
+ * Pinned searches (kept at the top of the popup) and hidden ones (kept,
+ * but left out of everywhere searches are picked from)
+ */
+
+'use strict';
+
+// Filters for the manage list
+const SEARCH_STATE_FILTERS = {
+  all: 'All searches',
+  pinned: 'Pinned',
+  hidden: 'Hidden'
+};
+
+// How pinned searches are drawn in the popup (the pinnedStyle setting)
+const PINNED_STYLES = {
+  list: 'A list at the top',
+  compact: 'Compact icon buttons'
+};
+
+/**
+ * Whether a search is pinned
+ */
+function isPinned(search) {
+  return search.pinned === true;
+}
+
+/**
+ * Whether a search is hidden from the popup, address bar, right-click menu
+ * and Gmail panel
+ */
+function isHidden(search) {
+  return search.hidden === true;
+}
+
+/**
+ * The searches that aren't hidden, in order
+ */
+function visibleSearches(searches) {
+  return searches.filter(search => !isHidden(search));
+}
+
+/**
+ * Returns a copy of a search with a state ('pinned' or 'hidden') turned on
+ * or off. A search can't be both: pinning shows it, hiding unpins it.
+ * States are only stored while on.
+ */
+function setSearchState(search, state, on) {
+  const updated = { ...search };
+  delete updated[state];
+
+  if (on) {
+    updated[state] = true;
+    delete updated[state === 'pinned' ? 'hidden' : 'pinned'];
+  }
+
+  return updated;
+}
+
+/**
+ * Whether a search belongs in the manage list under a filter
+ */
+function matchesStateFilter(search, filter) {
+  if (filter === 'pinned') return isPinned(search);
+  if (filter === 'hidden') return isHidden(search);
+  return true;
+}
+
+/**
+ * The searches the popup shows, split into the pinned ones (in manage
+ * order) and the rest
+ */
+function splitPopupSearches(searches) {
+  const shown = visibleSearches(searches);
+  return {
+    pinned: shown.filter(isPinned),
+    others: shown.filter(search => !isPinned(search))
+  };
+}
+
+/**
+ * The short label on a compact pinned button: the search's icon, or the
+ * first character of the name (whole, so an emoji stays intact)
+ */
+function compactLabel(search) {
+  if (search.icon) return search.icon;
+  const first = Array.from(search.name.trim())[0];
+  return first ? first.toUpperCase() : '?';
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SEARCH_STATE_FILTERS,
+    PINNED_STYLES,
+    isPinned,
+    isHidden,
+    visibleSearches,
+    setSearchState,
+    matchesStateFilter,
+    splitPopupSearches,
+    compactLabel
+  };
+}
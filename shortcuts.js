@@ -0,0 +1,72 @@
+/**
+ * Gmail Quick Search - Keyboard Shortcuts
+ * chrome.commands slots bound to saved searches
+ */
+
+'use strict';
+
+// Must match the "commands" entries in manifest.json
+const SHORTCUT_SLOTS = ['run-search-1', 'run-search-2', 'run-search-3', 'run-search-4', 'run-search-5'];
+const OPEN_POPUP_COMMAND = '_execute_action';
+const SHORTCUTS_SETTINGS_URL = 'chrome://extensions/shortcuts';
+
+/**
+ * Human-readable name for a slot, e.g. "Search slot 1"
+ */
+function describeSlot(command) {
+  return `Search slot ${SHORTCUT_SLOTS.indexOf(command) + 1}`;
+}
+
+/**
+ * Finds the search bound to a command, or null when the slot is empty or
+ * its search has since been deleted
+ */
+function resolveShortcut(command, bindings, searches) {
+  if (!SHORTCUT_SLOTS.includes(command) || !bindings) return null;
+
+  const searchId = bindings[command];
+  if (typeof searchId !== 'string') return null;
+
+  return searches.find(search => search.id === searchId) || null;
+}
+
+/**
+ * Returns new bindings with a slot set to a search id, or cleared when
+ * searchId is empty
+ */
+function bindShortcut(bindings, command, searchId) {
+  const result = { ...(bindings || {}) };
+
+  if (searchId) {
+    result[command] = searchId;
+  } else {
+    delete result[command];
+  }
+
+  return result;
+}
+
+/**
+ * Maps each command name to its assigned keys ('' when unassigned)
+ */
+async function loadCommandKeys() {
+  const commands = await chrome.commands.getAll();
+  const keys = {};
+  commands.forEach((command) => {
+    keys[command.name] = command.shortcut || '';
+  });
+  return keys;
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SHORTCUT_SLOTS,
+    OPEN_POPUP_COMMAND,
+    SHORTCUTS_SETTINGS_URL,
+    describeSlot,
+    resolveShortcut,
+    bindShortcut,
+    loadCommandKeys
+  };
+}
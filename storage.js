@@ -0,0 +1,690 @@
+/**
+ * Gmail Quick Search - Storage
+ * Shared storage keys, defaults and load/save helpers
+ */
+
+'use strict';
+
+const STORAGE_KEY = 'gmail-saved-searches-v1';
+const SETTINGS_KEY = 'gmail-quick-search-settings-v1';
+const GROUPS_KEY = 'gmail-saved-groups-v1';
+// Per-device view state (collapsed groups etc.), never synced
+const UI_STATE_KEY = 'gmail-quick-search-ui-v1';
+// Local bookkeeping for sync: deletions and when order/groups last changed
+const SYNC_STATE_KEY = 'gmail-quick-search-sync-state-v1';
+// Last result count for each search, kept by the background worker
+const COUNTS_KEY = 'gmail-quick-search-counts-v1';
+// Deleted searches, and copies of the collection taken before bulk changes
+const TRASH_KEY = 'gmail-quick-search-trash-v1';
+const SNAPSHOTS_KEY = 'gmail-quick-search-snapshots-v1';
+// How often and when each search was opened, never synced
+const USAGE_KEY = 'gmail-quick-search-usage-v1';
+// Syncs that find the synced data unreadable before giving up on waiting
+const MAX_INCOMPLETE_SYNCS = 5;
+
+// Ids of the sync writes made from this page (see isOwnSyncChange)
+const ownSyncWrites = new Set();
+
+const DEFAULT_SEARCHES = [
+  { name: "Unread", q: "is:unread" },
+  { name: "Unread Archived", q: "is:unread -in:inbox" },
+  { name: "Needs Reply", q: "from:* has:nouserlabels -category:social -category:promotions -category:updates -category:forums -category:advertisements -category:reservations -category:purchases is:unread" },
+  { name: "Should Archive", q: "-has:nouserlabels in:inbox is:read -is:starred" },
+  { name: "Attachments", q: "has:attachment" },
+  { name: "Receipts", q: "category:purchases OR newer_than:1y subject:(receipt OR invoice)" },
+  { name: "Starred", q: "is:starred" },
+  { name: "Calendar", q: "-from:(me) subject:(\"invitation\" OR \"accepted\" OR \"rejected\" OR \"updated\" OR \"canceled event\" OR \"declined\" OR \"proposed\") when where calendar who organizer -Re" }
+];
+
+const DEFAULT_SETTINGS = {
+  // Account index or email used when a search has no account of its own
+  defaultAccount: 0,
+  // Where searches open (see OPEN_MODES)
+  openIn: 'reuse',
+  // Saved Searches panel in Gmail's left navigation (opt-in)
+  gmailPanel: false,
+  // Mirror searches to chrome.storage.sync (opt-in)
+  syncEnabled: false,
+  // Shortcut slot (chrome.commands name) -> search id
+  shortcutBindings: {},
+  // Enabled right-click actions; null means all of them
+  contextMenuActions: null,
+  // Result counts in the popup (opt-in), where they come from and how often.
+  // A null provider means the best one available (see resolveCountProvider).
+  countsEnabled: false,
+  countProvider: null,
+  countRefreshMinutes: 15,
+  // Search whose count is shown on the toolbar icon
+  badgeSearchId: null,
+  // Days deleted searches stay in the trash (see TRASH_RETENTION_DAYS)
+  trashRetentionDays: 30,
+  // How the popup orders searches (see SORT_MODES), and its Recent section
+  popupSort: 'manual',
+  showRecent: false,
+  // How pinned searches are drawn in the popup (see PINNED_STYLES)
+  pinnedStyle: 'list'
+};
+
+/**
+ * Loads searches from storage
+ */
+async function loadSearches() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    const searches = result[STORAGE_KEY];
+
+    // An empty list means every search was deleted; only a first run gets the defaults
+    if (!Array.isArray(searches)) {
+      return DEFAULT_SEARCHES.map(search => ({ ...search }));
+    }
+
+    return searches;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading searches:', error);
+    return DEFAULT_SEARCHES.map(search => ({ ...search }));
+  }
+}
+
+/**
+ * Serializes a search without its timestamp, for change detection
+ */
+function searchContent(search) {
+  return JSON.stringify(Object.keys(search).filter(key => key !== 'updatedAt').sort().map(key => [key, search[key]]));
+}
+
+/**
+ * Gives every search an id and bumps updatedAt on searches that changed
+ * since the previous save. Mutates the searches so callers keep the ids.
+ */
+function stampSearches(searches, previous, now) {
+  const previousById = new Map((previous || []).filter(s => s && s.id).map(s => [s.id, s]));
+
+  searches.forEach((search) => {
+    if (!search.id) {
+      search.id = generateId('s');
+    }
+
+    const before = previousById.get(search.id);
+    if (!search.updatedAt) {
+      search.updatedAt = now;
+    } else if (before && before.updatedAt === search.updatedAt && searchContent(before) !== searchContent(search)) {
+      search.updatedAt = now;
+    }
+  });
+
+  const currentIds = new Set(searches.map(s => s.id));
+  const removedIds = Array.from(previousById.keys()).filter(id => !currentIds.has(id));
+
+  const previousOrder = Array.from(previousById.keys()).filter(id => currentIds.has(id));
+  const currentOrder = searches.map(s => s.id).filter(id => previousById.has(id));
+  const orderChanged = previousOrder.join(',') !== currentOrder.join(',');
+
+  return { removedIds, orderChanged };
+}
+
+/**
+ * Saves searches to storage, recording deletions and reorders for sync
+ */
+async function saveSearches(searches) {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY, SYNC_STATE_KEY]);
+    const previous = Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+    const state = result[SYNC_STATE_KEY] || {};
+    const now = Date.now();
+
+    const { removedIds, orderChanged } = stampSearches(searches, previous, now);
+    const syncState = {
+      ...state,
+      tombstones: mergeTombstones(state.tombstones, removedIds.map(id => ({ id, deletedAt: now })), now),
+      orderUpdatedAt: orderChanged ? now : (state.orderUpdatedAt || 0)
+    };
+
+    await chrome.storage.local.set({ [STORAGE_KEY]: searches, [SYNC_STATE_KEY]: syncState });
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error saving searches:', error);
+    return false;
+  }
+
+  await syncIfEnabled();
+  return true;
+}
+
+/**
+ * Loads the group list from storage
+ */
+async function loadGroups() {
+  try {
+    const result = await chrome.storage.local.get([GROUPS_KEY]);
+    const groups = result[GROUPS_KEY];
+    return Array.isArray(groups) ? groups : [];
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading groups:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves the group list to storage
+ */
+async function saveGroups(groups) {
+  try {
+    const result = await chrome.storage.local.get([GROUPS_KEY, SYNC_STATE_KEY]);
+    const state = result[SYNC_STATE_KEY] || {};
+    const changed = JSON.stringify(result[GROUPS_KEY] || []) !== JSON.stringify(groups);
+
+    await chrome.storage.local.set({
+      [GROUPS_KEY]: groups,
+      [SYNC_STATE_KEY]: { ...state, groupsUpdatedAt: changed ? Date.now() : (state.groupsUpdatedAt || 0) }
+    });
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error saving groups:', error);
+    return false;
+  }
+
+  await syncIfEnabled();
+  return true;
+}
+
+/**
+ * Loads searches together with their groups, migrating older storage
+ * formats and repairing damaged entries. Anything changed is written back
+ * once and described in the returned report. Pass sync: false when a sync
+ * has just run.
+ */
+async function loadCollection({ sync = true } = {}) {
+  if (sync) await syncIfEnabled();
+
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY, GROUPS_KEY, SCHEMA_KEY]);
+    const prepared = prepareCollection(result[STORAGE_KEY], result[GROUPS_KEY], result[SCHEMA_KEY]);
+
+    if (prepared.changed) {
+      await writePreparedCollection(prepared, result[SCHEMA_KEY]);
+    }
+
+    return { searches: prepared.searches, groups: prepared.groups, report: prepared.report };
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading collection:', error);
+    const fallback = normalizeGroups([], DEFAULT_SEARCHES.map(search => ({ ...search })));
+    return { searches: fallback.searches, groups: fallback.groups, report: null };
+  }
+}
+
+/**
+ * Loads searches and groups repaired the same way as loadCollection, but
+ * without syncing or writing anything back. For the Gmail page, which only
+ * reads storage.
+ */
+async function loadCollectionReadOnly() {
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY, GROUPS_KEY, SCHEMA_KEY]);
+    const prepared = prepareCollection(result[STORAGE_KEY], result[GROUPS_KEY], result[SCHEMA_KEY]);
+    return { searches: prepared.searches, groups: prepared.groups };
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading collection:', error);
+    const fallback = normalizeGroups([], DEFAULT_SEARCHES.map(search => ({ ...search })));
+    return { searches: fallback.searches, groups: fallback.groups };
+  }
+}
+
+/**
+ * Writes back a migrated/repaired collection, keeping quarantined entries
+ * and the report for the manage page
+ */
+async function writePreparedCollection(prepared, schemaRecord) {
+  const report = prepared.report;
+  const previous = schemaRecord && typeof schemaRecord === 'object' ? schemaRecord : {};
+  const record = { version: prepared.version, lastReport: previous.lastReport || null };
+
+  if (hasReportContent(report)) {
+    record.lastReport = {
+      at: Date.now(),
+      migrated: report.migrated,
+      repaired: report.repaired,
+      quarantined: report.quarantined.map(({ label, reason }) => ({ label, reason })),
+      flagged: report.flagged
+    };
+  }
+
+  const updates = { [SCHEMA_KEY]: record };
+
+  if (report.quarantined.length > 0) {
+    const stored = await chrome.storage.local.get([QUARANTINE_KEY]);
+    const existing = Array.isArray(stored[QUARANTINE_KEY]) ? stored[QUARANTINE_KEY] : [];
+    const added = report.quarantined.map(({ entry, reason }) => ({ entry, reason, at: Date.now() }));
+    updates[QUARANTINE_KEY] = existing.concat(added).slice(-MAX_QUARANTINE);
+  }
+
+  await chrome.storage.local.set(updates);
+  await saveGroups(prepared.groups);
+  await saveSearches(prepared.searches);
+}
+
+/**
+ * Returns the last migration/repair report that hasn't been dismissed
+ */
+async function loadLoadReport() {
+  try {
+    const result = await chrome.storage.local.get([SCHEMA_KEY]);
+    const record = result[SCHEMA_KEY];
+    return record && record.lastReport ? record.lastReport : null;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading repair report:', error);
+    return null;
+  }
+}
+
+/**
+ * Clears the last migration/repair report
+ */
+async function dismissLoadReport() {
+  try {
+    const result = await chrome.storage.local.get([SCHEMA_KEY]);
+    const record = result[SCHEMA_KEY] || { version: CURRENT_SCHEMA_VERSION };
+    await chrome.storage.local.set({ [SCHEMA_KEY]: { ...record, lastReport: null } });
+    return true;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error dismissing repair report:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the local sync bookkeeping (last sync time, last error, etc.)
+ */
+async function loadSyncState() {
+  try {
+    const result = await chrome.storage.local.get([SYNC_STATE_KEY]);
+    return result[SYNC_STATE_KEY] || {};
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading sync state:', error);
+    return {};
+  }
+}
+
+/**
+ * Makes an id for a sync write from this page and remembers it
+ */
+function newSyncWriteId() {
+  const writeId = generateId('w');
+  ownSyncWrites.add(writeId);
+  return writeId;
+}
+
+/**
+ * Whether a chrome.storage.sync change only carries this page's own
+ * writes: its document, or the chunks it removed afterwards
+ */
+function isOwnSyncChange(changes) {
+  const meta = changes[SYNC_META_KEY];
+  if (meta) return Boolean(meta.newValue && ownSyncWrites.has(meta.newValue.writeId));
+  return Object.values(changes).every(change => change.newValue === undefined);
+}
+
+/**
+ * This device's side of a sync, from the stored searches, groups and sync
+ * bookkeeping. Searches saved before sync existed get their ids here.
+ */
+function localSyncDoc(result, now) {
+  const state = result[SYNC_STATE_KEY] || {};
+  const searches = Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+  stampSearches(searches, searches, now);
+
+  return {
+    searches,
+    groups: Array.isArray(result[GROUPS_KEY]) ? result[GROUPS_KEY] : [],
+    tombstones: state.tombstones || [],
+    orderUpdatedAt: state.orderUpdatedAt || 0,
+    groupsUpdatedAt: state.groupsUpdatedAt || 0
+  };
+}
+
+/**
+ * Saves a merged document locally, with the sync bookkeeping for a sync
+ * that succeeded
+ */
+async function saveSyncedDoc(merged, now) {
+  await chrome.storage.local.set({
+    [STORAGE_KEY]: merged.searches,
+    [GROUPS_KEY]: merged.groups,
+    [SYNC_STATE_KEY]: {
+      tombstones: merged.tombstones,
+      orderUpdatedAt: merged.orderUpdatedAt,
+      groupsUpdatedAt: merged.groupsUpdatedAt,
+      lastSyncedAt: now,
+      lastError: null
+    }
+  });
+}
+
+/**
+ * Records a failed sync, keeping the rest of the bookkeeping
+ */
+async function recordSyncError(error) {
+  try {
+    const state = await loadSyncState();
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: { ...state, lastError: error } });
+  } catch (ignored) {
+    // Nothing more we can record
+  }
+}
+
+/**
+ * Merges the local collection with chrome.storage.sync and writes the
+ * result back to whichever side was behind. When the synced data can't be
+ * read it is left alone and tried again, up to MAX_INCOMPLETE_SYNCS times;
+ * after that the state is marked stuck until replaceSyncedSearches().
+ */
+async function syncNow() {
+  const now = Date.now();
+
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY, GROUPS_KEY, SYNC_STATE_KEY]);
+    const state = result[SYNC_STATE_KEY] || {};
+    const local = localSyncDoc(result, now);
+
+    const { doc: remote, items, unreadable } = await readSyncDoc();
+    if (unreadable) {
+      // Merging with nothing would write this device's copy over searches
+      // only the other device has. Wait for the rest of the data instead.
+      const attempts = (state.incompleteAttempts || 0) + 1;
+      const stuck = attempts >= MAX_INCOMPLETE_SYNCS;
+      const error = stuck
+        ? 'Synced searches can\'t be read. Replace them with this device\'s searches to sync again.'
+        : 'Synced searches are incomplete; will try again when the rest arrives';
+      await chrome.storage.local.set({
+        [SYNC_STATE_KEY]: { ...state, lastError: error, incomplete: true, incompleteAttempts: attempts, stuck }
+      });
+      return { ok: false, error, retry: !stuck };
+    }
+
+    // A first run with nothing synced yet: loading fills in the defaults,
+    // which an empty list written here would replace
+    if (!remote && !Array.isArray(result[STORAGE_KEY])) {
+      return { ok: true, changed: false };
+    }
+
+    const merged = mergeSyncDocs(local, remote, now);
+
+    const localChanged = JSON.stringify(merged.searches) !== JSON.stringify(result[STORAGE_KEY] || []) ||
+      JSON.stringify(merged.groups) !== JSON.stringify(local.groups);
+
+    if (!remote || JSON.stringify(merged) !== JSON.stringify(remote)) {
+      const written = await writeSyncDoc(merged, items, newSyncWriteId());
+      if (!written.ok) {
+        await chrome.storage.local.set({ [SYNC_STATE_KEY]: { ...state, lastError: written.error } });
+        return { ok: false, error: written.error };
+      }
+    }
+
+    await saveSyncedDoc(merged, now);
+    return { ok: true, changed: localChanged };
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error syncing searches:', error);
+    await recordSyncError('Chrome sync is unavailable');
+    return { ok: false, error: 'Chrome sync is unavailable' };
+  }
+}
+
+/**
+ * Writes this device's searches over whatever is in chrome.storage.sync,
+ * for when the synced copy can't be read. Searches only other devices had
+ * are lost.
+ */
+async function replaceSyncedSearches() {
+  const now = Date.now();
+
+  try {
+    const result = await chrome.storage.local.get([STORAGE_KEY, GROUPS_KEY, SYNC_STATE_KEY]);
+    const doc = mergeSyncDocs(localSyncDoc(result, now), null, now);
+    const items = await chrome.storage.sync.get(null);
+
+    const written = await writeSyncDoc(doc, items, newSyncWriteId());
+    if (!written.ok) {
+      await recordSyncError(written.error);
+      return { ok: false, error: written.error };
+    }
+
+    await saveSyncedDoc(doc, now);
+    return { ok: true };
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error replacing synced searches:', error);
+    await recordSyncError('Chrome sync is unavailable');
+    return { ok: false, error: 'Chrome sync is unavailable' };
+  }
+}
+
+/**
+ * Runs a sync when the user has turned it on
+ */
+async function syncIfEnabled() {
+  const settings = await loadSettings();
+  if (!settings.syncEnabled) return null;
+  return syncNow();
+}
+
+/**
+ * Loads per-device view state
+ */
+async function loadUiState() {
+  try {
+    const result = await chrome.storage.local.get([UI_STATE_KEY]);
+    const state = result[UI_STATE_KEY];
+    return state && typeof state === 'object' && !Array.isArray(state) ? state : {};
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading view state:', error);
+    return {};
+  }
+}
+
+/**
+ * Merges changes into the stored view state
+ */
+async function saveUiState(changes) {
+  try {
+    const state = await loadUiState();
+    await chrome.storage.local.set({ [UI_STATE_KEY]: { ...state, ...changes } });
+    return true;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error saving view state:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the cached result counts (search id -> entry)
+ */
+async function loadResultCounts() {
+  try {
+    const result = await chrome.storage.local.get([COUNTS_KEY]);
+    const counts = result[COUNTS_KEY];
+    return counts && typeof counts === 'object' && !Array.isArray(counts) ? counts : {};
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading result counts:', error);
+    return {};
+  }
+}
+
+/**
+ * Replaces the cached result counts
+ */
+async function saveResultCounts(counts) {
+  try {
+    await chrome.storage.local.set({ [COUNTS_KEY]: counts });
+    return true;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error saving result counts:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the trash (deleted searches, newest first)
+ */
+async function loadTrash() {
+  try {
+    const result = await chrome.storage.local.get([TRASH_KEY]);
+    return Array.isArray(result[TRASH_KEY]) ? result[TRASH_KEY] : [];
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading trash:', error);
+    return [];
+  }
+}
+
+/**
+ * Replaces the trash
+ */
+async function saveTrash(trash) {
+  try {
+    await chrome.storage.local.set({ [TRASH_KEY]: trash });
+    return true;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error saving trash:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the collection snapshots, newest first
+ */
+async function loadSnapshots() {
+  try {
+    const result = await chrome.storage.local.get([SNAPSHOTS_KEY]);
+    return Array.isArray(result[SNAPSHOTS_KEY]) ? result[SNAPSHOTS_KEY] : [];
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading snapshots:', error);
+    return [];
+  }
+}
+
+/**
+ * Replaces the collection snapshots
+ */
+async function saveSnapshots(snapshots) {
+  try {
+    await chrome.storage.local.set({ [SNAPSHOTS_KEY]: snapshots });
+    return true;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error saving snapshots:', error);
+    return false;
+  }
+}
+
+/**
+ * Loads the usage stats (search id -> { count, lastUsedAt })
+ */
+async function loadUsage() {
+  try {
+    const result = await chrome.storage.local.get([USAGE_KEY]);
+    const usage = result[USAGE_KEY];
+    return usage && typeof usage === 'object' && !Array.isArray(usage) ? usage : {};
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading usage stats:', error);
+    return {};
+  }
+}
+
+/**
+ * Replaces the usage stats
+ */
+async function saveUsage(usage) {
+  try {
+    await chrome.storage.local.set({ [USAGE_KEY]: usage });
+    return true;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error saving usage stats:', error);
+    return false;
+  }
+}
+
+/**
+ * Records that saved searches were opened, for sorting, the Recent section
+ * and stale flags. Reads the stored stats first so uses recorded by other
+ * pages aren't lost. Returns the new stats.
+ */
+async function recordSearchUse(searches, now = Date.now()) {
+  let usage = await loadUsage();
+  searches.forEach((search) => {
+    if (search && search.id) usage = recordUse(usage, search.id, now);
+  });
+  await saveUsage(usage);
+  return usage;
+}
+
+/**
+ * Loads settings, filling in defaults for anything not yet stored
+ */
+async function loadSettings() {
+  try {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    const stored = result[SETTINGS_KEY];
+
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+      return { ...DEFAULT_SETTINGS };
+    }
+
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error loading settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Merges changes into the stored settings
+ */
+async function saveSettings(changes) {
+  try {
+    const settings = await loadSettings();
+    await chrome.storage.local.set({ [SETTINGS_KEY]: { ...settings, ...changes } });
+    return true;
+  } catch (error) {
+    console.error('[Gmail Quick Search] Error saving settings:', error);
+    return false;
+  }
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    STORAGE_KEY,
+    SETTINGS_KEY,
+    GROUPS_KEY,
+    UI_STATE_KEY,
+    SYNC_STATE_KEY,
+    COUNTS_KEY,
+    TRASH_KEY,
+    SNAPSHOTS_KEY,
+    USAGE_KEY,
+    MAX_INCOMPLETE_SYNCS,
+    DEFAULT_SEARCHES,
+    DEFAULT_SETTINGS,
+    loadSearches,
+    stampSearches,
+    saveSearches,
+    loadGroups,
+    saveGroups,
+    loadCollection,
+    loadCollectionReadOnly,
+    loadLoadReport,
+    dismissLoadReport,
+    loadSyncState,
+    isOwnSyncChange,
+    syncNow,
+    replaceSyncedSearches,
+    syncIfEnabled,
+    loadUiState,
+    saveUiState,
+    loadResultCounts,
+    saveResultCounts,
+    loadTrash,
+    saveTrash,
+    loadSnapshots,
+    saveSnapshots,
+    loadUsage,
+    saveUsage,
+    recordSearchUse,
+    loadSettings,
+    saveSettings
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Gmail Quick Search - Sync
+ * Opt-in chrome.storage.sync mirror with chunking and per-search merging
+ */
+
+'use strict';
+
+const SYNC_META_KEY = 'gmail-quick-search-sync-meta';
+const SYNC_CHUNK_PREFIX = 'gmail-quick-search-sync-chunk-';
+const SYNC_DOC_VERSION = 1;
+// Deletions are remembered this long so other devices can catch up
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Fallbacks for chrome.storage.sync quotas (the API exposes the real ones)
+const DEFAULT_SYNC_LIMITS = {
+  perItem: 8192,
+  total: 102400,
+  maxItems: 512
+};
+
+/**
+ * Reads the sync quotas from the API when available
+ */
+function getSyncLimits() {
+  const sync = typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync;
+  return {
+    perItem: (sync && sync.QUOTA_BYTES_PER_ITEM) || DEFAULT_SYNC_LIMITS.perItem,
+    total: (sync && sync.QUOTA_BYTES) || DEFAULT_SYNC_LIMITS.total,
+    maxItems: (sync && sync.MAX_ITEMS) || DEFAULT_SYNC_LIMITS.maxItems
+  };
+}
+
+/**
+ * Size of one item the way chrome.storage.sync counts it
+ */
+function itemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Splits a sync document into storage items that each fit the per-item
+ * quota. Returns the items or an error when the whole set is over quota.
+ */
+function encodeSyncItems(doc, limits = DEFAULT_SYNC_LIMITS) {
+  const text = JSON.stringify(doc);
+  const items = {};
+  let count = 0;
+  let position = 0;
+
+  while (position < text.length) {
+    const key = SYNC_CHUNK_PREFIX + count;
+    let size = Math.min(text.length - position, limits.perItem);
+
+    while (size > 0 && itemBytes(key, text.slice(position, position + size)) > limits.perItem) {
+      size = Math.floor(size * 0.9);
+    }
+
+    // Never split a surrogate pair across chunks
+    const last = text.charCodeAt(position + size - 1);
+    if (size > 1 && last >= 0xd800 && last <= 0xdbff) {
+      size -= 1;
+    }
+
+    if (size <= 0) {
+      return { ok: false, error: 'Sync item limit is too small' };
+    }
+
+    items[key] = text.slice(position, position + size);
+    position += size;
+    count += 1;
+  }
+
+  items[SYNC_META_KEY] = { version: SYNC_DOC_VERSION, chunks: count };
+
+  const total = Object.keys(items).reduce((sum, key) => sum + itemBytes(key, items[key]), 0);
+  if (total > limits.total || Object.keys(items).length > limits.maxItems) {
+    return { ok: false, error: 'Too many searches to fit in Chrome sync storage' };
+  }
+
+  return { ok: true, items, chunks: count };
+}
+
+/**
+ * Reassembles a sync document from stored items, or null if absent/broken
+ */
+function decodeSyncItems(items) {
+  const meta = items && items[SYNC_META_KEY];
+  if (!meta || !Number.isInteger(meta.chunks) || meta.chunks < 1) return null;
+
+  let text = '';
+  for (let i = 0; i < meta.chunks; i++) {
+    const chunk = items[SYNC_CHUNK_PREFIX + i];
+    if (typeof chunk !== 'string') return null;
+    text += chunk;
+  }
+
+  try {
+    const doc = JSON.parse(text);
+    return doc && typeof doc === 'object' && Array.isArray(doc.searches) ? doc : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether sync storage holds any part of a document. Together with
+ * decodeSyncItems this tells "nothing synced yet" apart from a document
+ * that can't be read, e.g. while another device's chunks are still arriving.
+ */
+function hasSyncItems(items) {
+  return Object.keys(items || {}).some(key => key === SYNC_META_KEY || key.startsWith(SYNC_CHUNK_PREFIX));
+}
+
+/**
+ * Keeps the newest tombstone per id and drops expired ones
+ */
+function mergeTombstones(a, b, now) {
+  const byId = new Map();
+
+  [a, b].filter(Array.isArray).flat().forEach((tombstone) => {
+    if (!tombstone || typeof tombstone.id !== 'string') return;
+    if (now - tombstone.deletedAt > TOMBSTONE_TTL_MS) return;
+
+    const existing = byId.get(tombstone.id);
+    if (!existing || tombstone.deletedAt > existing.deletedAt) {
+      byId.set(tombstone.id, tombstone);
+    }
+  });
+
+  return Array.from(byId.values());
+}
+
+/**
+ * Whether a synced entry has what merging needs. Anything else (say, from a
+ * damaged or hand-edited document) is dropped; loading repairs the rest.
+ */
+function isSyncableSearch(search) {
+  return Boolean(search) && typeof search === 'object' && typeof search.id === 'string' &&
+    typeof search.name === 'string' && typeof search.q === 'string';
+}
+
+/**
+ * Merges two copies of the collection made on different devices.
+ * Each search keeps whichever edit is newer (by updatedAt), deletions win
+ * over older edits, and the order and groups come from whichever side
+ * changed them last. Searches the other side doesn't know about are kept.
+ */
+function mergeSyncDocs(local, remote, now = Date.now()) {
+  if (!remote) remote = { searches: [], groups: [], tombstones: [] };
+  if (!local) local = { searches: [], groups: [], tombstones: [] };
+  local = { ...local, searches: (local.searches || []).filter(isSyncableSearch) };
+  remote = {
+    ...remote,
+    searches: (remote.searches || []).filter(isSyncableSearch),
+    groups: Array.isArray(remote.groups) ? remote.groups : []
+  };
+
+  const tombstones = mergeTombstones(local.tombstones, remote.tombstones, now);
+  const deletedAt = new Map(tombstones.map(t => [t.id, t.deletedAt]));
+
+  const localById = new Map(local.searches.map(s => [s.id, s]));
+  const remoteById = new Map(remote.searches.map(s => [s.id, s]));
+
+  const pick = (id) => {
+    const a = localById.get(id);
+    const b = remoteById.get(id);
+    let winner = b;
+    if (!b || (a && (a.updatedAt || 0) > (b.updatedAt || 0))) {
+      winner = a;
+    }
+
+    const deleted = deletedAt.get(id);
+    if (deleted !== undefined && deleted >= (winner.updatedAt || 0)) {
+      return null;
+    }
+    return winner;
+  };
+
+  const localOrderNewer = (local.orderUpdatedAt || 0) > (remote.orderUpdatedAt || 0);
+  const [first, second] = localOrderNewer ? [local, remote] : [remote, local];
+
+  const seen = new Set();
+  // Identical searches created separately on each device (e.g. the defaults)
+  const seenContent = new Set();
+  const searches = [];
+  [...first.searches, ...second.searches].forEach(({ id }) => {
+    if (seen.has(id)) return;
+    seen.add(id);
+
+    const search = pick(id);
+    if (!search) return;
+
+    const content = search.name.toLowerCase() + '\n' + search.q;
+    if (seenContent.has(content)) return;
+    seenContent.add(content);
+
+    searches.push(search);
+  });
+
+  let groups = (local.groupsUpdatedAt || 0) > (remote.groupsUpdatedAt || 0) ? local.groups : remote.groups;
+  if (!groups || groups.length === 0) {
+    groups = local.groups && local.groups.length > 0 ? local.groups : (remote.groups || []);
+  }
+
+  return {
+    version: SYNC_DOC_VERSION,
+    searches,
+    groups,
+    tombstones,
+    orderUpdatedAt: Math.max(local.orderUpdatedAt || 0, remote.orderUpdatedAt || 0),
+    groupsUpdatedAt: Math.max(local.groupsUpdatedAt || 0, remote.groupsUpdatedAt || 0)
+  };
+}
+
+/**
+ * Reads the synced document from chrome.storage.sync. unreadable is true
+ * when there is sync data but it doesn't decode to a document.
+ */
+async function readSyncDoc() {
+  const items = await chrome.storage.sync.get(null);
+  const doc = decodeSyncItems(items);
+  return { doc, items, unreadable: doc === null && hasSyncItems(items) };
+}
+
+/**
+ * Writes a document to chrome.storage.sync, removing leftover chunks.
+ * writeId is stored with it so the writer can recognise its own change.
+ */
+async function writeSyncDoc(doc, previousItems, writeId = null) {
+  const encoded = encodeSyncItems(doc, getSyncLimits());
+  if (!encoded.ok) return encoded;
+  if (writeId) encoded.items[SYNC_META_KEY].writeId = writeId;
+
+  await chrome.storage.sync.set(encoded.items);
+
+  const stale = Object.keys(previousItems || {}).filter(key =>
+    key.startsWith(SYNC_CHUNK_PREFIX) && !(key in encoded.items)
+  );
+  if (stale.length > 0) {
+    await chrome.storage.sync.remove(stale);
+  }
+
+  return { ok: true };
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SYNC_META_KEY,
+    SYNC_CHUNK_PREFIX,
+    TOMBSTONE_TTL_MS,
+    encodeSyncItems,
+    decodeSyncItems,
+    hasSyncItems,
+    mergeTombstones,
+    isSyncableSearch,
+    mergeSyncDocs,
+    readSyncDoc,
+    writeSyncDoc
+  };
+}
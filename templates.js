@@ -0,0 +1,143 @@
+/**
+ * Gmail Quick Search - Templates
+ * Searches with {{placeholders}} that are filled in when they are run
+ */
+
+'use strict';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const MAX_RECENT_VALUES = 5;
+const MAX_TEMPLATE_VALUE_LENGTH = 200;
+
+/**
+ * Placeholder names in the order they first appear, without repeats
+ */
+function getPlaceholders(query) {
+  const names = [];
+  for (const match of (query || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Whether a query has any placeholders
+ */
+function isTemplate(query) {
+  return getPlaceholders(query).length > 0;
+}
+
+/**
+ * Replaces each placeholder with a plain word of the same length, so the
+ * query can be parsed and error positions still line up
+ */
+function maskPlaceholders(query) {
+  return query.replace(PLACEHOLDER_PATTERN, placeholder => 'x'.repeat(placeholder.length));
+}
+
+/**
+ * Finds a malformed placeholder (e.g. "{{}}", "{{two words}}" or a
+ * missing "}}"). Returns { message, start, end } or null.
+ */
+function findPlaceholderError(query) {
+  const masked = maskPlaceholders(query);
+  const open = masked.indexOf('{{');
+  const close = masked.indexOf('}}');
+
+  if (open === -1 && close === -1) return null;
+
+  if (open !== -1 && (close === -1 || open < close)) {
+    const end = masked.indexOf('}}', open);
+    return {
+      message: end === -1
+        ? 'Placeholder is missing its closing "}}"'
+        : 'Placeholder names must be a single word of letters, digits or _',
+      start: open,
+      end: end === -1 ? open + 2 : end + 2
+    };
+  }
+
+  return { message: 'Unexpected "}}" with no matching "{{"', start: close, end: close + 2 };
+}
+
+/**
+ * Formats a value for use in a query: words stay as they are, anything
+ * that could read as syntax (spaces, brackets, operators) becomes a phrase
+ */
+function formatTemplateValue(value) {
+  const cleaned = value.replace(/"/g, ' ').replace(/\s+/g, ' ').trim();
+  return /[\s(){}:]/.test(cleaned) || cleaned.startsWith('-') ? `"${cleaned}"` : cleaned;
+}
+
+/**
+ * Checks the values typed for a template's placeholders
+ */
+function validateTemplateValues(query, values) {
+  for (const name of getPlaceholders(query)) {
+    const value = values[name];
+
+    if (typeof value !== 'string' || value.replace(/"/g, '').trim().length === 0) {
+      return { valid: false, error: `Enter a value for "${name}"`, name };
+    }
+
+    if (value.length > MAX_TEMPLATE_VALUE_LENGTH) {
+      return { valid: false, error: `"${name}" is too long (max ${MAX_TEMPLATE_VALUE_LENGTH} characters)`, name };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Fills in a template's placeholders with the given values
+ */
+function fillTemplate(query, values) {
+  return query.replace(PLACEHOLDER_PATTERN, (placeholder, name) => formatTemplateValue(values[name] || ''));
+}
+
+/**
+ * Returns recent values with the ones just used moved to the front
+ */
+function rememberTemplateValues(recents, values) {
+  const result = { ...(recents || {}) };
+
+  Object.keys(values).forEach((name) => {
+    const value = values[name].trim();
+    const previous = Array.isArray(result[name]) ? result[name] : [];
+    result[name] = [value, ...previous.filter(v => v !== value)].slice(0, MAX_RECENT_VALUES);
+  });
+
+  return result;
+}
+
+/**
+ * Fills a template from each placeholder's most recent value, for places
+ * that can't ask (shortcuts, address bar, menus). Null if any is unknown.
+ */
+function fillFromRecentValues(query, recents) {
+  const values = {};
+
+  for (const name of getPlaceholders(query)) {
+    const recent = recents && Array.isArray(recents[name]) ? recents[name][0] : null;
+    if (!recent) return null;
+    values[name] = recent;
+  }
+
+  return fillTemplate(query, values);
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_RECENT_VALUES,
+    getPlaceholders,
+    isTemplate,
+    maskPlaceholders,
+    findPlaceholderError,
+    formatTemplateValue,
+    validateTemplateValues,
+    fillTemplate,
+    rememberTemplateValues,
+    fillFromRecentValues
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for batch actions on selected searches
+ */
+
+Object.assign(
+  global,
+  require('../query-parser.js'),
+  require('../templates.js'),
+  require('../validation.js'),
+  require('../search-states.js')
+);
+
+const {
+  pluralSearches,
+  copyName,
+  deleteSelected,
+  duplicateSelected,
+  moveSelectedToGroup,
+  setSelectedHidden
+} = require('../bulk.js');
+
+const search = (id, group = 'general', extra = {}) => ({
+  id, name: id.toUpperCase(), q: `label:${id}`, group, updatedAt: 1, ...extra
+});
+const searches = [search('a'), search('b', 'work'), search('c'), search('d', 'work', { hidden: true })];
+
+// Test Suite: deleteSelected
+describe('deleteSelected', () => {
+  test('removes the selected searches and remembers where they were', () => {
+    const result = deleteSelected(searches, new Set(['a', 'c']));
+
+    expect(result.searches.map(s => s.id)).toEqual(['b', 'd']);
+    expect(result.removed).toEqual([{ search: searches[0], index: 0 }, { search: searches[2], index: 2 }]);
+    expect(result.summary).toBe('Deleted 2 searches');
+  });
+});
+
+// Test Suite: duplicateSelected
+describe('duplicateSelected', () => {
+  test('adds a copy with a new name right after each selected search', () => {
+    const result = duplicateSelected(searches, ['b']);
+
+    expect(result.ok).toBe(true);
+    expect(result.searches.map(s => s.name)).toEqual(['A', 'B', 'B (copy)', 'C', 'D']);
+    expect(result.searches[2]).toEqual({ name: 'B (copy)', q: 'label:b', group: 'work' });
+    expect(result.summary).toBe('Duplicated 1 search');
+  });
+
+  test('copies keep the same query, which the duplicate check would flag', () => {
+    const result = duplicateSelected(searches, ['a', 'c']);
+
+    expect(result.ok).toBe(true);
+    expect(result.searches.filter(s => s.q === 'label:a')).toHaveLength(2);
+    expect(checkDuplicate(result.searches, 'Other', 'label:c', 3)).toMatchObject({ isDuplicate: true, type: 'query' });
+  });
+
+  test('keeps copy names unique and within the name limit', () => {
+    expect(copyName('A', new Set(['a', 'a (copy)']))).toBe('A (copy 2)');
+
+    const long = copyName('x'.repeat(MAX_NAME_LENGTH), new Set());
+    expect(long.length).toBeLessThanOrEqual(MAX_NAME_LENGTH);
+    expect(long.endsWith(' (copy)')).toBe(true);
+  });
+
+  test('refuses to go over the search limit', () => {
+    const full = Array.from({ length: MAX_SEARCHES }, (_, i) => search(`s${i}`));
+    expect(duplicateSelected(full, ['s0']).ok).toBe(false);
+  });
+});
+
+// Test Suite: moveSelectedToGroup
+describe('moveSelectedToGroup', () => {
+  test('moves the selected searches to the end of the group in order', () => {
+    const result = moveSelectedToGroup(searches, ['c', 'a', 'b'], { id: 'work', name: 'Work' });
+
+    expect(result.searches.map(s => `${s.id}:${s.group}`)).toEqual(['d:work', 'a:work', 'b:work', 'c:work']);
+    expect(result.summary).toBe('Moved 3 searches to "Work" (1 already there)');
+  });
+});
+
+// Test Suite: setSelectedHidden
+describe('setSelectedHidden', () => {
+  test('hides searches and counts the ones already hidden', () => {
+    const pinned = [search('a', 'general', { pinned: true }), searches[3]];
+    const result = setSelectedHidden(pinned, ['a', 'd'], true);
+
+    expect(result.searches[0]).toEqual(search('a', 'general', { hidden: true }));
+    expect(result.searches[1]).toBe(pinned[1]);
+    expect(result.summary).toBe('Hid 1 search (1 already hidden)');
+  });
+
+  test('shows hidden searches again', () => {
+    const result = setSelectedHidden(searches, ['d'], false);
+    expect(result.searches[3]).not.toHaveProperty('hidden');
+    expect(result.summary).toBe('Showed 1 search');
+  });
+
+  test('pluralizes summaries', () => {
+    expect(pluralSearches(0)).toBe('0 searches');
+    expect(pluralSearches(1)).toBe('1 search');
+  });
+});
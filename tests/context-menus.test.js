@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the right-click menu actions
+ */
+
+Object.assign(global, require('../validation.js'), require('../search-states.js'));
+
+const {
+  CONTEXT_MENU_ACTIONS,
+  extractEmail,
+  extractDomain,
+  formatSelectionQuery,
+  buildContextMenuItems,
+  resolveContextMenuClick
+} = require('../context-menus.js');
+
+const searches = [
+  { id: 's-1', name: 'Unread', q: 'is:unread' },
+  { id: 's-2', name: 'Receipts', q: 'category:purchases OR subject:receipt' }
+];
+
+describe('extractEmail', () => {
+  test('finds addresses in text and mailto: links', () => {
+    expect(extractEmail('Contact Jane <Jane.Doe@Example.com> today')).toBe('jane.doe@example.com');
+    expect(extractEmail('mailto:team%40example.org?subject=hi')).toBe('team@example.org');
+  });
+
+  test('returns null without an address', () => {
+    expect(extractEmail('no address here')).toBeNull();
+    expect(extractEmail(undefined)).toBeNull();
+  });
+});
+
+describe('extractDomain', () => {
+  test('reads the domain of an address, URL or bare name', () => {
+    expect(extractDomain('bob@mail.example.com')).toBe('mail.example.com');
+    expect(extractDomain('https://www.example.com/page?x=1')).toBe('example.com');
+    expect(extractDomain(' example.co.uk ')).toBe('example.co.uk');
+  });
+
+  test('returns null for text that is not a domain', () => {
+    expect(extractDomain('hello world')).toBeNull();
+    expect(extractDomain('localhost')).toBeNull();
+  });
+});
+
+describe('formatSelectionQuery', () => {
+  test('keeps single words and quotes phrases', () => {
+    expect(formatSelectionQuery('invoice')).toBe('invoice');
+    expect(formatSelectionQuery('  quarterly\n report ')).toBe('"quarterly report"');
+  });
+
+  test('quotes text that would read as an operator or negation', () => {
+    expect(formatSelectionQuery('from:me')).toBe('"from:me"');
+    expect(formatSelectionQuery('-draft')).toBe('"-draft"');
+  });
+
+  test('drops quotes inside the selection and ignores blank text', () => {
+    expect(formatSelectionQuery('say "hi"')).toBe('"say hi"');
+    expect(formatSelectionQuery('   ')).toBeNull();
+  });
+});
+
+describe('buildContextMenuItems', () => {
+  test('creates every action by default, with a submenu of searches', () => {
+    const items = buildContextMenuItems(null, searches);
+    expect(items.map(item => item.id)).toEqual([
+      'search-selection', 'from-address', 'from-domain', 'saved-search', 'saved-search:s-1', 'saved-search:s-2'
+    ]);
+    expect(items[4]).toMatchObject({ parentId: 'saved-search', title: 'Unread' });
+    expect(items[1].targetUrlPatterns).toEqual(['mailto:*']);
+  });
+
+  test('only creates enabled actions', () => {
+    expect(buildContextMenuItems(['from-domain'], searches).map(item => item.id)).toEqual(['from-domain']);
+    expect(buildContextMenuItems([], searches)).toEqual([]);
+  });
+
+  test('leaves out the saved search submenu when there are no saved searches', () => {
+    expect(buildContextMenuItems(null, []).map(item => item.id)).not.toContain('saved-search');
+    expect(buildContextMenuItems(null, [{ name: 'Unsaved', q: 'is:unread' }]).map(item => item.id))
+      .not.toContain('saved-search');
+  });
+
+  test('leaves hidden searches out of the submenu', () => {
+    const ids = buildContextMenuItems(null, [...searches, { id: 's-3', name: 'Secret', q: 'x', hidden: true }])
+      .map(item => item.id);
+    expect(ids).not.toContain('saved-search:s-3');
+    expect(buildContextMenuItems(null, [{ id: 's-3', name: 'Secret', q: 'x', hidden: true }]).map(item => item.id))
+      .not.toContain('saved-search');
+  });
+
+  test('every action has a label for the settings page', () => {
+    CONTEXT_MENU_ACTIONS.forEach(action => expect(action.label).toBeTruthy());
+  });
+});
+
+describe('resolveContextMenuClick', () => {
+  test('searches for the selection', () => {
+    expect(resolveContextMenuClick({ menuItemId: 'search-selection', selectionText: 'team offsite' }, searches))
+      .toEqual({ query: '"team offsite"' });
+  });
+
+  test('finds mail from an address in the selection or a mailto: link', () => {
+    expect(resolveContextMenuClick({ menuItemId: 'from-address', selectionText: 'ann@example.com' }, searches))
+      .toEqual({ query: 'from:ann@example.com' });
+    expect(resolveContextMenuClick({ menuItemId: 'from-address', linkUrl: 'mailto:bob@example.com' }, searches))
+      .toEqual({ query: 'from:bob@example.com' });
+  });
+
+  test('falls back to the selected name when there is no address', () => {
+    expect(resolveContextMenuClick({ menuItemId: 'from-address', selectionText: 'Ann Lee' }, searches))
+      .toEqual({ query: 'from:"Ann Lee"' });
+  });
+
+  test('finds mail from a domain', () => {
+    expect(resolveContextMenuClick({ menuItemId: 'from-domain', linkUrl: 'https://shop.example.com/x' }, searches))
+      .toEqual({ query: 'from:@shop.example.com' });
+    expect(resolveContextMenuClick({ menuItemId: 'from-domain', selectionText: 'not a domain' }, searches)).toBeNull();
+  });
+
+  test('scopes a saved search to the selection', () => {
+    expect(resolveContextMenuClick({ menuItemId: 'saved-search:s-2', selectionText: 'acme' }, searches))
+      .toEqual({ query: '(category:purchases OR subject:receipt) acme', search: searches[1] });
+  });
+
+  test('ignores unknown items and deleted or hidden searches', () => {
+    expect(resolveContextMenuClick({ menuItemId: 'saved-search:gone', selectionText: 'x' }, searches)).toBeNull();
+    expect(resolveContextMenuClick({ menuItemId: 'saved-search:s-1' }, [{ ...searches[0], hidden: true }])).toBeNull();
+    expect(resolveContextMenuClick({ menuItemId: 'other' }, searches)).toBeNull();
+  });
+});
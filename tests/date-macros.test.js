@@ -0,0 +1,93 @@
+/**
+ * Unit tests for date macros
+ */
+
+const {
+  DATE_MACROS,
+  getFirstDayOfWeek,
+  hasDateMacros,
+  formatGmailDate,
+  resolveDateMacro,
+  expandDateMacros
+} = require('../date-macros.js');
+
+// Wednesday 13 March 2024, late evening local time
+const NOW = new Date(2024, 2, 13, 23, 45);
+const MONDAY = 1;
+const SUNDAY = 0;
+
+const expand = query => expandDateMacros(query, NOW, MONDAY);
+
+describe('formatGmailDate', () => {
+  test('pads months and days', () => {
+    expect(formatGmailDate(new Date(2024, 0, 5))).toBe('2024/01/05');
+  });
+});
+
+describe('expandDateMacros', () => {
+  test('expands day macros with offsets', () => {
+    expect(expand('after:{today}')).toBe('after:2024/03/13');
+    expect(expand('after:{yesterday} before:{tomorrow}')).toBe('after:2024/03/12 before:2024/03/14');
+    expect(expand('after:{today-7}')).toBe('after:2024/03/06');
+    expect(expand('before:{today+30}')).toBe('before:2024/04/12');
+  });
+
+  test('expands week starts for the given first day of the week', () => {
+    expect(expand('after:{startOfWeek}')).toBe('after:2024/03/11');
+    expect(expandDateMacros('after:{startOfWeek}', NOW, SUNDAY)).toBe('after:2024/03/10');
+    expect(expand('after:{startOfWeek-1}')).toBe('after:2024/03/04');
+  });
+
+  test('expands month and year starts, crossing year boundaries', () => {
+    expect(expand('after:{startOfMonth}')).toBe('after:2024/03/01');
+    expect(expand('after:{startOfMonth-1} before:{startOfMonth}')).toBe('after:2024/02/01 before:2024/03/01');
+    expect(expand('after:{startOfMonth-3}')).toBe('after:2023/12/01');
+    expect(expand('after:{startOfYear}')).toBe('after:2024/01/01');
+  });
+
+  test('expands the most recent weekday before today', () => {
+    expect(expand('after:{lastFriday}')).toBe('after:2024/03/08');
+    expect(expand('after:{lastWednesday}')).toBe('after:2024/03/06');
+    expect(expand('after:{lastTuesday}')).toBe('after:2024/03/12');
+    expect(expand('after:{lastFriday-1}')).toBe('after:2024/03/01');
+  });
+
+  test('leaves other braces alone', () => {
+    expect(expand('{alice bob} {today}')).toBe('{alice bob} 2024/03/13');
+    expect(expand('from:{{today}}')).toBe('from:{{today}}');
+    expect(expand('{Today} {todayish}')).toBe('{Today} {todayish}');
+  });
+});
+
+describe('hasDateMacros', () => {
+  test('detects macros', () => {
+    expect(hasDateMacros('after:{startOfMonth-1}')).toBe(true);
+    expect(hasDateMacros('is:unread {a b}')).toBe(false);
+    expect(hasDateMacros('{{today}}')).toBe(false);
+  });
+
+  test('can be called repeatedly', () => {
+    expect(hasDateMacros('{today}')).toBe(true);
+    expect(hasDateMacros('{today}')).toBe(true);
+  });
+});
+
+describe('resolveDateMacro', () => {
+  test('every macro resolves to a date', () => {
+    Object.keys(DATE_MACROS).forEach((name) => {
+      expect(resolveDateMacro(name, 0, NOW, MONDAY)).toBeInstanceOf(Date);
+    });
+  });
+});
+
+describe('getFirstDayOfWeek', () => {
+  test('returns a weekday index', () => {
+    const day = getFirstDayOfWeek('en-US');
+    expect(day).toBeGreaterThanOrEqual(0);
+    expect(day).toBeLessThan(7);
+  });
+
+  test('falls back to Monday for unknown locales', () => {
+    expect(getFirstDayOfWeek('not a locale!')).toBe(1);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Unit tests for the Saved Searches panel in Gmail, run against a saved
+ * copy of Gmail's navigation markup
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+Object.assign(
+  global,
+  require('../templates.js'),
+  require('../groups.js'),
+  require('../date-macros.js'),
+  require('../navigation.js'),
+  require('../search-states.js')
+);
+
+const {
+  PANEL_HOST_ID,
+  findActiveSearch,
+  panelSearchTarget,
+  mountPanel,
+  unmountPanel,
+  renderPanel,
+  watchForRerenders
+} = require('../gmail-panel.js');
+
+const manifest = require('../manifest.json');
+
+const GMAIL_NAV = fs.readFileSync(path.join(__dirname, 'fixtures', 'gmail-nav.html'), 'utf8');
+
+const groups = [{ id: 'general', name: 'General' }, { id: 'work', name: 'Work' }];
+const searches = [
+  { id: 'a', name: 'Unread', q: 'is:unread', group: 'general' },
+  { id: 'b', name: 'This Month', q: 'after:{startOfMonth}', group: 'general' },
+  { id: 'c', name: 'From Someone', q: 'from:{{sender}}', group: 'work' }
+];
+
+/**
+ * Renders the panel for the given page hash and returns its rows
+ */
+function render(host, hash, handlers = {}) {
+  renderPanel(host, {
+    searches,
+    groups,
+    activeSearch: findActiveSearch(searches, hash),
+    collapsed: false,
+    queries: ['is:unread', 'after:{startOfMonth}', null]
+  }, { onOpen: jest.fn(), onToggle: jest.fn(), ...handlers });
+  return Array.from(host.shadowRoot.querySelectorAll('.panel-item'));
+}
+
+beforeEach(() => {
+  document.body.innerHTML = GMAIL_NAV;
+});
+
+describe('manifest', () => {
+  test('runs nothing in Gmail until the panel is turned on', () => {
+    expect(manifest.content_scripts).toBeUndefined();
+    expect(manifest.permissions).toContain('scripting');
+  });
+});
+
+describe('findActiveSearch', () => {
+  test('matches the current query, ignoring case and spacing', () => {
+    expect(findActiveSearch(searches, '#search/IS%3Aunread%20')).toBe(searches[0]);
+    expect(findActiveSearch(searches, '#search/is%3Astarred')).toBeNull();
+  });
+
+  test('matches date macros as they are expanded today', () => {
+    const now = new Date(2024, 2, 15);
+    expect(findActiveSearch(searches, '#search/after%3A2024%2F03%2F01', now)).toBe(searches[1]);
+  });
+});
+
+describe('panelSearchTarget', () => {
+  const page = 'https://mail.google.com/mail/u/1/#inbox';
+
+  test('stays in this mailbox for searches without an account', () => {
+    expect(panelSearchTarget('is:unread', searches[0], page)).toEqual({ hash: '#search/is%3Aunread' });
+  });
+
+  test('stays here when the search names this account', () => {
+    expect(panelSearchTarget('is:unread', { account: 1 }, page)).toEqual({ hash: '#search/is%3Aunread' });
+    expect(panelSearchTarget('is:unread', { account: 'me@work.com' }, 'https://mail.google.com/mail/u/me@work.com/'))
+      .toEqual({ hash: '#search/is%3Aunread' });
+  });
+
+  test('goes to an account given by address by URL', () => {
+    expect(panelSearchTarget('is:unread', { account: 'me@work.com' }, page))
+      .toEqual({ url: 'https://mail.google.com/mail/u/me@work.com/#search/is%3Aunread' });
+  });
+});
+
+describe('mountPanel', () => {
+  test('goes after the first label list, once', () => {
+    const host = mountPanel(document);
+
+    expect(host.previousElementSibling.classList.contains('TK')).toBe(true);
+    expect(host.closest('[role="navigation"]')).not.toBeNull();
+    expect(host.shadowRoot.querySelector('style')).not.toBeNull();
+    expect(mountPanel(document)).toBe(host);
+    expect(document.querySelectorAll(`#${PANEL_HOST_ID}`)).toHaveLength(1);
+  });
+
+  test('waits for the navigation to exist', () => {
+    document.body.innerHTML = '<div role="main"></div>';
+    expect(mountPanel(document)).toBeNull();
+  });
+
+  test('can be removed', () => {
+    mountPanel(document);
+    unmountPanel(document);
+    expect(document.getElementById(PANEL_HOST_ID)).toBeNull();
+  });
+});
+
+describe('renderPanel', () => {
+  test('lists searches under their groups', () => {
+    const host = mountPanel(document);
+    const items = render(host, '#inbox');
+
+    expect(items.map(item => item.textContent)).toEqual(['Unread', 'This Month', 'From Someone']);
+    const headings = Array.from(host.shadowRoot.querySelectorAll('.panel-group')).map(h => h.textContent);
+    expect(headings).toEqual(['General', 'Work']);
+  });
+
+  test('leaves out hidden searches, and groups left empty', () => {
+    const host = mountPanel(document);
+    const onOpen = jest.fn();
+    renderPanel(host, {
+      searches: [{ ...searches[0], hidden: true }, searches[1], { ...searches[2], hidden: true }],
+      groups,
+      activeSearch: null,
+      collapsed: false,
+      queries: ['is:unread', 'after:{startOfMonth}', null]
+    }, { onOpen, onToggle: jest.fn() });
+
+    const items = Array.from(host.shadowRoot.querySelectorAll('.panel-item'));
+    expect(items.map(item => item.textContent)).toEqual(['This Month']);
+    expect(host.shadowRoot.querySelectorAll('.panel-group')).toHaveLength(0);
+
+    items[0].click();
+    expect(onOpen).toHaveBeenCalledWith(searches[1], 'after:{startOfMonth}');
+  });
+
+  test('highlights the search Gmail is showing', () => {
+    const items = render(mountPanel(document), '#search/is%3Aunread');
+
+    expect(items[0].classList.contains('active')).toBe(true);
+    expect(items[0].getAttribute('aria-current')).toBe('page');
+    expect(items[1].classList.contains('active')).toBe(false);
+  });
+
+  test('disables templates without values', () => {
+    const items = render(mountPanel(document), '#inbox');
+    expect(items[2].disabled).toBe(true);
+  });
+
+  test('opens the clicked search and toggles from the header', () => {
+    const onOpen = jest.fn();
+    const onToggle = jest.fn();
+    const host = mountPanel(document);
+    const items = render(host, '#inbox', { onOpen, onToggle });
+
+    items[1].click();
+    expect(onOpen).toHaveBeenCalledWith(searches[1], 'after:{startOfMonth}');
+
+    host.shadowRoot.querySelector('.panel-header').click();
+    expect(onToggle).toHaveBeenCalled();
+  });
+
+  test('keeps names as text', () => {
+    const host = mountPanel(document);
+    renderPanel(host, {
+      searches: [{ id: 'x', name: '<img src=x onerror=alert(1)>', q: 'is:unread', group: 'general' }],
+      groups,
+      activeSearch: null,
+      collapsed: false,
+      queries: ['is:unread']
+    }, { onOpen: jest.fn(), onToggle: jest.fn() });
+
+    expect(host.shadowRoot.querySelector('img')).toBeNull();
+  });
+});
+
+describe('watchForRerenders', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('remounts once after Gmail redraws its navigation', async () => {
+    mountPanel(document);
+    const callback = jest.fn(() => mountPanel(document));
+    const observer = watchForRerenders(document, callback);
+
+    // Gmail replaces the navigation in several steps
+    const nav = document.querySelector('[role="navigation"]');
+    nav.innerHTML = '';
+    nav.innerHTML = GMAIL_NAV;
+    await Promise.resolve();
+    jest.advanceTimersByTime(50);
+    expect(callback).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(document.getElementById(PANEL_HOST_ID)).not.toBeNull();
+
+    observer.disconnect();
+  });
+});
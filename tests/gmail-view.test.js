@@ -0,0 +1,102 @@
+/**
+ * Unit tests for reading the search behind a Gmail page
+ */
+
+Object.assign(
+  global,
+  require('../query-parser.js'),
+  require('../validation.js'),
+  require('../query-builder.js'),
+  require('../date-macros.js'),
+  require('../navigation.js')
+);
+
+const {
+  queryFromAdvancedSearch,
+  queryFromGmailUrl,
+  suggestSearchName
+} = require('../gmail-view.js');
+
+const GMAIL = 'https://mail.google.com/mail/u/0/';
+
+// Test Suite: queryFromGmailUrl
+describe('queryFromGmailUrl', () => {
+  test('reads search hashes', () => {
+    expect(queryFromGmailUrl(GMAIL + '#search/from%3Aboss+is%3Aunread')).toEqual({ query: 'from:boss is:unread' });
+    expect(queryFromGmailUrl(GMAIL + '#search/invoice/FMfcgzGxyz')).toEqual({ query: 'invoice' });
+  });
+
+  test('turns label views into label: queries', () => {
+    expect(queryFromGmailUrl(GMAIL + '#label/Receipts')).toEqual({ query: 'label:Receipts', labelName: 'Receipts' });
+    expect(queryFromGmailUrl(GMAIL + '#label/Work%2FClient+Projects/FMfcgzGxyz')).toEqual({
+      query: 'label:Work-Client-Projects',
+      labelName: 'Work/Client Projects'
+    });
+  });
+
+  test('maps built-in views and categories', () => {
+    expect(queryFromGmailUrl(GMAIL + '#starred').query).toBe('is:starred');
+    expect(queryFromGmailUrl('https://mail.google.com/mail/u/1/#inbox/FMfcgzGxyz').query).toBe('in:inbox');
+    expect(queryFromGmailUrl(GMAIL + '#category/social').query).toBe('category:social');
+  });
+
+  test('returns null for other pages and views with nothing to save', () => {
+    expect(queryFromGmailUrl('https://www.example.com/#search/foo')).toBeNull();
+    expect(queryFromGmailUrl(GMAIL + '#settings/general')).toBeNull();
+    expect(queryFromGmailUrl(GMAIL + '#all')).toBeNull();
+    expect(queryFromGmailUrl(GMAIL + '#search/')).toBeNull();
+    expect(queryFromGmailUrl(GMAIL + '#search/%E0%A4%A')).toBeNull();
+    expect(queryFromGmailUrl(GMAIL + '#label/%E0%A4%A')).toBeNull();
+  });
+});
+
+// Test Suite: queryFromAdvancedSearch
+describe('queryFromAdvancedSearch', () => {
+  const advanced = text => queryFromAdvancedSearch(new URLSearchParams(text));
+
+  test('prefers what was typed in the search box', () => {
+    expect(advanced('from=a%40b.com&query=is%3Aunread+report')).toBe('is:unread report');
+  });
+
+  test('builds a query from the form fields', () => {
+    expect(advanced('from=boss%40work.com&subject=weekly+report&has=numbers&hasnot=draft' +
+      '&hasattachment=true&subset=inbox&isrefinement=true'))
+      .toBe('from:boss@work.com subject:(weekly report) numbers -draft has:attachment in:inbox');
+  });
+
+  test('reads sizes and the date range', () => {
+    expect(advanced('size=5&sizeoperator=s_sl&sizeunit=s_smb')).toBe('larger:5M');
+    expect(advanced('size=200&sizeoperator=s_ss&sizeunit=s_skb&subset=all')).toBe('smaller:200K');
+    expect(advanced('within=1w&date=2024%2F03%2F01&subset=all')).toBe('after:2024/02/23 before:2024/03/08');
+    expect(advanced('within=1m&date=2024%2F1%2F31&excludechats=true')).toBe('after:2023/12/31 before:2024/03/02 -in:chats');
+  });
+
+  test('ignores an empty form', () => {
+    expect(advanced('subset=all&within=1d')).toBe('');
+    expect(queryFromGmailUrl(GMAIL + '#advanced-search/subset=all&within=1d')).toBeNull();
+  });
+});
+
+// Test Suite: suggestSearchName
+describe('suggestSearchName', () => {
+  test('uses the label name for label views', () => {
+    expect(suggestSearchName('label:Work-Projects', 'Work/Projects')).toBe('Work/Projects');
+  });
+
+  test('reads the query in plain words', () => {
+    expect(suggestSearchName('from:boss is:unread')).toBe('From boss Unread');
+    expect(suggestSearchName('has:attachment subject:invoice category:updates')).toBe('With attachments "invoice" Updates');
+    expect(suggestSearchName('older_than:7d report')).toBe('older_than:7d report');
+  });
+
+  test('keeps names short and valid', () => {
+    const name = suggestSearchName('from:someone.with.a.long.address@example.com subject:(quarterly numbers) has:attachment');
+    expect(name.length).toBeLessThanOrEqual(50);
+    expect(name.endsWith('…')).toBe(true);
+    expect(validateSearchName(name).valid).toBe(true);
+
+    expect(suggestSearchName('{{sender}} <$5>')).toBe('{{sender}} <$5>');
+    expect(suggestSearchName('\u202Eevil')).toBe('Gmail Search');
+    expect(suggestSearchName('"data: export"')).toBe('"data: export"');
+  });
+});
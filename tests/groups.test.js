@@ -0,0 +1,145 @@
+/**
+ * Unit tests for search groups
+ */
+
+Object.assign(global, require('../validation.js'));
+
+const {
+  DEFAULT_GROUP,
+  createGroup,
+  normalizeGroups,
+  groupSearches,
+  moveSearch,
+  stepSearch,
+  validateGroupName
+} = require('../groups.js');
+
+// Test Suite: normalizeGroups
+describe('normalizeGroups', () => {
+  test('migrates flat data into a default group', () => {
+    const result = normalizeGroups([], [{ name: 'Unread', q: 'is:unread' }]);
+
+    expect(result.changed).toBe(true);
+    expect(result.groups).toEqual([DEFAULT_GROUP]);
+    expect(result.searches[0].group).toBe(DEFAULT_GROUP.id);
+  });
+
+  test('moves searches with unknown groups into the first group', () => {
+    const groups = [{ id: 'a', name: 'Triage' }, { id: 'b', name: 'Finance' }];
+    const result = normalizeGroups(groups, [
+      { name: 'One', q: 'x', group: 'b' },
+      { name: 'Two', q: 'y', group: 'gone' }
+    ]);
+
+    expect(result.searches.map(s => s.group)).toEqual(['b', 'a']);
+    expect(result.changed).toBe(true);
+  });
+
+  test('reports no change for already-grouped data', () => {
+    const groups = [{ id: 'a', name: 'Triage' }];
+    const result = normalizeGroups(groups, [{ name: 'One', q: 'x', group: 'a' }]);
+
+    expect(result.changed).toBe(false);
+  });
+
+  test('drops malformed and duplicate groups', () => {
+    const result = normalizeGroups([{ id: 'a', name: 'A' }, { id: 'a', name: 'Again' }, { name: 'No id' }, null], []);
+
+    expect(result.groups).toEqual([{ id: 'a', name: 'A' }]);
+    expect(result.changed).toBe(true);
+  });
+});
+
+// Test Suite: groupSearches
+describe('groupSearches', () => {
+  test('buckets searches in group order and keeps list indexes', () => {
+    const groups = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+    const searches = [
+      { name: 'One', q: '1', group: 'b' },
+      { name: 'Two', q: '2', group: 'a' },
+      { name: 'Three', q: '3', group: 'b' }
+    ];
+
+    const sections = groupSearches(groups, searches);
+
+    expect(sections.map(s => s.group.id)).toEqual(['a', 'b']);
+    expect(sections[1].items.map(i => i.index)).toEqual([0, 2]);
+  });
+});
+
+// Test Suite: reordering
+describe('moveSearch', () => {
+  const searches = ['A', 'B', 'C', 'D'].map(name => ({ name, q: name, group: 'g' }));
+
+  test('moves a search down before a later index', () => {
+    const moved = moveSearch(searches, 0, 3);
+    expect(moved.searches.map(s => s.name)).toEqual(['B', 'C', 'A', 'D']);
+    expect(moved.index).toBe(2);
+  });
+
+  test('moves a search up and appends at the end', () => {
+    expect(moveSearch(searches, 3, 0).searches.map(s => s.name)).toEqual(['D', 'A', 'B', 'C']);
+    expect(moveSearch(searches, 1, 4).searches.map(s => s.name)).toEqual(['A', 'C', 'D', 'B']);
+  });
+
+  test('reassigns the group without mutating the input', () => {
+    const moved = moveSearch(searches, 1, 0, 'other');
+    expect(moved.searches[0]).toEqual({ name: 'B', q: 'B', group: 'other' });
+    expect(searches[1].group).toBe('g');
+  });
+});
+
+describe('stepSearch', () => {
+  const groups = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+  const searches = [
+    { name: 'Starred', q: 'is:starred', group: 'a' },
+    { name: 'Other', q: 'x', group: 'b' },
+    { name: 'Unread', q: 'is:unread', group: 'a' }
+  ];
+
+  test('swaps with the neighbour in the same group', () => {
+    const moved = stepSearch(groups, searches, 2, -1);
+    expect(moved.searches.map(s => s.name)).toEqual(['Unread', 'Starred', 'Other']);
+    expect(moved.index).toBe(0);
+  });
+
+  test('crosses into the adjacent group at the edges', () => {
+    const down = stepSearch(groups, searches, 2, 1);
+    expect(down.searches[down.index]).toEqual({ name: 'Unread', q: 'is:unread', group: 'b' });
+
+    const up = stepSearch(groups, searches, 1, -1);
+    expect(up.searches.map(s => s.name)).toEqual(['Starred', 'Unread', 'Other']);
+    expect(up.searches[2].group).toBe('a');
+  });
+
+  test('returns null at the very top or bottom', () => {
+    expect(stepSearch(groups, searches, 0, -1)).toBeNull();
+    expect(stepSearch(groups, searches, 1, 1)).toBeNull();
+  });
+});
+
+// Test Suite: validateGroupName
+describe('validateGroupName', () => {
+  const groups = [{ id: 'a', name: 'Finance' }];
+
+  test('accepts new names and renames to the same name', () => {
+    expect(validateGroupName('Projects', groups).valid).toBe(true);
+    expect(validateGroupName('finance', groups, 'a').valid).toBe(true);
+  });
+
+  test('rejects empty, duplicate, long and unsafe names', () => {
+    expect(validateGroupName('  ', groups).valid).toBe(false);
+    expect(validateGroupName('FINANCE', groups).valid).toBe(false);
+    expect(validateGroupName('a'.repeat(51), groups).valid).toBe(false);
+    expect(validateGroupName('Bills\u202E', groups).valid).toBe(false);
+    expect(validateGroupName('<Clients> & {Partners}', groups).valid).toBe(true);
+  });
+
+  test('creates groups with trimmed names and unique ids', () => {
+    const one = createGroup('  Triage ');
+    const two = createGroup('Triage');
+
+    expect(one.name).toBe('Triage');
+    expect(one.id).not.toBe(two.id);
+  });
+});
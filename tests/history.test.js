@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the trash and collection snapshots
+ */
+
+Object.assign(
+  global,
+  require('../query-parser.js'),
+  require('../templates.js'),
+  require('../validation.js'),
+  require('../groups.js')
+);
+
+const {
+  MAX_TRASH,
+  MAX_SNAPSHOTS,
+  cloneCollection,
+  trashSearches,
+  purgeTrash,
+  reviveSearches,
+  restoreFromTrash,
+  takeSnapshot
+} = require('../history.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+
+const groups = [{ id: 'general', name: 'General' }, { id: 'work', name: 'Work' }];
+const search = (id, group = 'general') => ({ id, name: id.toUpperCase(), q: `label:${id}`, group, updatedAt: 1 });
+
+// Test Suite: trashSearches / purgeTrash
+describe('trash', () => {
+  test('keeps deleted searches newest first with their old position', () => {
+    let trash = trashSearches([], [{ search: search('a'), index: 0 }], NOW - 10);
+    trash = trashSearches(trash, [{ search: search('b'), index: 3 }], NOW);
+
+    expect(trash.map(entry => entry.search.id)).toEqual(['b', 'a']);
+    expect(trash[0]).toMatchObject({ index: 3, deletedAt: NOW });
+  });
+
+  test('replaces an older entry for a search deleted again', () => {
+    let trash = trashSearches([], [{ search: search('a'), index: 0 }], NOW - 10);
+    trash = trashSearches(trash, [{ search: { ...search('a'), name: 'Renamed' }, index: 1 }], NOW);
+
+    expect(trash).toHaveLength(1);
+    expect(trash[0].search.name).toBe('Renamed');
+  });
+
+  test('caps the number of entries', () => {
+    const removed = Array.from({ length: MAX_TRASH + 5 }, (_, i) => ({ search: search(`s${i}`), index: i }));
+    expect(trashSearches([], removed, NOW)).toHaveLength(MAX_TRASH);
+  });
+
+  test('drops entries past the retention period and anything malformed', () => {
+    const trash = [
+      { search: search('new'), index: 0, deletedAt: NOW - 6 * DAY },
+      { search: search('old'), index: 0, deletedAt: NOW - 8 * DAY },
+      { search: null, index: 0, deletedAt: NOW },
+      'junk'
+    ];
+
+    expect(purgeTrash(trash, 7, NOW).map(entry => entry.search.id)).toEqual(['new']);
+    expect(purgeTrash(trash, 30, NOW)).toHaveLength(2);
+    expect(purgeTrash(trash, 12345, NOW)).toHaveLength(2);
+    expect(purgeTrash(undefined, 7, NOW)).toEqual([]);
+  });
+});
+
+// Test Suite: restoreFromTrash
+describe('restoreFromTrash', () => {
+  const trash = trashSearches([], [
+    { search: search('b', 'work'), index: 1 },
+    { search: search('x', 'gone'), index: 9 }
+  ], NOW - DAY);
+
+  test('puts searches back at their old position', () => {
+    const result = restoreFromTrash(trash, ['b'], [search('a'), search('c')], groups, NOW);
+
+    expect(result.ok).toBe(true);
+    expect(result.searches.map(s => s.id)).toEqual(['a', 'b', 'c']);
+    expect(result.trash.map(entry => entry.search.id)).toEqual(['x']);
+    expect(result.restored[0]).toMatchObject({ id: 'b', group: 'work', updatedAt: NOW });
+  });
+
+  test('moves searches whose group is gone into the first group, at the end', () => {
+    const result = restoreFromTrash(trash, ['x'], [search('a')], groups, NOW);
+
+    expect(result.searches.map(s => s.id)).toEqual(['a', 'x']);
+    expect(result.restored[0].group).toBe('general');
+  });
+
+  test('does not duplicate a search that is already back', () => {
+    const result = restoreFromTrash(trash, ['b'], [search('b')], groups, NOW);
+
+    expect(result.searches).toHaveLength(1);
+    expect(result.restored).toEqual([]);
+    expect(result.trash).toHaveLength(1);
+  });
+
+  test('respects the search limit', () => {
+    const full = Array.from({ length: MAX_SEARCHES }, (_, i) => search(`s${i}`));
+    const result = restoreFromTrash(trash, ['b'], full, groups, NOW);
+
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/Maximum/);
+  });
+});
+
+// Test Suite: reviveSearches
+describe('reviveSearches', () => {
+  test('bumps updatedAt only on searches that are coming back', () => {
+    const revived = reviveSearches([search('a'), search('b')], [search('a')], NOW);
+
+    expect(revived[0].updatedAt).toBe(1);
+    expect(revived[1].updatedAt).toBe(NOW);
+  });
+});
+
+// Test Suite: takeSnapshot
+describe('takeSnapshot', () => {
+  const collection = { searches: [search('a')], groups };
+
+  test('adds a copy of the collection, newest first', () => {
+    const snapshots = takeSnapshot([], collection, 'Before import', NOW);
+    collection.searches[0].name = 'Changed later';
+
+    expect(snapshots[0]).toMatchObject({ at: NOW, reason: 'Before import' });
+    expect(snapshots[0].searches[0].name).toBe('A');
+    collection.searches[0].name = 'A';
+  });
+
+  test('skips a snapshot identical to the newest one', () => {
+    const once = takeSnapshot([], collection, 'Before import', NOW);
+    expect(takeSnapshot(once, collection, 'Before reset to defaults', NOW + 1)).toBe(once);
+  });
+
+  test('keeps only the last versions', () => {
+    let snapshots = [];
+    for (let i = 0; i < MAX_SNAPSHOTS + 3; i++) {
+      snapshots = takeSnapshot(snapshots, { searches: [search(`s${i}`)], groups }, `Change ${i}`, NOW + i);
+    }
+
+    expect(snapshots).toHaveLength(MAX_SNAPSHOTS);
+    expect(snapshots[0].reason).toBe(`Change ${MAX_SNAPSHOTS + 2}`);
+  });
+
+  test('cloneCollection keeps only searches and groups', () => {
+    expect(cloneCollection({ searches: [], groups, extra: true })).toEqual({ searches: [], groups });
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * Unit tests for multi-account navigation helpers
+ */
+
+Object.assign(global, require('../date-macros.js'), require('../usage.js'), require('../storage.js'));
+
+const {
+  normalizeAccount,
+  validateAccount,
+  resolveAccount,
+  parseGmailTab,
+  parseSearchHash,
+  detectOpenAccounts,
+  findGmailTab,
+  buildSearchUrl,
+  openGmailSearch,
+  openModeForClick,
+  openGmailSearchIn,
+  openGmailSearchInDisposition,
+  openGmailSearchesInTabs
+} = require('../navigation.js');
+
+const tabs = [
+  { id: 1, windowId: 1, url: 'https://www.example.com/', title: 'Example' },
+  { id: 2, windowId: 1, url: 'https://mail.google.com/mail/u/0/#inbox', title: 'Inbox (3) - me@gmail.com - Gmail' },
+  { id: 3, windowId: 2, url: 'https://mail.google.com/mail/u/1/#inbox', title: 'Inbox - me@work.com - Work Mail' },
+  { id: 4, windowId: 2, url: 'https://mail.google.com/mail/u/0/#starred', title: 'Starred - me@gmail.com - Gmail' }
+];
+
+// Test Suite: normalizeAccount
+describe('normalizeAccount', () => {
+  test('accepts indexes as numbers or numeric strings', () => {
+    expect(normalizeAccount(0)).toBe(0);
+    expect(normalizeAccount(2)).toBe(2);
+    expect(normalizeAccount(' 3 ')).toBe(3);
+  });
+
+  test('lowercases email addresses', () => {
+    expect(normalizeAccount('Me@Work.com')).toBe('me@work.com');
+  });
+
+  test('rejects anything else', () => {
+    expect(normalizeAccount('')).toBeNull();
+    expect(normalizeAccount(undefined)).toBeNull();
+    expect(normalizeAccount(-1)).toBeNull();
+    expect(normalizeAccount(1.5)).toBeNull();
+    expect(normalizeAccount('not an account')).toBeNull();
+    expect(normalizeAccount('me@work.com/../x')).toBeNull();
+  });
+});
+
+// Test Suite: validateAccount
+describe('validateAccount', () => {
+  test('treats blank as valid (default account)', () => {
+    expect(validateAccount('').valid).toBe(true);
+    expect(validateAccount(undefined).valid).toBe(true);
+  });
+
+  test('provides an error for invalid accounts', () => {
+    const result = validateAccount('work');
+    expect(result.valid).toBe(false);
+    expect(result.error).toBeDefined();
+  });
+});
+
+// Test Suite: resolveAccount
+describe('resolveAccount', () => {
+  test('prefers the search account', () => {
+    expect(resolveAccount({ q: 'x', account: 1 }, { defaultAccount: 2 })).toBe(1);
+  });
+
+  test('falls back to the default account, then 0', () => {
+    expect(resolveAccount({ q: 'x' }, { defaultAccount: 'me@work.com' })).toBe('me@work.com');
+    expect(resolveAccount({ q: 'x' }, {})).toBe(0);
+  });
+});
+
+// Test Suite: tab parsing and matching
+describe('Gmail tab detection', () => {
+  test('ignores non-Gmail tabs', () => {
+    expect(parseGmailTab(tabs[0])).toBeNull();
+  });
+
+  test('reads the index from the path and email from the title', () => {
+    expect(parseGmailTab(tabs[2])).toEqual({ index: 1, email: 'me@work.com' });
+  });
+
+  test('treats /mail/ without /u/ as account 0', () => {
+    expect(parseGmailTab({ url: 'https://mail.google.com/mail/#inbox' }).index).toBe(0);
+  });
+
+  test('reads email-style account paths', () => {
+    expect(parseGmailTab({ url: 'https://mail.google.com/mail/u/me@work.com/#inbox' }))
+      .toEqual({ index: null, email: 'me@work.com' });
+  });
+
+  test('skips tabs whose account path is not valid escaping', () => {
+    const broken = { id: 9, url: 'https://mail.google.com/mail/u/%E0/#inbox', title: 'Inbox' };
+    expect(parseGmailTab(broken)).toBeNull();
+    expect(detectOpenAccounts([broken, ...tabs])).toHaveLength(2);
+    expect(findGmailTab([broken, ...tabs], 1).id).toBe(3);
+  });
+
+  test('lists each open account once, ordered by index', () => {
+    expect(detectOpenAccounts(tabs)).toEqual([
+      { index: 0, email: 'me@gmail.com' },
+      { index: 1, email: 'me@work.com' }
+    ]);
+  });
+
+  test('finds the tab for the right account rather than the first Gmail tab', () => {
+    expect(findGmailTab(tabs, 1).id).toBe(3);
+    expect(findGmailTab(tabs, 'me@work.com').id).toBe(3);
+    expect(findGmailTab(tabs, 0).id).toBe(2);
+    expect(findGmailTab(tabs, 5)).toBeNull();
+  });
+});
+
+// Test Suite: parseSearchHash
+describe('parseSearchHash', () => {
+  test('reads the query from a search hash', () => {
+    expect(parseSearchHash('#search/is%3Aunread')).toBe('is:unread');
+    expect(parseSearchHash('#search/is%3Aunread+from%3Ame')).toBe('is:unread from:me');
+    expect(parseSearchHash('#search/is%3Aunread/FMfcgzGxyz')).toBe('is:unread');
+  });
+
+  test('ignores other views and broken escapes', () => {
+    expect(parseSearchHash('#inbox')).toBeNull();
+    expect(parseSearchHash('')).toBeNull();
+    expect(parseSearchHash('#search/%E0%A4%A')).toBeNull();
+  });
+});
+
+// Test Suite: buildSearchUrl
+describe('buildSearchUrl', () => {
+  test('builds index and email account paths', () => {
+    expect(buildSearchUrl('is:unread', 1)).toBe('https://mail.google.com/mail/u/1/#search/is%3Aunread');
+    expect(buildSearchUrl('is:unread', 'me@work.com')).toBe('https://mail.google.com/mail/u/me@work.com/#search/is%3Aunread');
+  });
+
+  test('defaults to account 0', () => {
+    expect(buildSearchUrl('is:starred', null)).toBe('https://mail.google.com/mail/u/0/#search/is%3Astarred');
+  });
+
+  test('expands date macros at the given time', () => {
+    const now = new Date(2024, 2, 15, 9, 30);
+    expect(buildSearchUrl('after:{startOfMonth}', 0, now)).toBe('https://mail.google.com/mail/u/0/#search/after%3A2024%2F03%2F01');
+  });
+});
+
+// Test Suite: openGmailSearch
+describe('openGmailSearch', () => {
+  beforeEach(() => {
+    global.chrome = {
+      tabs: {
+        query: jest.fn(async () => tabs.slice(1)),
+        update: jest.fn(async () => ({})),
+        create: jest.fn(async () => ({}))
+      },
+      windows: {
+        update: jest.fn(async () => ({}))
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  test('reuses the tab for an email account on its index path', async () => {
+    await openGmailSearch('is:unread', 'me@work.com');
+
+    expect(chrome.tabs.update).toHaveBeenCalledWith(3, {
+      active: true,
+      url: 'https://mail.google.com/mail/u/1/#search/is%3Aunread'
+    });
+    expect(chrome.windows.update).toHaveBeenCalledWith(2, { focused: true });
+  });
+
+  test('opens a new tab when the account is not open', async () => {
+    await openGmailSearch('is:unread', 2);
+
+    expect(chrome.tabs.update).not.toHaveBeenCalled();
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://mail.google.com/mail/u/2/#search/is%3Aunread' });
+  });
+});
+
+describe('openGmailSearchInDisposition', () => {
+  beforeEach(() => {
+    global.chrome = {
+      tabs: {
+        query: jest.fn(async () => [{ id: 9, windowId: 1, url: 'https://example.com/' }]),
+        update: jest.fn(async () => ({})),
+        create: jest.fn(async () => ({}))
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  test('replaces the current tab', async () => {
+    await openGmailSearchInDisposition('is:unread', 1, 'currentTab');
+
+    expect(chrome.tabs.query).toHaveBeenCalledWith({ active: true, currentWindow: true });
+    expect(chrome.tabs.update).toHaveBeenCalledWith(9, { url: 'https://mail.google.com/mail/u/1/#search/is%3Aunread' });
+  });
+
+  test('opens foreground and background tabs', async () => {
+    await openGmailSearchInDisposition('is:unread', 0, 'newForegroundTab');
+    await openGmailSearchInDisposition('is:unread', 0, 'newBackgroundTab');
+
+    expect(chrome.tabs.create).toHaveBeenNthCalledWith(1, { url: 'https://mail.google.com/mail/u/0/#search/is%3Aunread', active: true });
+    expect(chrome.tabs.create).toHaveBeenNthCalledWith(2, { url: 'https://mail.google.com/mail/u/0/#search/is%3Aunread', active: false });
+    expect(chrome.tabs.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('openModeForClick', () => {
+  test('modifier keys and middle-click override the setting', () => {
+    expect(openModeForClick({ ctrlKey: true }, 'reuse')).toBe('backgroundTab');
+    expect(openModeForClick({ metaKey: true }, 'reuse')).toBe('backgroundTab');
+    expect(openModeForClick({ button: 1 }, 'newTab')).toBe('backgroundTab');
+    expect(openModeForClick({ shiftKey: true }, 'reuse')).toBe('newWindow');
+  });
+
+  test('a plain click uses the setting, falling back to reuse', () => {
+    expect(openModeForClick({ button: 0 }, 'dedicatedTab')).toBe('dedicatedTab');
+    expect(openModeForClick(null, 'bogus')).toBe('reuse');
+  });
+});
+
+describe('openGmailSearchIn', () => {
+  let session;
+  let local;
+
+  beforeEach(() => {
+    session = {};
+    local = {};
+    global.chrome = {
+      tabs: {
+        query: jest.fn(async () => tabs.slice(1)),
+        update: jest.fn(async (id) => {
+          if (id === 404) throw new Error('No tab with id: 404');
+          return { id, windowId: 7 };
+        }),
+        create: jest.fn(async () => ({ id: 50, windowId: 1 }))
+      },
+      windows: {
+        create: jest.fn(async () => ({})),
+        update: jest.fn(async () => ({}))
+      },
+      storage: {
+        session: {
+          get: jest.fn(async () => ({ ...session })),
+          set: jest.fn(async (items) => { Object.assign(session, items); })
+        },
+        local: {
+          get: jest.fn(async () => ({ ...local })),
+          set: jest.fn(async (items) => { Object.assign(local, items); })
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  const URL = 'https://mail.google.com/mail/u/0/#search/is%3Aunread';
+
+  test('opens new windows and background tabs', async () => {
+    await openGmailSearchIn('is:unread', 0, 'newWindow');
+    await openGmailSearchIn('is:unread', 0, 'backgroundTab');
+
+    expect(chrome.windows.create).toHaveBeenCalledWith({ url: URL });
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: URL, active: false });
+  });
+
+  test('reuse mode reuses the account tab', async () => {
+    await openGmailSearchIn('is:unread', 'me@work.com', 'reuse');
+    expect(chrome.tabs.update).toHaveBeenCalledWith(3, expect.objectContaining({ active: true }));
+  });
+
+  test('the dedicated tab is opened once, then reused', async () => {
+    await openGmailSearchIn('is:unread', 0, 'dedicatedTab');
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: URL });
+    expect(session['gmail-quick-search-search-tab']).toBe(50);
+
+    await openGmailSearchIn('is:starred', 0, 'dedicatedTab');
+    expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+    expect(chrome.tabs.update).toHaveBeenCalledWith(50, {
+      active: true,
+      url: 'https://mail.google.com/mail/u/0/#search/is%3Astarred'
+    });
+    expect(chrome.windows.update).toHaveBeenCalledWith(7, { focused: true });
+  });
+
+  test('a closed dedicated tab is replaced', async () => {
+    session['gmail-quick-search-search-tab'] = 404;
+    await openGmailSearchIn('is:unread', 0, 'dedicatedTab');
+
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: URL });
+    expect(session['gmail-quick-search-search-tab']).toBe(50);
+  });
+
+  test('records the use of a saved search, keeping uses recorded elsewhere', async () => {
+    local['gmail-quick-search-usage-v1'] = { b: { count: 4, lastUsedAt: 1 } };
+    await openGmailSearchIn('is:unread', 0, 'backgroundTab', { id: 'a', name: 'Unread', q: 'is:unread' });
+    await openGmailSearchIn('is:unread', 0, 'backgroundTab');
+
+    const usage = local['gmail-quick-search-usage-v1'];
+    expect(usage.a.count).toBe(1);
+    expect(usage.b).toEqual({ count: 4, lastUsedAt: 1 });
+  });
+});
+
+describe('openGmailSearchesInTabs', () => {
+  let local;
+
+  beforeEach(() => {
+    let nextId = 100;
+    local = {};
+    global.chrome = {
+      tabs: {
+        query: jest.fn(async () => [{ id: 9, index: 2, windowId: 1, url: 'https://example.com/' }]),
+        create: jest.fn(async () => ({ id: nextId++ })),
+        update: jest.fn(async () => ({}))
+      },
+      storage: {
+        local: {
+          get: jest.fn(async () => ({ ...local })),
+          set: jest.fn(async (items) => { Object.assign(local, items); })
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  test('opens each search after the current tab, then shows the first', async () => {
+    await openGmailSearchesInTabs([
+      { query: 'is:unread', account: 0 },
+      { query: 'is:starred', account: 1 }
+    ]);
+
+    expect(chrome.tabs.create).toHaveBeenNthCalledWith(1, {
+      url: 'https://mail.google.com/mail/u/0/#search/is%3Aunread', active: false, index: 3
+    });
+    expect(chrome.tabs.create).toHaveBeenNthCalledWith(2, {
+      url: 'https://mail.google.com/mail/u/1/#search/is%3Astarred', active: false, index: 4
+    });
+    expect(chrome.tabs.update).toHaveBeenCalledWith(100, { active: true });
+  });
+
+  test('can leave every tab in the background', async () => {
+    await openGmailSearchesInTabs([{ query: 'is:unread', account: 0 }], { focusFirst: false });
+
+    expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+    expect(chrome.tabs.update).not.toHaveBeenCalled();
+  });
+
+  test('records the use of each saved search opened', async () => {
+    await openGmailSearchesInTabs([
+      { query: 'is:unread', account: 0, search: { id: 'a', name: 'Unread', q: 'is:unread' } },
+      { query: 'is:starred', account: 0 }
+    ]);
+
+    expect(Object.keys(local['gmail-quick-search-usage-v1'])).toEqual(['a']);
+  });
+});
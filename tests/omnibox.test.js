@@ -0,0 +1,97 @@
+/**
+ * Unit tests for address bar (omnibox) suggestions
+ */
+
+Object.assign(
+  global,
+  require('../query-parser.js'),
+  require('../templates.js'),
+  require('../validation.js'),
+  require('../search-filter.js'),
+  require('../search-states.js')
+);
+
+const {
+  OMNIBOX_MAX_SUGGESTIONS,
+  escapeOmniboxXml,
+  highlightOmniboxText,
+  omniboxContent,
+  buildOmniboxSuggestions,
+  resolveOmniboxInput
+} = require('../omnibox.js');
+
+const manifest = require('../manifest.json');
+
+const searches = [
+  { name: 'Unread', q: 'is:unread' },
+  { name: 'Needs Reply', q: 'from:* is:unread' },
+  { name: 'R&D <team>', q: 'label:rnd' }
+];
+
+describe('manifest', () => {
+  test('registers the gm keyword', () => {
+    expect(manifest.omnibox.keyword).toBe('gm');
+  });
+});
+
+describe('escapeOmniboxXml', () => {
+  test('escapes markup characters', () => {
+    expect(escapeOmniboxXml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+});
+
+describe('highlightOmniboxText', () => {
+  test('wraps ranges in match tags and escapes the rest', () => {
+    expect(highlightOmniboxText('R&D <team>', [[0, 3]])).toBe('<match>R&amp;D</match> &lt;team&gt;');
+  });
+});
+
+describe('buildOmniboxSuggestions', () => {
+  test('suggests matching searches best first', () => {
+    const suggestions = buildOmniboxSuggestions(searches, 'reply');
+    expect(suggestions).toHaveLength(1);
+    expect(suggestions[0].content).toBe('Needs Reply → from:* is:unread');
+    expect(suggestions[0].description).toBe('Needs <match>Reply</match> <dim>from:* is:unread</dim>');
+  });
+
+  test('escapes names and queries', () => {
+    expect(buildOmniboxSuggestions(searches, 'team')[0].description).toBe('R&amp;D &lt;<match>team</match>&gt; <dim>label:rnd</dim>');
+  });
+
+  test('offers the first searches when nothing is typed', () => {
+    const many = Array.from({ length: 10 }, (_, i) => ({ name: `Search ${i}`, q: `label:l${i}` }));
+    const suggestions = buildOmniboxSuggestions(many, '  ');
+    expect(suggestions).toHaveLength(OMNIBOX_MAX_SUGGESTIONS);
+    expect(suggestions[0].content).toBe('Search 0 → label:l0');
+  });
+
+  test('returns nothing when no search matches', () => {
+    expect(buildOmniboxSuggestions(searches, 'zzz')).toEqual([]);
+  });
+
+  test('never suggests hidden searches', () => {
+    const withHidden = [{ name: 'Secret', q: 'label:secret', hidden: true }, ...searches];
+    expect(buildOmniboxSuggestions(withHidden, 'secret')).toEqual([]);
+    expect(buildOmniboxSuggestions(withHidden, '').map(s => s.content)).not.toContain('Secret → label:secret');
+  });
+});
+
+describe('resolveOmniboxInput', () => {
+  test('recognises a chosen suggestion', () => {
+    expect(resolveOmniboxInput(omniboxContent(searches[1]), searches)).toEqual({ search: searches[1] });
+  });
+
+  test('treats anything else as a raw query, even a search name', () => {
+    expect(resolveOmniboxInput(' Unread ', searches)).toEqual({ query: 'Unread' });
+    expect(resolveOmniboxInput('from:boss', searches)).toEqual({ query: 'from:boss' });
+  });
+
+  test('refuses typed text that would fail to open', () => {
+    expect(resolveOmniboxInput('party \ud83d', searches)).toEqual({ error: "Can't search Gmail for text with broken characters" });
+  });
+
+  test('does not open a hidden search', () => {
+    const hidden = { name: 'Secret', q: 'label:secret', hidden: true };
+    expect(resolveOmniboxInput(omniboxContent(hidden), [hidden])).toEqual({ query: 'Secret → label:secret' });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for the visual query builder
+ */
+
+Object.assign(global, require('../query-parser.js'));
+
+const {
+  emptyBuilderFields,
+  buildQueryFromFields,
+  validateBuilderFields,
+  parseQueryToFields
+} = require('../query-builder.js');
+
+const fieldsWith = changes => ({ ...emptyBuilderFields(), ...changes });
+
+describe('buildQueryFromFields', () => {
+  test('returns an empty query for blank fields', () => {
+    expect(buildQueryFromFields(emptyBuilderFields())).toBe('');
+  });
+
+  test('builds every field in a fixed order', () => {
+    const query = buildQueryFromFields(fieldsWith({
+      from: 'boss@example.com',
+      to: 'me',
+      subject: 'weekly report',
+      hasWords: 'budget OR forecast',
+      doesntHave: 'draft "old version"',
+      label: 'Team Updates',
+      category: 'updates',
+      hasAttachment: true,
+      sizeOperator: 'smaller',
+      size: '5M',
+      after: '2024-01-01',
+      before: '2024-02-01',
+      flags: ['unread', 'starred']
+    }));
+
+    expect(query).toBe(
+      'from:boss@example.com to:me subject:(weekly report) budget OR forecast -draft -"old version" ' +
+      'label:Team-Updates category:updates has:attachment smaller:5M after:2024/01/01 before:2024/02/01 ' +
+      'is:unread is:starred'
+    );
+  });
+
+  test('keeps quoted values as exact phrases', () => {
+    expect(buildQueryFromFields(fieldsWith({ subject: '"status update"' }))).toBe('subject:"status update"');
+  });
+
+  test('wraps complex exclusions in parentheses', () => {
+    expect(buildQueryFromFields(fieldsWith({ doesntHave: 'a OR b' }))).toBe('-(a OR b)');
+  });
+});
+
+describe('validateBuilderFields', () => {
+  test('accepts valid fields', () => {
+    expect(validateBuilderFields(fieldsWith({ size: '10M', after: '2024-01-01', before: '2024-03-01' })).valid).toBe(true);
+  });
+
+  test('rejects malformed sizes', () => {
+    expect(validateBuilderFields(fieldsWith({ size: 'big' })).valid).toBe(false);
+  });
+
+  test('rejects an empty date range', () => {
+    expect(validateBuilderFields(fieldsWith({ after: '2024-03-01', before: '2024-01-01' })).valid).toBe(false);
+  });
+
+  test('rejects read and unread together', () => {
+    expect(validateBuilderFields(fieldsWith({ flags: ['read', 'unread'] })).valid).toBe(false);
+  });
+});
+
+describe('parseQueryToFields', () => {
+  test('round-trips builder output', () => {
+    const fields = fieldsWith({
+      from: 'alice',
+      subject: 'quarterly numbers',
+      hasWords: 'invoice',
+      doesntHave: 'spam',
+      label: 'finance',
+      category: 'purchases',
+      hasAttachment: true,
+      size: '2M',
+      after: '2024-05-01',
+      flags: ['unread']
+    });
+
+    const result = parseQueryToFields(buildQueryFromFields(fields));
+    expect(result.ok).toBe(true);
+    expect(result.fields).toEqual(fields);
+  });
+
+  test('reads simple hand-written queries in any order', () => {
+    const result = parseQueryToFields('is:starred has:attachment from:boss project');
+    expect(result.ok).toBe(true);
+    expect(result.fields).toMatchObject({ from: 'boss', hasWords: 'project', hasAttachment: true, flags: ['starred'] });
+  });
+
+  test('reads parenthesised and quoted operator values', () => {
+    expect(parseQueryToFields('subject:(receipt OR invoice)').fields.subject).toBe('receipt OR invoice');
+    expect(parseQueryToFields('subject:"status update"').fields.subject).toBe('"status update"');
+  });
+
+  test('falls back for operators the builder has no field for', () => {
+    const result = parseQueryToFields('from:* has:nouserlabels -category:social is:unread');
+    expect(result.ok).toBe(false);
+    expect(result.reason).toContain('has:nouserlabels');
+  });
+
+  test('falls back for repeated single-value fields', () => {
+    expect(parseQueryToFields('from:alice from:bob').ok).toBe(false);
+  });
+
+  test('falls back when rebuilding would change the query', () => {
+    expect(parseQueryToFields('after:2024/1/5').ok).toBe(false);
+    expect(parseQueryToFields('label:(my label)').ok).toBe(false);
+  });
+
+  test('falls back for queries with syntax errors', () => {
+    expect(parseQueryToFields('subject:(a OR').ok).toBe(false);
+    expect(parseQueryToFields('subject:(budget')).toEqual({ ok: false, reason: expect.stringContaining('Unclosed "("') });
+  });
+});
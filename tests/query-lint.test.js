@@ -0,0 +1,115 @@
+/**
+ * Unit tests for the query linter
+ */
+
+Object.assign(global, require('../query-parser.js'), require('../templates.js'), require('../validation.js'));
+
+const {
+  parseQueryDate,
+  suggestQueryDate,
+  suggestAge,
+  lintQuery,
+  applyLintFix
+} = require('../query-lint.js');
+
+const rules = query => lintQuery(query).map(issue => `${issue.severity}:${issue.rule}`);
+const fixed = (query) => {
+  const issue = lintQuery(query).find(found => found.fix);
+  return issue ? applyLintFix(query, issue) : null;
+};
+
+// Test Suite: lintQuery
+describe('lintQuery', () => {
+  test('leaves ordinary queries alone', () => {
+    expect(lintQuery('from:boss is:unread has:attachment')).toEqual([]);
+    expect(lintQuery('category:purchases OR newer_than:1y subject:(receipt OR invoice)')).toEqual([]);
+    expect(lintQuery('after:2024/01/01 before:2024-02-01')).toEqual([]);
+    expect(lintQuery('is:unread -is:read')).toEqual([]);
+    expect(lintQuery('')).toEqual([]);
+  });
+
+  test('flags contradictions', () => {
+    expect(rules('is:read is:unread')).toEqual(['error:contradiction']);
+    expect(rules('label:work -label:work')).toEqual(['error:contradiction']);
+    expect(rules('after:2024/05/01 before:2024/04/01')).toEqual(['error:contradiction']);
+    expect(rules('is:read OR is:unread')).toEqual([]);
+  });
+
+  test('flags repeated terms and removes the repeat', () => {
+    const [issue] = lintQuery('from:boss is:unread from:BOSS');
+    expect(issue).toMatchObject({ rule: 'redundant', severity: 'info', start: 20, end: 29 });
+    expect(applyLintFix('from:boss is:unread from:BOSS', issue)).toBe('from:boss is:unread');
+  });
+
+  test('suggests the operator a typo meant', () => {
+    expect(rules('frm:boss')).toEqual(['warning:operator-typo']);
+    expect(fixed('frm:boss is:unread')).toBe('from:boss is:unread');
+    expect(lintQuery('"frm: boss"')).toEqual([]);
+    expect(rules('ID:4711 is:unread')).toEqual([]);
+    expect(rules('ps: see attached')).toEqual([]);
+  });
+
+  test('suggests operators in queries that save', () => {
+    expect(validateGmailQuery('subjet:invoice is:unread').valid).toBe(true);
+    expect(rules('subjet:invoice is:unread')).toEqual(['warning:operator-typo']);
+    expect(fixed('subjet:invoice is:unread')).toBe('subject:invoice is:unread');
+  });
+
+  test('suggests values for is:, in:, has: and category:', () => {
+    expect(fixed('is:unraed')).toBe('is:unread');
+    expect(fixed('has:attachments')).toBe('has:attachment');
+    expect(fixed('in:inobx')).toBe('in:inbox');
+    expect(fixed('category:promotion')).toBe('category:promotions');
+    expect(lintQuery('in:my-label')).toEqual([]);
+  });
+
+  test('replaces older: and newer: with the standard operators', () => {
+    expect(rules('older:7d')).toEqual(['warning:old-operator']);
+    expect(fixed('older:7d')).toBe('older_than:7d');
+    expect(fixed('newer:2024/01/01')).toBe('after:2024/01/01');
+  });
+
+  test('flags malformed dates and ages', () => {
+    expect(rules('after:2024/02/30')).toEqual(['error:date-format']);
+    expect(fixed('after:2024/02/30')).toBeNull();
+    expect(fixed('after:2024.1.5')).toBe('after:2024/01/05');
+    expect(fixed('before:25/12/2024')).toBe('before:2024/12/25');
+    expect(fixed('after:7d')).toBe('newer_than:7d');
+    expect(fixed('older_than:2w')).toBe('older_than:14d');
+    expect(fixed('newer_than:2024/01/01')).toBe('after:2024/01/01');
+  });
+
+  test('flags a lowercase or between terms', () => {
+    expect(rules('from:amy or from:bob')).toEqual(['warning:lowercase-or']);
+    expect(fixed('from:amy or from:bob')).toBe('from:amy OR from:bob');
+    expect(lintQuery('"this or that"')).toEqual([]);
+  });
+
+  test('skips placeholders and date macros', () => {
+    expect(lintQuery('after:{{since}} from:{{sender}}')).toEqual([]);
+    expect(lintQuery('after:{today-7}')).toEqual([]);
+  });
+
+  test('returns issues in the order they appear', () => {
+    const issues = lintQuery('is:unraed a or b older:3d');
+    expect(issues.map(issue => issue.rule)).toEqual(['value-typo', 'lowercase-or', 'old-operator']);
+  });
+});
+
+// Test Suite: dates and ages
+describe('date and age helpers', () => {
+  test('reads the date forms Gmail accepts', () => {
+    expect(parseQueryDate('2024/03/05')).toBe(Date.UTC(2024, 2, 5));
+    expect(parseQueryDate('03/05/2024')).toBe(Date.UTC(2024, 2, 5));
+    expect(parseQueryDate('1388552400')).toBe(1388552400000);
+    expect(parseQueryDate('2024/13/01')).toBeNull();
+    expect(parseQueryDate('yesterday')).toBeNull();
+  });
+
+  test('only suggests dates whose meaning is clear', () => {
+    expect(suggestQueryDate('5.3.2024')).toBe('2024/03/05');
+    expect(suggestQueryDate('2024/2/30')).toBeNull();
+    expect(suggestAge('7days')).toBe('7d');
+    expect(suggestAge('soon')).toBeNull();
+  });
+});
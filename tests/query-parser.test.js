@@ -0,0 +1,173 @@
+/**
+ * Unit tests for the Gmail query parser
+ */
+
+const {
+  closestOperator,
+  tokenizeQuery,
+  parseGmailQuery,
+  formatQueryError,
+  walkQuery
+} = require('../query-parser.js');
+
+const parse = (query) => {
+  const result = parseGmailQuery(query);
+  if (!result.ok) throw new Error(result.error.message);
+  return result.ast;
+};
+
+const errorFor = query => parseGmailQuery(query).error;
+const warningsFor = query => parseGmailQuery(query).warnings;
+
+describe('tokenizeQuery', () => {
+  test('splits words, phrases, operators and brackets with positions', () => {
+    const { tokens } = tokenizeQuery('from:me "big deal" (a)');
+    expect(tokens.map(t => [t.type, t.value, t.start])).toEqual([
+      ['operator', 'from', 0],
+      ['word', 'me', 5],
+      ['phrase', 'big deal', 8],
+      ['lparen', '(', 19],
+      ['word', 'a', 20],
+      ['rparen', ')', 21]
+    ]);
+  });
+
+  test('only treats uppercase OR/AND/AROUND as keywords', () => {
+    const { tokens } = tokenizeQuery('a OR b or c AND d AROUND');
+    expect(tokens.map(t => t.type)).toEqual(['word', 'or', 'word', 'word', 'word', 'and', 'word', 'around']);
+  });
+
+  test('keeps hyphens inside words', () => {
+    const { tokens } = tokenizeQuery('e-mail -spam');
+    expect(tokens.map(t => t.type)).toEqual(['word', 'minus', 'word']);
+    expect(tokens[0].value).toBe('e-mail');
+  });
+
+  test('leaves unknown prefixes such as URLs as words', () => {
+    const { tokens } = tokenizeQuery('https://example.com re:meeting');
+    expect(tokens.map(t => t.type)).toEqual(['word', 'word']);
+  });
+
+  test('leaves words close to an operator name as words', () => {
+    const { tokens } = tokenizeQuery('ID:4711 ps: lable:work');
+    expect(tokens.map(t => t.type)).toEqual(['word', 'word', 'word']);
+  });
+});
+
+describe('parseGmailQuery', () => {
+  test('parses implicit AND between terms', () => {
+    const ast = parse('is:unread meeting');
+    expect(ast.type).toBe('and');
+    expect(ast.children[0]).toMatchObject({ type: 'operator', name: 'is', value: { type: 'term', value: 'unread' } });
+    expect(ast.children[1]).toMatchObject({ type: 'term', value: 'meeting' });
+  });
+
+  test('binds OR tighter than the implicit AND', () => {
+    const ast = parse('a b OR c');
+    expect(ast.type).toBe('and');
+    expect(ast.children[1].type).toBe('or');
+    expect(ast.children[1].children.map(c => c.value)).toEqual(['b', 'c']);
+  });
+
+  test('parses negation, exact words and quoted phrases', () => {
+    const ast = parse('-in:inbox +exact "two words"');
+    expect(ast.children[0]).toMatchObject({ type: 'not', child: { type: 'operator', name: 'in' } });
+    expect(ast.children[1]).toMatchObject({ type: 'term', value: 'exact', exact: true });
+    expect(ast.children[2]).toMatchObject({ type: 'term', value: 'two words', quoted: true });
+  });
+
+  test('parses operator values in parentheses and braces', () => {
+    const ast = parse('subject:(receipt OR invoice) from:{alice bob}');
+    expect(ast.children[0].value).toMatchObject({ type: 'or', grouped: true });
+    expect(ast.children[1].value.type).toBe('or');
+    expect(ast.children[1].value.children).toHaveLength(2);
+  });
+
+  test('parses AROUND with a distance', () => {
+    expect(parse('holiday AROUND 10 vacation')).toMatchObject({
+      type: 'around', distance: 10, left: { value: 'holiday' }, right: { value: 'vacation' }
+    });
+  });
+
+  test('parses the default searches', () => {
+    const { DEFAULT_SEARCHES } = require('../storage.js');
+    DEFAULT_SEARCHES.forEach((search) => {
+      expect(parseGmailQuery(search.q).ok).toBe(true);
+    });
+  });
+
+  test('warns about unbalanced brackets and reads them as Gmail does', () => {
+    expect(warningsFor('(a b')).toEqual([expect.objectContaining({ message: expect.stringContaining('Unclosed "("'), start: 0 })]);
+    expect(parse('subject:(budget')).toMatchObject({ type: 'operator', value: { type: 'term', value: 'budget', grouped: true } });
+    expect(warningsFor('a b)')).toEqual([expect.objectContaining({ message: expect.stringContaining('Unexpected ")"'), start: 3 })]);
+    expect(parse('a b)').children.map(c => c.value)).toEqual(['a', 'b']);
+    expect(warningsFor('{a b')[0].start).toBe(0);
+    expect(warningsFor('from:me (a)')).toEqual([]);
+  });
+
+  test('warns about an unclosed quote from where it starts', () => {
+    expect(warningsFor('subject:"hello')).toEqual([{ message: 'Unclosed quote', start: 8, end: 14 }]);
+    expect(parse('subject:"hello').value).toMatchObject({ value: 'hello', quoted: true });
+  });
+
+  test('still rejects brackets with nothing in them', () => {
+    expect(errorFor('a (').message).toContain('Unclosed "("');
+    expect(errorFor(')').message).toContain('Unexpected ")"');
+  });
+
+  test('reports dangling OR and AND', () => {
+    expect(errorFor('a OR')).toMatchObject({ message: 'OR needs a search term after it', start: 2 });
+    expect(errorFor('OR a')).toMatchObject({ message: 'OR needs a search term before it', start: 0 });
+    expect(errorFor('a OR OR b').start).toBe(2);
+    expect(errorFor('(a OR) b').start).toBe(3);
+    expect(errorFor('a AND').message).toBe('AND needs a search term after it');
+  });
+
+  test('searches for unknown operator names as text', () => {
+    expect(parse('is:unread lable:work').children[1]).toMatchObject({ type: 'term', value: 'lable:work' });
+    expect(parse('ID:4711')).toMatchObject({ type: 'term', value: 'ID:4711' });
+    expect(parseGmailQuery('ps: see attached').warnings).toEqual([]);
+  });
+
+  test('reports operators without a value', () => {
+    expect(errorFor('from: boss')).toMatchObject({ message: '"from:" has no value', start: 0 });
+    expect(errorFor('subject:').start).toBe(0);
+  });
+
+  test('reports empty groups, bad AROUND and bare negation', () => {
+    expect(errorFor('a ()').message).toBe('Empty "()" group');
+    expect(errorFor('a AROUND b c').message).toBe('AROUND must be followed by a number of words');
+    expect(errorFor('(a -)').message).toBe('Nothing to exclude after "-"');
+  });
+
+  test('rejects empty queries', () => {
+    expect(parseGmailQuery('   ').ok).toBe(false);
+  });
+});
+
+describe('closestOperator', () => {
+  test('suggests operators one or two edits away', () => {
+    expect(closestOperator('lable')).toBe('label');
+    expect(closestOperator('subjet')).toBe('subject');
+    expect(closestOperator('Fro')).toBe('from');
+  });
+
+  test('ignores exact matches and unrelated words', () => {
+    expect(closestOperator('label')).toBeNull();
+    expect(closestOperator('https')).toBeNull();
+    expect(closestOperator('re')).toBeNull();
+    expect(closestOperator('ID')).toBeNull();
+  });
+});
+
+describe('formatQueryError / walkQuery', () => {
+  test('formats errors with a 1-based position', () => {
+    expect(formatQueryError({ message: 'Unclosed quote', start: 4, end: 9 })).toBe('Unclosed quote (at character 5)');
+  });
+
+  test('visits every node', () => {
+    const types = [];
+    walkQuery(parse('-from:(a OR b) c'), node => types.push(node.type));
+    expect(types).toEqual(['and', 'not', 'operator', 'or', 'term', 'term', 'term']);
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Unit tests for result counts
+ */
+
+Object.assign(global, require('../templates.js'), require('../date-macros.js'));
+
+const {
+  COUNT_ERRORS,
+  isGmailApiConfigured,
+  availableCountProviders,
+  resolveCountProvider,
+  areCountsActive,
+  countError,
+  createFakeCountProvider,
+  createGmailApiCountProvider,
+  countableQuery,
+  findCountEntry,
+  refreshResultCounts,
+  formatCount,
+  describeCount,
+  badgeForCount
+} = require('../result-counts.js');
+
+const NOW = new Date(2024, 2, 13, 9, 0).getTime();
+const MINUTE = 60 * 1000;
+const options = { now: NOW, maxAgeMs: 15 * MINUTE };
+
+const searches = [
+  { id: 'a', name: 'Unread', q: 'is:unread' },
+  { id: 'b', name: 'Starred', q: 'is:starred' },
+  { id: 'c', name: 'Sender', q: 'from:{{sender}}' }
+];
+
+/**
+ * Wraps a provider so tests can see which queries it was asked about
+ */
+function recording(provider) {
+  const asked = [];
+  return {
+    asked,
+    id: provider.id,
+    countResults(query) {
+      asked.push(query);
+      return provider.countResults(query);
+    }
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('choosing a provider', () => {
+  const configured = { oauth2: { client_id: '1234-abc.apps.googleusercontent.com' } };
+
+  test('only offers the Gmail API with a real OAuth client', () => {
+    expect(isGmailApiConfigured(configured)).toBe(true);
+    expect(isGmailApiConfigured({})).toBe(false);
+    expect(isGmailApiConfigured({ oauth2: { client_id: 'YOUR_CLIENT_ID.apps.googleusercontent.com' } })).toBe(false);
+    expect(availableCountProviders({})).toEqual([]);
+    expect(availableCountProviders(configured).map(([id]) => id)).toEqual(['gmail-api']);
+  });
+
+  test('has no provider, and no counts, without an OAuth client', () => {
+    expect(resolveCountProvider({ countProvider: null }, {})).toBeNull();
+    expect(resolveCountProvider({ countProvider: 'fake' }, configured)).toBe('gmail-api');
+    expect(resolveCountProvider({ countProvider: null }, configured)).toBe('gmail-api');
+    expect(areCountsActive({ countsEnabled: true, countProvider: null }, {})).toBe(false);
+    expect(areCountsActive({ countsEnabled: true, countProvider: null }, configured)).toBe(true);
+    expect(areCountsActive({ countsEnabled: false, countProvider: null }, configured)).toBe(false);
+  });
+});
+
+describe('createFakeCountProvider', () => {
+  test('returns the same made-up count for the same query', async () => {
+    const provider = createFakeCountProvider();
+    const first = await provider.countResults('is:unread');
+    expect(Number.isInteger(first)).toBe(true);
+    expect(await provider.countResults('is:unread')).toBe(first);
+  });
+
+  test('uses given counts and errors', async () => {
+    const provider = createFakeCountProvider({ 'is:unread': 7, 'is:starred': countError('offline') });
+    expect(await provider.countResults('is:unread')).toBe(7);
+    await expect(provider.countResults('is:starred')).rejects.toMatchObject({ code: 'offline' });
+  });
+});
+
+describe('createGmailApiCountProvider', () => {
+  const respond = (status, body = {}) => jest.fn().mockResolvedValue({
+    status,
+    ok: status >= 200 && status < 300,
+    json: async () => body
+  });
+
+  const create = (fetchImpl, token = 'token-1') => {
+    const removeToken = jest.fn().mockResolvedValue();
+    const provider = createGmailApiCountProvider({ getToken: async () => token, removeToken, fetchImpl });
+    return { provider, removeToken };
+  };
+
+  test('asks for the thread estimate with the token', async () => {
+    const fetchImpl = respond(200, { resultSizeEstimate: 42 });
+    const { provider } = create(fetchImpl);
+
+    expect(await provider.countResults('is:unread from:a@b.com')).toBe(42);
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toContain('/users/me/threads?');
+    expect(url).toContain('q=is%3Aunread%20from%3Aa%40b.com');
+    expect(init.headers.Authorization).toBe('Bearer token-1');
+  });
+
+  test('treats a missing estimate as zero', async () => {
+    const { provider } = create(respond(200, {}));
+    expect(await provider.countResults('is:unread')).toBe(0);
+  });
+
+  test('needs a token', async () => {
+    const fetchImpl = respond(200);
+    const { provider } = create(fetchImpl, null);
+    await expect(provider.countResults('is:unread')).rejects.toMatchObject({ code: 'auth' });
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  test('forgets a rejected token', async () => {
+    const { provider, removeToken } = create(respond(401));
+    await expect(provider.countResults('is:unread')).rejects.toMatchObject({ code: 'auth' });
+    expect(removeToken).toHaveBeenCalledWith('token-1');
+  });
+
+  test('maps rate limits, server errors and network failures', async () => {
+    await expect(create(respond(429)).provider.countResults('x')).rejects.toMatchObject({ code: 'rate-limited' });
+    await expect(create(respond(500)).provider.countResults('x')).rejects.toMatchObject({ code: 'failed' });
+
+    const offline = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(create(offline).provider.countResults('x')).rejects.toMatchObject({ code: 'offline' });
+  });
+
+  test('only covers the signed-in account', async () => {
+    const fetchImpl = respond(200, { emailAddress: 'Me@Gmail.com' });
+    const { provider } = create(fetchImpl);
+
+    expect(await provider.coversAccount(0)).toBe(true);
+    expect(await provider.coversAccount(1)).toBe(false);
+    expect(await provider.coversAccount('me@gmail.com')).toBe(true);
+    expect(await provider.coversAccount('me@work.com')).toBe(false);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(fetchImpl.mock.calls[0][0]).toContain('/users/me/profile?');
+  });
+});
+
+describe('countableQuery', () => {
+  test('expands date macros and skips templates and unsaved searches', () => {
+    const now = new Date(NOW);
+    expect(countableQuery({ id: 'a', q: 'after:{today}' }, now)).toBe('after:2024/03/13');
+    expect(countableQuery({ id: 'c', q: 'from:{{sender}}' }, now)).toBeNull();
+    expect(countableQuery({ q: 'is:unread' }, now)).toBeNull();
+  });
+});
+
+describe('refreshResultCounts', () => {
+  test('counts every countable search', async () => {
+    const provider = recording(createFakeCountProvider({ 'is:unread': 3, 'is:starred': 0 }));
+    const counts = await refreshResultCounts(searches, {}, provider, options);
+
+    expect(provider.asked).toEqual(['is:unread', 'is:starred']);
+    expect(counts).toEqual({
+      a: { query: 'is:unread', account: 0, provider: 'fake', count: 3, error: null, checkedAt: NOW },
+      b: { query: 'is:starred', account: 0, provider: 'fake', count: 0, error: null, checkedAt: NOW }
+    });
+  });
+
+  test('keeps fresh counts and recounts stale or edited ones', async () => {
+    const cache = {
+      a: { query: 'is:unread', account: 0, provider: 'fake', count: 3, error: null, checkedAt: NOW - 5 * MINUTE },
+      b: { query: 'is:starred', account: 0, provider: 'fake', count: 1, error: null, checkedAt: NOW - 20 * MINUTE },
+      gone: { query: 'is:muted', account: 0, provider: 'fake', count: 9, error: null, checkedAt: NOW }
+    };
+    const edited = [searches[0], { ...searches[1], q: 'is:starred is:unread' }];
+    const provider = recording(createFakeCountProvider({ 'is:starred is:unread': 2 }));
+
+    const counts = await refreshResultCounts(edited, cache, provider, options);
+    expect(provider.asked).toEqual(['is:starred is:unread']);
+    expect(counts.a).toBe(cache.a);
+    expect(counts.b.count).toBe(2);
+    expect(counts.gone).toBeUndefined();
+  });
+
+  test('recounts everything when forced or the provider changed', async () => {
+    const cache = { a: { query: 'is:unread', account: 0, provider: 'gmail-api', count: 3, error: null, checkedAt: NOW } };
+
+    const switched = recording(createFakeCountProvider());
+    await refreshResultCounts(searches.slice(0, 1), cache, switched, options);
+    expect(switched.asked).toEqual(['is:unread']);
+
+    const forced = recording(createFakeCountProvider());
+    const fresh = { a: { ...cache.a, provider: 'fake' } };
+    await refreshResultCounts(searches.slice(0, 1), fresh, forced, { ...options, force: true });
+    expect(forced.asked).toEqual(['is:unread']);
+  });
+
+  test('keeps the last count next to an error', async () => {
+    const cache = { a: { query: 'is:unread', account: 0, provider: 'fake', count: 3, error: null, checkedAt: NOW - 20 * MINUTE } };
+    const provider = createFakeCountProvider({ 'is:unread': new Error('boom'), 'is:starred': 4 });
+
+    const counts = await refreshResultCounts(searches, cache, provider, options);
+    expect(counts.a).toMatchObject({ count: 3, error: 'failed' });
+    expect(counts.b).toMatchObject({ count: 4, error: null });
+  });
+
+  test('stops asking after a sign-in error', async () => {
+    const provider = recording(createFakeCountProvider({ 'is:unread': countError('auth') }));
+    const counts = await refreshResultCounts(searches, {}, provider, options);
+
+    expect(provider.asked).toEqual(['is:unread']);
+    expect(counts.a).toMatchObject({ count: null, error: 'auth' });
+    expect(counts.b).toMatchObject({ count: null, error: 'auth' });
+  });
+
+  test('does not count searches for an account the provider can\'t see', async () => {
+    const provider = recording(createFakeCountProvider({ 'is:unread': 3, 'is:starred': 4 }));
+    provider.coversAccount = async account => account === 0;
+    const accountFor = search => (search.id === 'b' ? 'me@work.com' : 0);
+
+    const counts = await refreshResultCounts(searches, {}, provider, { ...options, accountFor });
+    expect(provider.asked).toEqual(['is:unread']);
+    expect(counts.a).toMatchObject({ account: 0, count: 3, error: null });
+    expect(counts.b).toMatchObject({ account: 'me@work.com', count: null, error: 'other-account' });
+  });
+
+  test('recounts a search when its account changes', async () => {
+    const cache = { a: { query: 'is:unread', account: 0, provider: 'fake', count: 3, error: null, checkedAt: NOW } };
+    const provider = recording(createFakeCountProvider({ 'is:unread': 8 }));
+
+    const counts = await refreshResultCounts(searches.slice(0, 1), cache, provider, { ...options, accountFor: () => 1 });
+    expect(counts.a).toMatchObject({ account: 1, count: 8 });
+  });
+
+  test('retries errors on the next refresh', async () => {
+    const cache = { a: { query: 'is:unread', account: 0, provider: 'fake', count: null, error: 'offline', checkedAt: NOW } };
+    const provider = recording(createFakeCountProvider({ 'is:unread': 5 }));
+
+    const counts = await refreshResultCounts(searches.slice(0, 1), cache, provider, options);
+    expect(provider.asked).toEqual(['is:unread']);
+    expect(counts.a.count).toBe(5);
+  });
+});
+
+describe('findCountEntry', () => {
+  test('ignores entries counted for another query', () => {
+    const counts = { a: { query: 'is:unread', count: 1 } };
+    expect(findCountEntry(counts, searches[0])).toBe(counts.a);
+    expect(findCountEntry(counts, { id: 'a', q: 'is:unread is:important' })).toBeNull();
+    expect(findCountEntry(counts, searches[1])).toBeNull();
+  });
+});
+
+describe('display', () => {
+  test('formatCount caps large numbers', () => {
+    expect(formatCount(0)).toBe('0');
+    expect(formatCount(999)).toBe('999');
+    expect(formatCount(1000)).toBe('999+');
+  });
+
+  test('describeCount covers pending, ok and error states', () => {
+    expect(describeCount(null)).toMatchObject({ text: '…', state: 'pending' });
+    expect(describeCount({ count: 12, error: null, checkedAt: NOW })).toMatchObject({ text: '12', state: 'ok' });
+    expect(describeCount({ count: null, error: 'auth' })).toEqual({ text: '!', state: 'error', title: COUNT_ERRORS.auth });
+    expect(describeCount({ count: 4, error: 'offline' })).toMatchObject({ text: '4', state: 'error' });
+    expect(describeCount({ count: null, error: 'other-account' })).toMatchObject({ text: '–', state: 'unavailable' });
+  });
+
+  test('badgeForCount hides zero and flags errors', () => {
+    expect(badgeForCount(null).text).toBe('');
+    expect(badgeForCount({ count: 0, error: null }).text).toBe('');
+    expect(badgeForCount({ count: 1500, error: null }).text).toBe('999+');
+    expect(badgeForCount({ count: 2, error: 'rate-limited' }).text).toBe('!');
+    expect(badgeForCount({ count: null, error: 'other-account' }).text).toBe('');
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for storage schema migrations and repair
+ */
+
+Object.assign(
+  global,
+  require('../query-parser.js'),
+  require('../templates.js'),
+  require('../validation.js'),
+  require('../groups.js'),
+  require('../navigation.js'),
+  require('../storage.js')
+);
+
+const {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  migrateCollection,
+  repairSearch,
+  repairSearches,
+  prepareCollection,
+  hasReportContent
+} = require('../schema.js');
+
+// Test Suite: migrations
+describe('migrateCollection', () => {
+  test('migrations are in ascending version order', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    expect(versions).toEqual(versions.slice().sort((a, b) => a - b));
+    expect(CURRENT_SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+  });
+
+  test('upgrades flat v1 data to the current format', () => {
+    const result = migrateCollection({ searches: [{ name: 'Unread', q: 'is:unread' }] }, 1);
+    const search = result.data.searches[0];
+
+    expect(result.version).toBe(CURRENT_SCHEMA_VERSION);
+    expect(result.applied).toHaveLength(MIGRATIONS.length);
+    expect(search.group).toBe(result.data.groups[0].id);
+    expect(typeof search.id).toBe('string');
+    expect(typeof search.updatedAt).toBe('number');
+  });
+
+  test('skips migrations that already ran', () => {
+    const data = { searches: [], groups: [] };
+    expect(migrateCollection(data, CURRENT_SCHEMA_VERSION).applied).toEqual([]);
+  });
+});
+
+// Test Suite: repair
+describe('repairSearch', () => {
+  test('keeps valid searches as fresh objects without unknown fields', () => {
+    const entry = { id: 's1', name: 'Unread', q: 'is:unread', group: 'g', evil: '<script>' };
+    const result = repairSearch(entry);
+
+    expect(result.ok).toBe(true);
+    expect(result.search).toEqual({ id: 's1', name: 'Unread', q: 'is:unread', group: 'g' });
+    expect(result.search).not.toBe(entry);
+    expect(result.fixes).toEqual([]);
+  });
+
+  test('repairs fixable fields', () => {
+    expect(repairSearch({ name: 42, q: 'is:unread' }).search.name).toBe('42');
+    expect(repairSearch({ q: 'is:starred' }).search.name).toBe('is:starred');
+    expect(repairSearch({ name: 'a'.repeat(150), q: 'x' }).search.name).toHaveLength(MAX_NAME_LENGTH);
+    expect(repairSearch({ name: 'A', q: 'x', account: 'nobody' }).search.account).toBeUndefined();
+    expect(repairSearch({ name: 'A', q: 'x', id: 7 }).search.id).toBeUndefined();
+  });
+
+  test('keeps pinned and hidden flags only while on', () => {
+    expect(repairSearch({ name: 'A', q: 'x', pinned: true }).search.pinned).toBe(true);
+    expect(repairSearch({ name: 'A', q: 'x', hidden: false }).search).not.toHaveProperty('hidden');
+
+    const broken = repairSearch({ name: 'A', q: 'x', pinned: 'yes', hidden: true });
+    expect(broken.search).toEqual({ name: 'A', q: 'x', hidden: true });
+    expect(broken.fixes).toEqual(['invalid pinned flag removed']);
+
+    const both = repairSearch({ name: 'A', q: 'x', pinned: true, hidden: true });
+    expect(both.search).not.toHaveProperty('pinned');
+  });
+
+  test('keeps valid metadata and drops or shortens the rest', () => {
+    const kept = repairSearch({ name: 'A', q: 'x', icon: ' 📬 ', color: 'teal', description: 'Inbox zero' });
+    expect(kept.search).toEqual({ name: 'A', q: 'x', icon: '📬', color: 'teal', description: 'Inbox zero' });
+    expect(kept.fixes).toEqual([]);
+
+    const broken = repairSearch({ name: 'A', q: 'x', icon: 7, color: 'chartreuse', description: 'x'.repeat(300) });
+    expect(broken.search).toEqual({ name: 'A', q: 'x', description: 'x'.repeat(MAX_DESCRIPTION_LENGTH) });
+    expect(broken.fixes).toEqual(['description shortened', 'invalid icon removed', 'invalid color removed']);
+
+    expect(repairSearch({ name: 'A', q: 'x', description: 'Bills\u202E' }).search).not.toHaveProperty('description');
+    expect(repairSearch({ name: 'A', q: 'x', description: '  ' }).search).not.toHaveProperty('description');
+  });
+
+  test('keeps queries with syntax errors and says what is wrong', () => {
+    const result = repairSearch({ name: 'Dangling', q: 'invoice OR' });
+    expect(result.ok).toBe(true);
+    expect(result.search.q).toBe('invoice OR');
+    expect(result.problem).toContain('OR needs a search term after it');
+    expect(repairSearch({ name: 'A', q: 'x' }).problem).toBeNull();
+  });
+
+  test('quarantines entries that cannot be trusted', () => {
+    expect(repairSearch(null).ok).toBe(false);
+    expect(repairSearch({ name: 'No query' }).ok).toBe(false);
+    expect(repairSearch({ name: 'Huge', q: 'x'.repeat(MAX_QUERY_LENGTH + 1) }).ok).toBe(false);
+    expect(repairSearch({ name: 'Bad', q: 'is:unread\u0000' }).ok).toBe(false);
+    expect(repairSearch({ name: 'Inbox\u202E', q: 'x' }).ok).toBe(false);
+  });
+});
+
+describe('repairSearches', () => {
+  test('reports fixes and quarantined entries by name', () => {
+    const result = repairSearches([
+      { id: 'a', name: 'One', q: 'x' },
+      { id: 'a', name: 'Two', q: 'y' },
+      { name: 'Three' }
+    ]);
+
+    expect(result.searches).toHaveLength(2);
+    expect(result.searches[1].id).toBeUndefined();
+    expect(result.repaired).toEqual(['"Two": duplicate id replaced']);
+    expect(result.quarantined[0].label).toBe('"Three"');
+  });
+});
+
+// Test Suite: prepareCollection
+describe('prepareCollection', () => {
+  test('seeds defaults on a fresh install without reporting anything', () => {
+    const prepared = prepareCollection(undefined, undefined, undefined);
+
+    expect(prepared.searches).toHaveLength(DEFAULT_SEARCHES.length);
+    expect(prepared.changed).toBe(true);
+    expect(hasReportContent(prepared.report)).toBe(false);
+    expect(DEFAULT_SEARCHES[0].id).toBeUndefined();
+  });
+
+  test('migrates unversioned data and reports it', () => {
+    const prepared = prepareCollection([{ name: 'Mine', q: 'label:mine' }], undefined, undefined);
+
+    expect(prepared.searches.map(s => s.name)).toEqual(['Mine']);
+    expect(prepared.report.migrated).toHaveLength(MIGRATIONS.length);
+    expect(prepared.version).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  test('repairs and quarantines instead of silently restoring defaults', () => {
+    const prepared = prepareCollection(
+      ['junk', { name: 'Mine', q: 'label:mine' }, { name: 'Broken' }],
+      undefined,
+      { version: CURRENT_SCHEMA_VERSION }
+    );
+
+    expect(prepared.searches.map(s => s.name)).toEqual(['Mine']);
+    expect(prepared.report.quarantined).toHaveLength(2);
+    expect(prepared.changed).toBe(true);
+  });
+
+  test('keeps searches saved before queries were parsed and flags the broken ones', () => {
+    const prepared = prepareCollection([
+      { name: 'Ticket', q: 'ID:4711' },
+      { name: 'Half', q: 'subject:(budget' },
+      { name: 'Dangling', q: 'invoice OR' },
+      { name: 'Mine', q: 'label:mine' }
+    ], undefined, undefined);
+
+    expect(prepared.searches.map(s => s.name)).toEqual(['Ticket', 'Half', 'Dangling', 'Mine']);
+    expect(prepared.report.quarantined).toEqual([]);
+    expect(prepared.report.flagged).toEqual([expect.stringMatching(/^"Dangling": OR needs a search term after it/)]);
+    expect(hasReportContent({ migrated: [], repaired: [], quarantined: [], flagged: prepared.report.flagged })).toBe(true);
+  });
+
+  test('falls back to defaults and says so when nothing is usable', () => {
+    const prepared = prepareCollection({ not: 'a list' }, undefined, { version: CURRENT_SCHEMA_VERSION });
+
+    expect(prepared.searches).toHaveLength(DEFAULT_SEARCHES.length);
+    expect(prepared.report.quarantined[0].reason).toMatch(/not a list/);
+    expect(prepared.report.repaired[0]).toMatch(/defaults were restored/);
+  });
+
+  test('keeps an empty list when every search was deleted', () => {
+    const prepared = prepareCollection([], [{ id: 'general', name: 'General' }], { version: CURRENT_SCHEMA_VERSION });
+
+    expect(prepared.searches).toEqual([]);
+    expect(hasReportContent(prepared.report)).toBe(false);
+  });
+
+  test('leaves current, healthy data untouched', () => {
+    const first = prepareCollection([{ name: 'Mine', q: 'label:mine' }], undefined, undefined);
+    const second = prepareCollection(first.searches, first.groups, { version: first.version });
+
+    expect(second.changed).toBe(false);
+    expect(second.searches).toEqual(first.searches);
+  });
+});
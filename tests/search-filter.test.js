@@ -0,0 +1,82 @@
+/**
+ * Unit tests for popup type-to-filter matching
+ */
+
+const {
+  mergeRanges,
+  fuzzyMatch,
+  filterSearches
+} = require('../search-filter.js');
+
+const searches = [
+  { name: 'Unread', q: 'is:unread' },
+  { name: 'Needs Reply', q: 'from:* has:nouserlabels is:unread' },
+  { name: 'Attachments', q: 'has:attachment' },
+  { name: 'Receipts', q: 'category:purchases subject:(receipt OR invoice)' }
+];
+
+describe('mergeRanges', () => {
+  test('joins touching and overlapping ranges', () => {
+    expect(mergeRanges([[4, 6], [0, 2], [2, 3], [5, 8]])).toEqual([[0, 3], [4, 8]]);
+  });
+});
+
+describe('fuzzyMatch', () => {
+  test('matches substrings case-insensitively', () => {
+    expect(fuzzyMatch('Needs Reply', 'REP')).toMatchObject({ ranges: [[6, 9]] });
+  });
+
+  test('matches letters in order', () => {
+    expect(fuzzyMatch('Attachments', 'atmt').ranges).toEqual([[0, 2], [6, 7], [9, 10]]);
+  });
+
+  test('can require a substring match', () => {
+    expect(fuzzyMatch('has:attachment', 'atmt', false)).toBeNull();
+    expect(fuzzyMatch('has:attachment', 'attach', false)).not.toBeNull();
+  });
+
+  test('returns null when letters are missing or out of order', () => {
+    expect(fuzzyMatch('Unread', 'xyz')).toBeNull();
+    expect(fuzzyMatch('Unread', 'dan')).toBeNull();
+  });
+
+  test('scores substrings above scattered letters', () => {
+    expect(fuzzyMatch('Receipts', 'rec').score).toBeGreaterThan(fuzzyMatch('Unread search', 'urs').score);
+  });
+
+  test('scores word starts above mid-word matches', () => {
+    expect(fuzzyMatch('Needs Reply', 're').score).toBeGreaterThan(fuzzyMatch('Unread', 're').score);
+  });
+});
+
+describe('filterSearches', () => {
+  test('returns nothing for an empty filter', () => {
+    expect(filterSearches(searches, '   ')).toEqual([]);
+  });
+
+  test('matches on the query text as well as the name', () => {
+    const matches = filterSearches(searches, 'invoice');
+    expect(matches.map(m => m.search.name)).toEqual(['Receipts']);
+    expect(matches[0].queryRanges).toEqual([[39, 46]]);
+    expect(matches[0].nameRanges).toEqual([]);
+  });
+
+  test('ranks name matches above query matches', () => {
+    const names = filterSearches(searches, 'unread').map(m => m.search.name);
+    expect(names).toEqual(['Unread', 'Needs Reply']);
+  });
+
+  test('matches scattered letters in names but not in queries', () => {
+    expect(filterSearches(searches, 'ndrp').map(m => m.search.name)).toEqual(['Needs Reply']);
+    expect(filterSearches(searches, 'nslb')).toEqual([]);
+  });
+
+  test('requires every word to match somewhere', () => {
+    expect(filterSearches(searches, 'needs unread').map(m => m.search.name)).toEqual(['Needs Reply']);
+    expect(filterSearches(searches, 'needs invoice')).toEqual([]);
+  });
+
+  test('keeps each search\'s index in the full list', () => {
+    expect(filterSearches(searches, 'attach')[0].index).toBe(2);
+  });
+});
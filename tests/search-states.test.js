@@ -0,0 +1,74 @@
+/**
+ * Unit tests for pinned and hidden searches
+ */
+
+const {
+  setSearchState,
+  matchesStateFilter,
+  visibleSearches,
+  splitPopupSearches,
+  compactLabel
+} = require('../search-states.js');
+
+const searches = [
+  { id: 'a', name: 'Unread', q: 'is:unread' },
+  { id: 'b', name: 'Starred', q: 'is:starred', pinned: true },
+  { id: 'c', name: 'Old', q: 'label:old', hidden: true },
+  { id: 'd', name: 'Receipts', q: 'label:receipts', pinned: true }
+];
+
+// Test Suite: setSearchState
+describe('setSearchState', () => {
+  test('turns a state on and off without touching the original', () => {
+    const pinned = setSearchState(searches[0], 'pinned', true);
+
+    expect(pinned.pinned).toBe(true);
+    expect(searches[0]).not.toHaveProperty('pinned');
+    expect(setSearchState(pinned, 'pinned', false)).toEqual(searches[0]);
+  });
+
+  test('never leaves a search both pinned and hidden', () => {
+    expect(setSearchState(searches[1], 'hidden', true)).toEqual({ id: 'b', name: 'Starred', q: 'is:starred', hidden: true });
+    expect(setSearchState(searches[2], 'pinned', true)).toEqual({ id: 'c', name: 'Old', q: 'label:old', pinned: true });
+  });
+});
+
+// Test Suite: matchesStateFilter
+describe('matchesStateFilter', () => {
+  const ids = filter => searches.filter(search => matchesStateFilter(search, filter)).map(search => search.id);
+
+  test('filters the manage list', () => {
+    expect(ids('all')).toEqual(['a', 'b', 'c', 'd']);
+    expect(ids('pinned')).toEqual(['b', 'd']);
+    expect(ids('hidden')).toEqual(['c']);
+  });
+});
+
+// Test Suite: visibleSearches
+describe('visibleSearches', () => {
+  test('leaves hidden searches out and keeps the order', () => {
+    expect(visibleSearches(searches).map(search => search.id)).toEqual(['a', 'b', 'd']);
+  });
+});
+
+// Test Suite: splitPopupSearches
+describe('splitPopupSearches', () => {
+  test('puts pinned searches first and leaves hidden ones out', () => {
+    const { pinned, others } = splitPopupSearches(searches);
+
+    expect(pinned.map(search => search.id)).toEqual(['b', 'd']);
+    expect(others.map(search => search.id)).toEqual(['a']);
+  });
+});
+
+// Test Suite: compactLabel
+describe('compactLabel', () => {
+  test('uses the first character of the name', () => {
+    expect(compactLabel({ name: ' receipts' })).toBe('R');
+    expect(compactLabel({ name: '📬 Unread' })).toBe('📬');
+  });
+
+  test("prefers the search's icon", () => {
+    expect(compactLabel({ name: 'Receipts', icon: '🧾' })).toBe('🧾');
+  });
+});
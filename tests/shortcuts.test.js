@@ -0,0 +1,79 @@
+/**
+ * Unit tests for keyboard shortcut bindings
+ */
+
+const {
+  SHORTCUT_SLOTS,
+  describeSlot,
+  resolveShortcut,
+  bindShortcut,
+  loadCommandKeys
+} = require('../shortcuts.js');
+
+const manifest = require('../manifest.json');
+
+const searches = [
+  { id: 's-1', name: 'Unread', q: 'is:unread' },
+  { id: 's-2', name: 'Starred', q: 'is:starred' }
+];
+
+describe('SHORTCUT_SLOTS', () => {
+  test('every slot is declared as a command in the manifest', () => {
+    SHORTCUT_SLOTS.forEach((command) => {
+      expect(manifest.commands[command]).toBeDefined();
+    });
+  });
+
+  test('the manifest suggests at most four keys, as Chrome allows', () => {
+    const suggested = Object.values(manifest.commands).filter(command => command.suggested_key);
+    expect(suggested.length).toBeLessThanOrEqual(4);
+  });
+});
+
+describe('describeSlot', () => {
+  test('numbers slots from 1', () => {
+    expect(describeSlot('run-search-2')).toBe('Search slot 2');
+  });
+});
+
+describe('resolveShortcut', () => {
+  test('finds the bound search', () => {
+    expect(resolveShortcut('run-search-1', { 'run-search-1': 's-2' }, searches)).toBe(searches[1]);
+  });
+
+  test('returns null for empty slots and deleted searches', () => {
+    expect(resolveShortcut('run-search-1', {}, searches)).toBeNull();
+    expect(resolveShortcut('run-search-1', { 'run-search-1': 's-gone' }, searches)).toBeNull();
+    expect(resolveShortcut('run-search-1', undefined, searches)).toBeNull();
+  });
+
+  test('ignores commands that are not search slots', () => {
+    expect(resolveShortcut('_execute_action', { _execute_action: 's-1' }, searches)).toBeNull();
+  });
+});
+
+describe('bindShortcut', () => {
+  test('sets and clears a slot without changing the original', () => {
+    const original = { 'run-search-1': 's-1' };
+    const bound = bindShortcut(original, 'run-search-2', 's-2');
+    expect(bound).toEqual({ 'run-search-1': 's-1', 'run-search-2': 's-2' });
+    expect(bindShortcut(bound, 'run-search-1', '')).toEqual({ 'run-search-2': 's-2' });
+    expect(original).toEqual({ 'run-search-1': 's-1' });
+  });
+});
+
+describe('loadCommandKeys', () => {
+  test('maps command names to their keys', async () => {
+    global.chrome = {
+      commands: {
+        getAll: async () => [
+          { name: '_execute_action', shortcut: 'Alt+Shift+G' },
+          { name: 'run-search-4', shortcut: '' }
+        ]
+      }
+    };
+
+    await expect(loadCommandKeys()).resolves.toEqual({ _execute_action: 'Alt+Shift+G', 'run-search-4': '' });
+    delete global.chrome;
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Unit tests for storage: saving, loading with repair, and Chrome sync
+ */
+
+Object.assign(
+  global,
+  require('../query-parser.js'),
+  require('../templates.js'),
+  require('../validation.js'),
+  require('../groups.js'),
+  require('../navigation.js'),
+  require('../sync.js'),
+  require('../schema.js'),
+  require('../usage.js'),
+  // Schema migrations call back into storage, as they do on the extension pages
+  require('../storage.js')
+);
+
+const {
+  STORAGE_KEY,
+  SETTINGS_KEY,
+  SYNC_STATE_KEY,
+  USAGE_KEY,
+  MAX_INCOMPLETE_SYNCS,
+  DEFAULT_SEARCHES,
+  stampSearches,
+  saveSearches,
+  loadCollection,
+  loadCollectionReadOnly,
+  isOwnSyncChange,
+  syncNow,
+  replaceSyncedSearches,
+  recordSearchUse
+} = require('../storage.js');
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * A chrome.storage area backed by a plain object
+ */
+function mockArea(store) {
+  return {
+    get: jest.fn(async (keys) => {
+      const wanted = keys === null ? Object.keys(store) : [].concat(keys);
+      const result = {};
+      wanted.forEach((key) => {
+        if (key in store) result[key] = clone(store[key]);
+      });
+      return result;
+    }),
+    set: jest.fn(async (items) => { Object.assign(store, clone(items)); }),
+    remove: jest.fn(async (keys) => { [].concat(keys).forEach(key => delete store[key]); })
+  };
+}
+
+let local;
+let synced;
+
+beforeEach(() => {
+  local = {};
+  synced = {};
+  global.chrome = { storage: { local: mockArea(local), sync: mockArea(synced) } };
+});
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+const search = (id, extra = {}) => ({ id, name: id.toUpperCase(), q: `label:${id}`, group: 'general', updatedAt: 1, ...extra });
+const groups = [{ id: 'general', name: 'General' }];
+
+/**
+ * Stores a current-version collection, optionally with sync turned on
+ */
+function storeCollection(searches, { sync = false } = {}) {
+  local[STORAGE_KEY] = searches;
+  local['gmail-saved-groups-v1'] = groups;
+  local['gmail-saved-searches-schema'] = { version: CURRENT_SCHEMA_VERSION, lastReport: null };
+  if (sync) local[SETTINGS_KEY] = { syncEnabled: true };
+}
+
+/**
+ * Puts a document in chrome.storage.sync the way another device would
+ */
+function storeSynced(doc) {
+  Object.assign(synced, encodeSyncItems({ groups, tombstones: [], orderUpdatedAt: 0, groupsUpdatedAt: 0, ...doc }).items);
+}
+
+// Test Suite: loadCollection / loadCollectionReadOnly
+describe('loading', () => {
+  test('gives a first run the defaults and saves them with ids', async () => {
+    const { searches } = await loadCollection();
+
+    expect(searches.map(s => s.name)).toEqual(DEFAULT_SEARCHES.map(s => s.name));
+    expect(local[STORAGE_KEY].every(s => s.id && s.updatedAt)).toBe(true);
+  });
+
+  test('gives a first run the defaults with sync on and nothing synced yet', async () => {
+    local[SETTINGS_KEY] = { syncEnabled: true };
+
+    const { searches } = await loadCollection();
+
+    expect(searches.map(s => s.name)).toEqual(DEFAULT_SEARCHES.map(s => s.name));
+    expect(decodeSyncItems(synced).searches).toHaveLength(DEFAULT_SEARCHES.length);
+  });
+
+  test('keeps an empty list once every search was deleted', async () => {
+    storeCollection([]);
+
+    expect((await loadCollection()).searches).toEqual([]);
+    expect(local[STORAGE_KEY]).toEqual([]);
+  });
+
+  test('writes repairs back once and keeps a report', async () => {
+    local[STORAGE_KEY] = [{ name: 'Long', q: 'x', description: 'x'.repeat(300) }];
+
+    const { searches } = await loadCollection();
+
+    expect(searches[0].description).toHaveLength(MAX_DESCRIPTION_LENGTH);
+    expect(local[STORAGE_KEY][0].description).toHaveLength(MAX_DESCRIPTION_LENGTH);
+    expect(local['gmail-saved-searches-schema'].lastReport.repaired.length).toBeGreaterThan(0);
+
+    chrome.storage.local.set.mockClear();
+    await loadCollection();
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  test('repairs without writing or syncing for read-only pages', async () => {
+    local[STORAGE_KEY] = [{ name: 'Long', q: 'x', description: 'x'.repeat(300) }];
+    local[SETTINGS_KEY] = { syncEnabled: true };
+
+    const { searches } = await loadCollectionReadOnly();
+
+    expect(searches[0].description).toHaveLength(MAX_DESCRIPTION_LENGTH);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    expect(chrome.storage.sync.get).not.toHaveBeenCalled();
+  });
+});
+
+// Test Suite: stampSearches / saveSearches
+describe('saving', () => {
+  test('stamps new searches and bumps only the ones that changed', () => {
+    const previous = [search('a'), search('b')];
+    const next = [{ ...previous[0] }, { ...previous[1], q: 'is:unread' }, { name: 'New', q: 'x' }];
+
+    const result = stampSearches(next, previous, 50);
+
+    expect(next.map(s => s.updatedAt)).toEqual([1, 50, 50]);
+    expect(next[2].id).toBeTruthy();
+    expect(result).toEqual({ removedIds: [], orderChanged: false });
+  });
+
+  test('records a tombstone for each deleted search and notes reorders', async () => {
+    storeCollection([search('a'), search('b'), search('c')]);
+
+    await saveSearches([search('c'), search('a')]);
+
+    const state = local[SYNC_STATE_KEY];
+    expect(state.tombstones.map(t => t.id)).toEqual(['b']);
+    expect(state.orderUpdatedAt).toBeGreaterThan(0);
+    expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+  });
+
+  test('merges with sync, then writes the result, when sync is on', async () => {
+    storeCollection([search('a'), search('b')], { sync: true });
+
+    await saveSearches([search('a')]);
+
+    const doc = decodeSyncItems(synced);
+    expect(doc.searches.map(s => s.id)).toEqual(['a']);
+    expect(doc.tombstones.map(t => t.id)).toEqual(['b']);
+  });
+});
+
+// Test Suite: syncNow / replaceSyncedSearches
+describe('syncing', () => {
+  test('takes a newer edit made on another device', async () => {
+    storeCollection([search('a'), search('b')], { sync: true });
+    storeSynced({ searches: [search('a', { q: 'is:starred', updatedAt: 5 }), search('b')] });
+
+    const result = await syncNow();
+
+    expect(result).toEqual({ ok: true, changed: true });
+    expect(local[STORAGE_KEY][0].q).toBe('is:starred');
+    expect(local[SYNC_STATE_KEY].lastError).toBeNull();
+  });
+
+  test('waits for chunks still arriving without touching either side', async () => {
+    storeCollection([search('a')], { sync: true });
+    storeSynced({ searches: [search('b')] });
+    synced['gmail-quick-search-sync-meta'] = { ...synced['gmail-quick-search-sync-meta'], chunks: 2 };
+    const before = clone(synced);
+
+    const result = await syncNow();
+
+    expect(result.retry).toBe(true);
+    expect(local[SYNC_STATE_KEY]).toMatchObject({ incomplete: true, incompleteAttempts: 1, stuck: false });
+    expect(synced).toEqual(before);
+    expect(local[STORAGE_KEY].map(s => s.id)).toEqual(['a']);
+
+    // The missing chunk arrives
+    synced['gmail-quick-search-sync-meta'].chunks = 1;
+    expect((await syncNow()).ok).toBe(true);
+    expect(local[STORAGE_KEY].map(s => s.id).sort()).toEqual(['a', 'b']);
+    expect(local[SYNC_STATE_KEY].incomplete).toBeUndefined();
+  });
+
+  test('stops waiting on data that never decodes, until it is replaced', async () => {
+    storeCollection([search('a')], { sync: true });
+    synced['gmail-quick-search-sync-meta'] = { version: 1, chunks: 1 };
+    synced['gmail-quick-search-sync-chunk-0'] = '{"searches": [';
+
+    let result;
+    for (let i = 0; i < MAX_INCOMPLETE_SYNCS; i++) {
+      result = await syncNow();
+    }
+
+    expect(result.retry).toBe(false);
+    expect(result.error).toMatch(/can't be read/);
+    expect(local[SYNC_STATE_KEY].stuck).toBe(true);
+
+    expect(await replaceSyncedSearches()).toEqual({ ok: true });
+    expect(decodeSyncItems(synced).searches.map(s => s.id)).toEqual(['a']);
+    expect(local[SYNC_STATE_KEY].stuck).toBeUndefined();
+    expect((await syncNow()).ok).toBe(true);
+  });
+
+  test("tells this page's own sync writes apart from other devices'", async () => {
+    storeCollection([search('a'), search('b')], { sync: true });
+    await saveSearches([search('a')]);
+
+    const meta = synced['gmail-quick-search-sync-meta'];
+    expect(isOwnSyncChange({ 'gmail-quick-search-sync-meta': { newValue: meta } })).toBe(true);
+    expect(isOwnSyncChange({ 'gmail-quick-search-sync-chunk-1': { oldValue: 'x' } })).toBe(true);
+    expect(isOwnSyncChange({ 'gmail-quick-search-sync-meta': { newValue: { ...meta, writeId: 'w-other' } } })).toBe(false);
+    expect(isOwnSyncChange({ 'gmail-quick-search-sync-chunk-0': { newValue: '{' } })).toBe(false);
+  });
+
+  test('skips malformed entries from another device', async () => {
+    storeCollection([search('a')], { sync: true });
+    storeSynced({ searches: [{ id: 'x', q: 'no name' }, search('b')] });
+
+    expect((await syncNow()).ok).toBe(true);
+    expect(local[STORAGE_KEY].map(s => s.id).sort()).toEqual(['a', 'b']);
+  });
+});
+
+// Test Suite: recordSearchUse
+describe('recordSearchUse', () => {
+  test('adds to the stored stats', async () => {
+    local[USAGE_KEY] = { b: { count: 2, lastUsedAt: 1 } };
+
+    const usage = await recordSearchUse([search('a'), { name: 'Typed', q: 'x' }], 10);
+
+    expect(usage).toEqual({ a: { count: 1, lastUsedAt: 10 }, b: { count: 2, lastUsedAt: 1 } });
+    expect(local[USAGE_KEY]).toEqual(usage);
+  });
+});
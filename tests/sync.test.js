@@ -0,0 +1,152 @@
+/**
+ * Unit tests for Chrome sync chunking and merging
+ */
+
+const {
+  SYNC_META_KEY,
+  SYNC_CHUNK_PREFIX,
+  TOMBSTONE_TTL_MS,
+  encodeSyncItems,
+  decodeSyncItems,
+  hasSyncItems,
+  mergeTombstones,
+  mergeSyncDocs
+} = require('../sync.js');
+
+const NOW = 1700000000000;
+
+function doc(searches, extra = {}) {
+  return { searches, groups: [{ id: 'general', name: 'General' }], tombstones: [], orderUpdatedAt: 0, groupsUpdatedAt: 0, ...extra };
+}
+
+// Test Suite: encodeSyncItems / decodeSyncItems
+describe('sync chunking', () => {
+  test('round-trips a small document in one chunk', () => {
+    const original = doc([{ id: 's1', name: 'Unread', q: 'is:unread', updatedAt: 1 }]);
+    const encoded = encodeSyncItems(original);
+
+    expect(encoded.ok).toBe(true);
+    expect(encoded.chunks).toBe(1);
+    expect(decodeSyncItems(encoded.items)).toEqual(original);
+  });
+
+  test('splits large documents so every item fits the per-item quota', () => {
+    const searches = Array.from({ length: 50 }, (_, i) => ({
+      id: `s${i}`, name: `Search "${i}" ✉️`, q: 'subject:"quoted" '.repeat(25), updatedAt: i
+    }));
+    const limits = { perItem: 8192, total: 102400, maxItems: 512 };
+    const encoded = encodeSyncItems(doc(searches), limits);
+
+    expect(encoded.ok).toBe(true);
+    expect(encoded.chunks).toBeGreaterThan(1);
+    Object.keys(encoded.items).forEach((key) => {
+      const bytes = new TextEncoder().encode(key + JSON.stringify(encoded.items[key])).length;
+      expect(bytes).toBeLessThanOrEqual(limits.perItem);
+    });
+    expect(decodeSyncItems(encoded.items).searches).toEqual(searches);
+  });
+
+  test('refuses documents over the total quota', () => {
+    const searches = Array.from({ length: 50 }, (_, i) => ({ id: `s${i}`, name: 'x', q: 'y'.repeat(500) }));
+    const encoded = encodeSyncItems(doc(searches), { perItem: 8192, total: 10000, maxItems: 512 });
+
+    expect(encoded.ok).toBe(false);
+    expect(encoded.error).toBeDefined();
+  });
+
+  test('treats missing or broken chunks as no document', () => {
+    expect(decodeSyncItems({})).toBeNull();
+    expect(decodeSyncItems({ [SYNC_META_KEY]: { chunks: 2 }, [SYNC_CHUNK_PREFIX + '0']: '{}' })).toBeNull();
+    expect(decodeSyncItems({ [SYNC_META_KEY]: { chunks: 1 }, [SYNC_CHUNK_PREFIX + '0']: '{"sear' })).toBeNull();
+  });
+
+  test('tells no sync data apart from data that is still arriving', () => {
+    expect(hasSyncItems({})).toBe(false);
+    expect(hasSyncItems({ unrelated: 1 })).toBe(false);
+    expect(hasSyncItems({ [SYNC_META_KEY]: { chunks: 2 }, [SYNC_CHUNK_PREFIX + '0']: '{}' })).toBe(true);
+    expect(hasSyncItems({ [SYNC_CHUNK_PREFIX + '1']: '[]}' })).toBe(true);
+  });
+});
+
+// Test Suite: mergeSyncDocs
+describe('mergeSyncDocs', () => {
+  test('keeps the newer edit of each search independently', () => {
+    const local = doc([
+      { id: 'a', name: 'A', q: 'local edit', updatedAt: 20 },
+      { id: 'b', name: 'B', q: 'old', updatedAt: 5 }
+    ]);
+    const remote = doc([
+      { id: 'a', name: 'A', q: 'old', updatedAt: 10 },
+      { id: 'b', name: 'B', q: 'remote edit', updatedAt: 30 }
+    ]);
+
+    const merged = mergeSyncDocs(local, remote, NOW);
+
+    expect(merged.searches.map(s => s.q)).toEqual(['local edit', 'remote edit']);
+  });
+
+  test('keeps searches added on either device', () => {
+    const local = doc([{ id: 'a', name: 'A', q: 'a', updatedAt: 1 }, { id: 'l', name: 'L', q: 'l', updatedAt: 2 }]);
+    const remote = doc([{ id: 'a', name: 'A', q: 'a', updatedAt: 1 }, { id: 'r', name: 'R', q: 'r', updatedAt: 3 }]);
+
+    expect(mergeSyncDocs(local, remote, NOW).searches.map(s => s.id)).toEqual(['a', 'r', 'l']);
+  });
+
+  test('applies deletions unless the search was edited afterwards', () => {
+    const local = doc([], { tombstones: [{ id: 'a', deletedAt: NOW - 50 }, { id: 'b', deletedAt: NOW - 50 }] });
+    const remote = doc([
+      { id: 'a', name: 'A', q: 'a', updatedAt: NOW - 60 },
+      { id: 'b', name: 'B', q: 'b', updatedAt: NOW - 40 }
+    ]);
+
+    expect(mergeSyncDocs(local, remote, NOW).searches.map(s => s.id)).toEqual(['b']);
+  });
+
+  test('takes the order and groups from the side that changed them last', () => {
+    const searches = [{ id: 'a', name: 'A', q: 'a', updatedAt: 1 }, { id: 'b', name: 'B', q: 'b', updatedAt: 1 }];
+    const local = doc(searches.slice().reverse(), { orderUpdatedAt: 100, groups: [{ id: 'x', name: 'Mine' }], groupsUpdatedAt: 1 });
+    const remote = doc(searches, { orderUpdatedAt: 50, groupsUpdatedAt: 2 });
+
+    const merged = mergeSyncDocs(local, remote, NOW);
+
+    expect(merged.searches.map(s => s.id)).toEqual(['b', 'a']);
+    expect(merged.groups).toEqual(remote.groups);
+  });
+
+  test('collapses identical searches created separately on each device', () => {
+    const local = doc([{ id: 'l', name: 'Unread', q: 'is:unread', updatedAt: 1 }]);
+    const remote = doc([{ id: 'r', name: 'Unread', q: 'is:unread', updatedAt: 2 }]);
+
+    expect(mergeSyncDocs(local, remote, NOW).searches).toHaveLength(1);
+  });
+
+  test('uploads local data when nothing is synced yet', () => {
+    const local = doc([{ id: 'a', name: 'A', q: 'a', updatedAt: 1 }]);
+    const merged = mergeSyncDocs(local, null, NOW);
+
+    expect(merged.searches).toEqual(local.searches);
+    expect(merged.groups).toEqual(local.groups);
+  });
+
+  test('drops malformed synced entries instead of failing', () => {
+    const local = doc([{ id: 'a', name: 'A', q: 'a', updatedAt: 1 }]);
+    const remote = { ...doc([null, { id: 'b', q: 'b' }, { id: 'c', name: 'C', q: 'c', updatedAt: 1 }]), groups: 'x', tombstones: {} };
+    const merged = mergeSyncDocs(local, remote, NOW);
+
+    expect(merged.searches.map(s => s.id)).toEqual(['c', 'a']);
+    expect(merged.groups).toEqual(local.groups);
+  });
+});
+
+// Test Suite: mergeTombstones
+describe('mergeTombstones', () => {
+  test('keeps the newest tombstone per id and drops expired ones', () => {
+    const merged = mergeTombstones(
+      [{ id: 'a', deletedAt: NOW - 10 }, { id: 'old', deletedAt: NOW - TOMBSTONE_TTL_MS - 1 }],
+      [{ id: 'a', deletedAt: NOW - 5 }],
+      NOW
+    );
+
+    expect(merged).toEqual([{ id: 'a', deletedAt: NOW - 5 }]);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for parameterized search templates
+ */
+
+Object.assign(global, require('../query-parser.js'), require('../templates.js'));
+
+const {
+  MAX_RECENT_VALUES,
+  getPlaceholders,
+  isTemplate,
+  maskPlaceholders,
+  findPlaceholderError,
+  formatTemplateValue,
+  validateTemplateValues,
+  fillTemplate,
+  rememberTemplateValues,
+  fillFromRecentValues
+} = require('../templates.js');
+
+const { validateGmailQuery } = require('../validation.js');
+
+describe('getPlaceholders / isTemplate', () => {
+  test('lists each placeholder once, in order', () => {
+    expect(getPlaceholders('from:{{sender}} subject:{{ topic }} OR to:{{sender}}')).toEqual(['sender', 'topic']);
+  });
+
+  test('recognises templates', () => {
+    expect(isTemplate('from:{{sender}}')).toBe(true);
+    expect(isTemplate('is:unread')).toBe(false);
+    expect(isTemplate('{a b}')).toBe(false);
+  });
+});
+
+describe('maskPlaceholders', () => {
+  test('keeps the length so positions line up', () => {
+    const query = 'from:{{sender}} (x';
+    expect(maskPlaceholders(query)).toBe('from:xxxxxxxxxx (x');
+    expect(maskPlaceholders(query)).toHaveLength(query.length);
+  });
+});
+
+describe('findPlaceholderError', () => {
+  test('accepts well-formed placeholders', () => {
+    expect(findPlaceholderError('from:{{sender}} {a b}')).toBeNull();
+  });
+
+  test('reports empty, multi-word and unclosed placeholders', () => {
+    expect(findPlaceholderError('from:{{}}')).toMatchObject({ start: 5, end: 9 });
+    expect(findPlaceholderError('from:{{two words}}').message).toContain('single word');
+    expect(findPlaceholderError('x {{sender').message).toContain('closing');
+  });
+
+  test('reports a stray closing brace pair', () => {
+    expect(findPlaceholderError('from:sender}}')).toMatchObject({ start: 11 });
+  });
+});
+
+describe('fillTemplate', () => {
+  test('substitutes every occurrence', () => {
+    expect(fillTemplate('from:{{who}} OR to:{{who}}', { who: 'alice' })).toBe('from:alice OR to:alice');
+  });
+
+  test('quotes values that would read as syntax', () => {
+    expect(formatTemplateValue('Q3 plan')).toBe('"Q3 plan"');
+    expect(formatTemplateValue('-draft')).toBe('"-draft"');
+    expect(formatTemplateValue('label:x')).toBe('"label:x"');
+    expect(formatTemplateValue('say "hi"')).toBe('"say hi"');
+    expect(fillTemplate('subject:{{topic}}', { topic: 'Q3 plan' })).toBe('subject:"Q3 plan"');
+  });
+});
+
+describe('validateTemplateValues', () => {
+  test('requires a value for every placeholder', () => {
+    expect(validateTemplateValues('from:{{a}} {{b}}', { a: 'x', b: 'y' }).valid).toBe(true);
+    expect(validateTemplateValues('from:{{a}} {{b}}', { a: 'x', b: ' "" ' })).toMatchObject({ valid: false, name: 'b' });
+  });
+
+  test('limits value length', () => {
+    expect(validateTemplateValues('{{a}}', { a: 'x'.repeat(201) }).valid).toBe(false);
+  });
+});
+
+describe('recent values', () => {
+  test('moves the latest value to the front without repeats', () => {
+    let recents = rememberTemplateValues({}, { sender: 'alice' });
+    recents = rememberTemplateValues(recents, { sender: 'bob' });
+    recents = rememberTemplateValues(recents, { sender: ' alice ' });
+    expect(recents.sender).toEqual(['alice', 'bob']);
+  });
+
+  test('keeps a limited number of values', () => {
+    let recents = {};
+    for (let i = 0; i < 10; i++) recents = rememberTemplateValues(recents, { n: `v${i}` });
+    expect(recents.n).toHaveLength(MAX_RECENT_VALUES);
+  });
+
+  test('fills from the most recent values only when all are known', () => {
+    const recents = { sender: ['alice'], topic: [] };
+    expect(fillFromRecentValues('from:{{sender}}', recents)).toBe('from:alice');
+    expect(fillFromRecentValues('from:{{sender}} {{topic}}', recents)).toBeNull();
+  });
+});
+
+describe('validateGmailQuery with templates', () => {
+  test('accepts placeholders as values and words', () => {
+    expect(validateGmailQuery('from:{{sender}} subject:{{topic}}').valid).toBe(true);
+    expect(validateGmailQuery('{{keyword}}').valid).toBe(true);
+  });
+
+  test('reports malformed placeholders with their position', () => {
+    const result = validateGmailQuery('from:{{sender');
+    expect(result.valid).toBe(false);
+    expect(result.position.start).toBe(5);
+  });
+
+  test('still reports syntax errors around placeholders', () => {
+    const result = validateGmailQuery('from:{{sender}} OR');
+    expect(result.valid).toBe(false);
+    expect(result.position.start).toBe(16);
+    expect(validateGmailQuery('from:{{sender}} (subject:{{topic}}').position.start).toBe(16);
+  });
+});
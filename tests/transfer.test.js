@@ -0,0 +1,182 @@
+/**
+ * Unit tests for import/export
+ */
+
+Object.assign(global, require('../query-parser.js'), require('../templates.js'), require('../validation.js'), require('../groups.js'), require('../navigation.js'));
+
+const {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  buildExport,
+  parseImport,
+  sanitizeImportEntry,
+  planImport
+} = require('../transfer.js');
+
+const groups = [{ id: 'general', name: 'General' }];
+const searches = [
+  { name: 'Unread', q: 'is:unread', group: 'general' },
+  { name: 'Starred', q: 'is:starred', group: 'general' }
+];
+
+function exportText(entries, exportGroups = []) {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, groups: exportGroups, searches: entries });
+}
+
+// Test Suite: buildExport / parseImport
+describe('export format', () => {
+  test('round-trips through parseImport', () => {
+    const data = buildExport([{ ...searches[0], account: 1 }], groups);
+    const parsed = parseImport(JSON.stringify(data));
+
+    expect(data.format).toBe(EXPORT_FORMAT);
+    expect(data.version).toBe(EXPORT_VERSION);
+    expect(parsed.valid).toBe(true);
+    expect(parsed.searches).toEqual([{ name: 'Unread', q: 'is:unread', account: 1, group: 'general' }]);
+    expect(parsed.groups).toEqual(groups);
+  });
+
+  test('keeps pinned and hidden flags', () => {
+    const data = buildExport([{ ...searches[0], pinned: true }, { ...searches[1], hidden: true }], groups);
+
+    expect(data.searches[0].pinned).toBe(true);
+    expect(data.searches[1].hidden).toBe(true);
+    expect(sanitizeImportEntry(data.searches[0]).search.pinned).toBe(true);
+    expect(sanitizeImportEntry(data.searches[1]).search.hidden).toBe(true);
+    expect(sanitizeImportEntry({ name: 'A', q: 'a', pinned: 'yes' }).search.pinned).toBeUndefined();
+  });
+
+  test('keeps icons, colours and descriptions', () => {
+    const data = buildExport([{ ...searches[0], icon: '📬', color: 'blue', description: 'Mail to answer' }], groups);
+
+    expect(data.searches[0]).toMatchObject({ icon: '📬', color: 'blue', description: 'Mail to answer' });
+    expect(sanitizeImportEntry(data.searches[0]).search).toMatchObject({ icon: '📬', color: 'blue', description: 'Mail to answer' });
+    expect(sanitizeImportEntry({ name: 'A', q: 'a', icon: '', color: '' }).search).toEqual({ name: 'A', q: 'a' });
+    expect(sanitizeImportEntry({ name: 'A', q: 'a', color: 'url(x)' }).valid).toBe(false);
+    expect(sanitizeImportEntry({ name: 'A', q: 'a', description: 'Paid\u202E' }).valid).toBe(false);
+  });
+
+  test('accepts a bare array of searches', () => {
+    expect(parseImport('[{"name":"A","q":"a"}]').valid).toBe(true);
+  });
+
+  test('rejects broken, foreign and future files', () => {
+    expect(parseImport('').valid).toBe(false);
+    expect(parseImport('{nope').valid).toBe(false);
+    expect(parseImport('{"format":"other","version":1,"searches":[]}').valid).toBe(false);
+    expect(parseImport(JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, searches: [] })).valid).toBe(false);
+  });
+});
+
+// Test Suite: sanitizeImportEntry
+describe('sanitizeImportEntry', () => {
+  test('returns a fresh trimmed object without extra keys', () => {
+    const entry = { name: ' Unread ', q: ' is:unread ', __proto__: { polluted: true }, extra: 'x' };
+    const result = sanitizeImportEntry(entry);
+
+    expect(result.valid).toBe(true);
+    expect(result.search).toEqual({ name: 'Unread', q: 'is:unread' });
+    expect(result.search).not.toBe(entry);
+  });
+
+  test('runs the modal validation rules', () => {
+    expect(sanitizeImportEntry({ name: 'Inbox\u0000', q: 'x' }).valid).toBe(false);
+    expect(sanitizeImportEntry({ name: 'A', q: 'from:\u0000boss' }).valid).toBe(false);
+    expect(sanitizeImportEntry({ name: 'a'.repeat(101), q: 'x' }).valid).toBe(false);
+    expect(sanitizeImportEntry({ name: 'A', q: 'x'.repeat(501) }).valid).toBe(false);
+    expect(sanitizeImportEntry({ name: 'A', q: 'x', account: 'nobody' }).valid).toBe(false);
+    expect(sanitizeImportEntry('A').valid).toBe(false);
+  });
+});
+
+// Test Suite: planImport
+describe('planImport', () => {
+  test('merge adds new searches, updates same-named ones and skips the rest', () => {
+    const parsed = parseImport(exportText([
+      { name: 'Receipts', q: 'subject:receipt' },
+      { name: 'unread', q: 'is:unread newer_than:1d' },
+      { name: 'Starred', q: 'is:starred' },
+      { name: 'Favourites', q: 'is:starred' },
+      { name: 'Bad', q: 'is:unread\u0000' }
+    ]));
+
+    const plan = planImport(parsed, searches, groups, 'merge');
+
+    expect(plan.added.map(s => s.name)).toEqual(['Receipts']);
+    expect(plan.updated.map(s => s.q)).toEqual(['is:unread newer_than:1d']);
+    expect(plan.skipped.map(s => s.name)).toEqual(['Starred', 'Favourites', 'Bad']);
+    expect(plan.searches.map(s => s.name)).toEqual(['Unread', 'Starred', 'Receipts']);
+  });
+
+  test('merge brings back pinned and hidden flags for same-named searches', () => {
+    const existing = [
+      { name: 'Unread', q: 'is:unread', group: 'general' },
+      { name: 'Starred', q: 'is:starred', group: 'general', hidden: true },
+      { name: 'Sent', q: 'in:sent', group: 'general', pinned: true }
+    ];
+    const parsed = parseImport(exportText([
+      { name: 'Unread', q: 'is:unread', pinned: true },
+      { name: 'Starred', q: 'is:starred' },
+      { name: 'Sent', q: 'in:sent', pinned: true }
+    ]));
+
+    const plan = planImport(parsed, existing, groups, 'merge');
+
+    expect(plan.updated.map(s => s.name)).toEqual(['Unread', 'Starred']);
+    expect(plan.skipped).toEqual([{ name: 'Sent', reason: 'Already exists unchanged' }]);
+    expect(plan.searches[0].pinned).toBe(true);
+    expect(plan.searches[1]).not.toHaveProperty('hidden');
+  });
+
+  test('merge updates a search whose icon, colour or description changed', () => {
+    const existing = [
+      { name: 'Unread', q: 'is:unread', group: 'general', icon: '📬', description: 'Old notes' },
+      { name: 'Starred', q: 'is:starred', group: 'general', color: 'red' }
+    ];
+    const parsed = parseImport(exportText([
+      { name: 'Unread', q: 'is:unread', icon: '📥', color: 'blue' },
+      { name: 'Starred', q: 'is:starred', color: 'red' }
+    ]));
+
+    const plan = planImport(parsed, existing, groups, 'merge');
+
+    expect(plan.updated).toEqual([{ name: 'Unread', q: 'is:unread', group: 'general', icon: '📥', color: 'blue' }]);
+    expect(plan.skipped).toEqual([{ name: 'Starred', reason: 'Already exists unchanged' }]);
+  });
+
+  test('replace discards existing searches and skips duplicates within the file', () => {
+    const parsed = parseImport(exportText([
+      { name: 'One', q: 'a' },
+      { name: 'one', q: 'b' }
+    ]));
+
+    const plan = planImport(parsed, searches, groups, 'replace');
+
+    expect(plan.searches.map(s => s.name)).toEqual(['One']);
+    expect(plan.skipped).toHaveLength(1);
+  });
+
+  test('maps imported groups by name and creates missing ones', () => {
+    const parsed = parseImport(exportText([
+      { name: 'A', q: 'a', group: 'x1' },
+      { name: 'B', q: 'b', group: 'x2' }
+    ], [{ id: 'x1', name: 'general' }, { id: 'x2', name: 'Finance' }]));
+
+    const plan = planImport(parsed, searches, groups, 'merge');
+    const finance = plan.groups.find(g => g.name === 'Finance');
+
+    expect(plan.groups.map(g => g.name)).toEqual(['General', 'Finance']);
+    expect(plan.added[0].group).toBe('general');
+    expect(plan.added[1].group).toBe(finance.id);
+  });
+
+  test('stops adding at MAX_SEARCHES', () => {
+    const many = Array.from({ length: MAX_SEARCHES }, (_, i) => ({ name: `S${i}`, q: `q${i}` }));
+    const parsed = parseImport(exportText(many));
+
+    const plan = planImport(parsed, searches, groups, 'merge');
+
+    expect(plan.searches).toHaveLength(MAX_SEARCHES);
+    expect(plan.skipped).toHaveLength(2);
+  });
+});
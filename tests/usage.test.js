@@ -0,0 +1,111 @@
+/**
+ * Unit tests for usage stats and popup sort orders
+ */
+
+const {
+  RECENT_LIMIT,
+  STALE_AFTER_DAYS,
+  recordUse,
+  usageFor,
+  sortSearchItems,
+  sortSearches,
+  recentSearches,
+  isStale,
+  describeUsage
+} = require('../usage.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+
+const searches = [
+  { id: 'a', name: 'beta', q: 'x' },
+  { id: 'b', name: 'Alpha', q: 'y' },
+  { id: 'c', name: 'gamma', q: 'z' }
+];
+const items = searches.map((search, index) => ({ search, index }));
+const usage = {
+  a: { count: 2, lastUsedAt: NOW - DAY },
+  c: { count: 5, lastUsedAt: NOW - 3 * DAY }
+};
+
+// Test Suite: recordUse
+describe('recordUse', () => {
+  test('counts uses and remembers the last one', () => {
+    let stats = recordUse({}, 'a', NOW - 10);
+    stats = recordUse(stats, 'a', NOW);
+
+    expect(stats.a).toEqual({ count: 2, lastUsedAt: NOW });
+  });
+
+  test('leaves the old map alone', () => {
+    const before = {};
+    recordUse(before, 'a', NOW);
+    expect(before).toEqual({});
+  });
+
+  test('treats unknown and malformed entries as unused', () => {
+    expect(usageFor({ a: 'junk' }, searches[0])).toEqual({ count: 0, lastUsedAt: 0 });
+    expect(usageFor(usage, { name: 'No id', q: 'x' }).count).toBe(0);
+  });
+});
+
+// Test Suite: sortSearchItems
+describe('sortSearchItems', () => {
+  const order = mode => sortSearchItems(items, mode, usage).map(item => item.search.id);
+
+  test('keeps the manual order', () => {
+    expect(order('manual')).toEqual(['a', 'b', 'c']);
+    expect(order('unknown')).toEqual(['a', 'b', 'c']);
+  });
+
+  test('sorts by use count, recency or name', () => {
+    expect(order('mostUsed')).toEqual(['c', 'a', 'b']);
+    expect(order('recent')).toEqual(['a', 'c', 'b']);
+    expect(order('alphabetical')).toEqual(['b', 'a', 'c']);
+  });
+
+  test('breaks ties with the manual order', () => {
+    expect(sortSearchItems(items, 'mostUsed', {}).map(item => item.index)).toEqual([0, 1, 2]);
+  });
+});
+
+// Test Suite: sortSearches
+describe('sortSearches', () => {
+  test('sorts plain searches like grouped items', () => {
+    expect(sortSearches(searches, 'mostUsed', usage).map(s => s.id)).toEqual(['c', 'a', 'b']);
+    expect(sortSearches(searches, 'manual', usage)).toEqual(searches);
+  });
+});
+
+// Test Suite: recentSearches
+describe('recentSearches', () => {
+  test('lists used searches, newest first', () => {
+    expect(recentSearches(searches, usage).map(s => s.id)).toEqual(['a', 'c']);
+  });
+
+  test('stops at the limit', () => {
+    const many = Array.from({ length: RECENT_LIMIT + 2 }, (_, i) => ({ id: `s${i}`, name: `S${i}`, q: 'x' }));
+    const stats = many.reduce((acc, search, i) => recordUse(acc, search.id, NOW + i), {});
+
+    expect(recentSearches(many, stats)).toHaveLength(RECENT_LIMIT);
+  });
+});
+
+// Test Suite: isStale / describeUsage
+describe('stale searches', () => {
+  test('flags searches not opened for a long time', () => {
+    const old = NOW - (STALE_AFTER_DAYS + 1) * DAY;
+
+    expect(isStale(searches[0], usage, NOW)).toBe(false);
+    expect(isStale(searches[0], { a: { count: 1, lastUsedAt: old } }, NOW)).toBe(true);
+    expect(isStale({ id: 'n', name: 'New', q: 'x', updatedAt: NOW - DAY }, {}, NOW)).toBe(false);
+    expect(isStale({ id: 'n', name: 'Old', q: 'x', updatedAt: old }, {}, NOW)).toBe(true);
+  });
+
+  test('describes usage in words', () => {
+    expect(describeUsage(searches[1], usage, NOW)).toBe('Never opened');
+    expect(describeUsage(searches[0], usage, NOW)).toBe('Opened 2 times, last yesterday');
+    expect(describeUsage(searches[2], usage, NOW)).toBe('Opened 5 times, last 3 days ago');
+    expect(describeUsage(searches[0], { a: { count: 1, lastUsedAt: NOW } }, NOW)).toBe('Opened 1 time, last today');
+  });
+});
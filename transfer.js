@@ -0,0 +1,268 @@
+/**
+ * Gmail Quick Search - Import/Export
+ * Versioned JSON export and validated, previewable import
+ */
+
+'use strict';
+
+const EXPORT_FORMAT = 'gmail-quick-search';
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_BYTES = 1024 * 1024;
+// What a same-named entry in a merged file replaces; fields it leaves out
+// are cleared, as they are only stored while set
+const IMPORTED_FIELDS = ['q', 'account', 'pinned', 'hidden', 'icon', 'color', 'description'];
+
+/**
+ * Builds the export document for a set of searches and groups
+ */
+function buildExport(searches, groups) {
+  const usedGroups = new Set(searches.map(search => search.group));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    groups: groups
+      .filter(group => usedGroups.has(group.id))
+      .map(group => ({ id: group.id, name: group.name })),
+    searches: searches.map((search) => {
+      const entry = { name: search.name, q: search.q };
+      if (search.account !== undefined && search.account !== null) entry.account = search.account;
+      if (search.group) entry.group = search.group;
+      if (search.pinned) entry.pinned = true;
+      if (search.hidden) entry.hidden = true;
+      if (search.icon) entry.icon = search.icon;
+      if (search.color) entry.color = search.color;
+      if (search.description) entry.description = search.description;
+      return entry;
+    })
+  };
+}
+
+/**
+ * Parses an import file. Accepts the versioned export format or a bare
+ * array of { name, q } objects.
+ */
+function parseImport(text) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return { valid: false, error: 'The file is empty' };
+  }
+
+  if (text.length > MAX_IMPORT_BYTES) {
+    return { valid: false, error: 'The file is too large to import' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { valid: false, error: 'The file is not valid JSON' };
+  }
+
+  if (Array.isArray(data)) {
+    return { valid: true, searches: data, groups: [] };
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+    return { valid: false, error: 'The file is not a Gmail Quick Search export' };
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { valid: false, error: 'The export has no valid version' };
+  }
+
+  if (data.version > EXPORT_VERSION) {
+    return { valid: false, error: 'The export was made by a newer version of this extension' };
+  }
+
+  if (!Array.isArray(data.searches)) {
+    return { valid: false, error: 'The export contains no searches' };
+  }
+
+  return {
+    valid: true,
+    searches: data.searches,
+    groups: Array.isArray(data.groups) ? data.groups : []
+  };
+}
+
+/**
+ * Checks one imported entry against the same rules as the add/edit modal.
+ * Returns a fresh object (never the parsed one) or an error.
+ */
+function sanitizeImportEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { valid: false, error: 'Not a search entry' };
+  }
+
+  if (!validateString(entry.name, MAX_NAME_LENGTH)) {
+    return { valid: false, error: `Invalid name (1-${MAX_NAME_LENGTH} characters required)` };
+  }
+
+  if (!validateString(entry.q, MAX_QUERY_LENGTH)) {
+    return { valid: false, error: `Invalid query (1-${MAX_QUERY_LENGTH} characters required)` };
+  }
+
+  const name = entry.name.trim();
+  const q = entry.q.trim();
+
+  const nameValidation = validateSearchName(name);
+  if (!nameValidation.valid) {
+    return { valid: false, error: nameValidation.error };
+  }
+
+  const queryValidation = validateGmailQuery(q);
+  if (!queryValidation.valid) {
+    return { valid: false, error: queryValidation.error };
+  }
+
+  const accountValidation = validateAccount(entry.account);
+  if (!accountValidation.valid) {
+    return { valid: false, error: accountValidation.error };
+  }
+
+  const metadataValidation = validateSearchMetadata(entry);
+  if (!metadataValidation.valid) {
+    return { valid: false, error: metadataValidation.error };
+  }
+
+  const search = withSearchMetadata({ name, q }, entry);
+  const account = normalizeAccount(entry.account);
+  if (account !== null) search.account = account;
+  if (entry.hidden === true) {
+    search.hidden = true;
+  } else if (entry.pinned === true) {
+    search.pinned = true;
+  }
+
+  return { valid: true, search };
+}
+
+/**
+ * Maps imported group ids to groups in the result, reusing groups with the
+ * same name and creating the rest while there is room
+ */
+function mapImportGroups(importedGroups, groups) {
+  const result = groups.map(group => ({ ...group }));
+  const idMap = new Map();
+
+  importedGroups.forEach((imported) => {
+    if (!imported || typeof imported.id !== 'string' || typeof imported.name !== 'string') return;
+
+    const name = imported.name.trim();
+    const existing = result.find(group => group.name.toLowerCase() === name.toLowerCase());
+
+    if (existing) {
+      idMap.set(imported.id, existing.id);
+    } else if (result.length < MAX_GROUPS && validateGroupName(name, result).valid) {
+      const group = createGroup(name);
+      result.push(group);
+      idMap.set(imported.id, group.id);
+    }
+  });
+
+  return { groups: result, idMap };
+}
+
+/**
+ * Works out what an import would do without saving anything.
+ * mode is 'merge' (keep existing searches, update same-named ones) or
+ * 'replace' (the file becomes the whole collection).
+ */
+function planImport(parsed, searches, groups, mode) {
+  const replace = mode === 'replace';
+  const mapped = mapImportGroups(parsed.groups, replace ? [] : groups);
+  const normalizedGroups = normalizeGroups(mapped.groups, []).groups;
+  const fallbackGroupId = normalizedGroups[0].id;
+
+  const result = replace ? [] : searches.map(search => ({ ...search }));
+  const plan = { mode: replace ? 'replace' : 'merge', added: [], updated: [], skipped: [] };
+  // Entries from the file only ever update searches that existed before it
+  const fromFile = new Set();
+
+  parsed.searches.forEach((entry, position) => {
+    const label = entry && typeof entry.name === 'string' && entry.name.trim()
+      ? entry.name.trim()
+      : `Entry ${position + 1}`;
+
+    const checked = sanitizeImportEntry(entry);
+    if (!checked.valid) {
+      plan.skipped.push({ name: label, reason: checked.error });
+      return;
+    }
+
+    const search = checked.search;
+    search.group = mapped.idMap.get(entry.group) || fallbackGroupId;
+
+    const duplicate = checkDuplicate(result, search.name, search.q);
+    if (duplicate.isDuplicate && duplicate.type === 'name') {
+      const index = result.findIndex(s => s.name.toLowerCase() === search.name.toLowerCase());
+      const existing = result[index];
+
+      if (fromFile.has(existing)) {
+        plan.skipped.push({ name: label, reason: 'Appears more than once in the file' });
+        return;
+      }
+
+      if (IMPORTED_FIELDS.every(field => existing[field] === search[field])) {
+        plan.skipped.push({ name: label, reason: 'Already exists unchanged' });
+        return;
+      }
+
+      // Another search already uses the new query
+      const queryClash = checkDuplicate(result, '', search.q, index);
+      if (queryClash.isDuplicate && queryClash.type === 'query') {
+        plan.skipped.push({ name: label, reason: queryClash.message });
+        return;
+      }
+
+      const updated = { ...existing, group: mapped.idMap.get(entry.group) || existing.group };
+      IMPORTED_FIELDS.forEach((field) => {
+        if (search[field] === undefined) {
+          delete updated[field];
+        } else {
+          updated[field] = search[field];
+        }
+      });
+      result[index] = updated;
+      fromFile.add(updated);
+      plan.updated.push(updated);
+      return;
+    }
+
+    if (duplicate.isDuplicate) {
+      plan.skipped.push({ name: label, reason: duplicate.message });
+      return;
+    }
+
+    if (result.length >= MAX_SEARCHES) {
+      plan.skipped.push({ name: label, reason: `Maximum ${MAX_SEARCHES} searches reached` });
+      return;
+    }
+
+    result.push(search);
+    fromFile.add(search);
+    plan.added.push(search);
+  });
+
+  // Only keep new groups that ended up with searches
+  const used = new Set(result.map(search => search.group));
+  const knownIds = new Set(groups.map(group => group.id));
+  plan.groups = normalizedGroups.filter(group => used.has(group.id) || (!replace && knownIds.has(group.id)));
+  if (plan.groups.length === 0) plan.groups = normalizedGroups.slice(0, 1);
+
+  plan.searches = normalizeGroups(plan.groups, result).searches;
+  return plan;
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    buildExport,
+    parseImport,
+    sanitizeImportEntry,
+    planImport
+  };
+}
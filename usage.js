@@ -0,0 +1,110 @@
+/**
+ * Gmail Quick Search - Usage
+ * Counts how often each saved search is opened, from the popup, shortcuts,
+ * the address bar, the right-click menu or the Gmail panel (kept on this
+ * device only), and sorts searches by it
+ */
+
+'use strict';
+
+// How the popup orders searches within each group (the popupSort setting)
+const SORT_MODES = {
+  manual: 'Manual order',
+  mostUsed: 'Most used',
+  recent: 'Recently used',
+  alphabetical: 'Alphabetical'
+};
+
+// Searches shown in the popup's Recent section
+const RECENT_LIMIT = 5;
+// Searches not opened for this long are flagged in the manage page
+const STALE_AFTER_DAYS = 90;
+const USAGE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Records one use of a search. Returns the new usage map
+ * (search id -> { count, lastUsedAt }).
+ */
+function recordUse(usage, searchId, now) {
+  const entry = usage[searchId] || { count: 0, lastUsedAt: 0 };
+  return { ...usage, [searchId]: { count: entry.count + 1, lastUsedAt: now } };
+}
+
+/**
+ * The usage entry for a search, or an unused one
+ */
+function usageFor(usage, search) {
+  const entry = search.id && usage ? usage[search.id] : null;
+  return entry && typeof entry.count === 'number' ? entry : { count: 0, lastUsedAt: 0 };
+}
+
+/**
+ * Sorts grouped items ({ search, index }) for a sort mode. Ties, and the
+ * manual mode, keep the order from the manage page.
+ */
+function sortSearchItems(items, mode, usage) {
+  const compare = {
+    mostUsed: (a, b) => usageFor(usage, b.search).count - usageFor(usage, a.search).count,
+    recent: (a, b) => usageFor(usage, b.search).lastUsedAt - usageFor(usage, a.search).lastUsedAt,
+    alphabetical: (a, b) => a.search.name.localeCompare(b.search.name, undefined, { sensitivity: 'base' })
+  }[mode];
+
+  if (!compare) return items;
+  return items.slice().sort((a, b) => compare(a, b) || a.index - b.index);
+}
+
+/**
+ * Sorts a plain list of searches for a sort mode, as sortSearchItems does;
+ * ties keep the given order
+ */
+function sortSearches(searches, mode, usage) {
+  return sortSearchItems(searches.map((search, index) => ({ search, index })), mode, usage).map(item => item.search);
+}
+
+/**
+ * The searches used most recently, newest first
+ */
+function recentSearches(searches, usage, limit = RECENT_LIMIT) {
+  return searches
+    .filter(search => usageFor(usage, search).lastUsedAt > 0)
+    .sort((a, b) => usageFor(usage, b).lastUsedAt - usageFor(usage, a).lastUsedAt)
+    .slice(0, limit);
+}
+
+/**
+ * Whether a search hasn't been opened for STALE_AFTER_DAYS. Searches saved
+ * recently aren't stale just because they haven't been used yet.
+ */
+function isStale(search, usage, now) {
+  const since = usageFor(usage, search).lastUsedAt || search.updatedAt || 0;
+  return now - since > STALE_AFTER_DAYS * USAGE_DAY_MS;
+}
+
+/**
+ * Describes a search's usage for the manage list, e.g.
+ * "Opened 12 times, last 3 days ago"
+ */
+function describeUsage(search, usage, now) {
+  const { count, lastUsedAt } = usageFor(usage, search);
+  if (count === 0) return 'Never opened';
+
+  const days = Math.floor((now - lastUsedAt) / USAGE_DAY_MS);
+  const ago = days <= 0 ? 'today' : days === 1 ? 'yesterday' : `${days} days ago`;
+  return `Opened ${count} time${count === 1 ? '' : 's'}, last ${ago}`;
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SORT_MODES,
+    RECENT_LIMIT,
+    STALE_AFTER_DAYS,
+    recordUse,
+    usageFor,
+    sortSearchItems,
+    sortSearches,
+    recentSearches,
+    isStale,
+    describeUsage
+  };
+}
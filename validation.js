@@ -0,0 +1,271 @@
+/**
+ * Gmail Quick Search - Validation
+ * Limits and validation rules for saved searches
+ */
+
+'use strict';
+
+const MAX_SEARCHES = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 500;
+// Optional metadata shown next to a search's name
+const MAX_ICON_LENGTH = 8;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Colour tags a search can carry. Searches store the key, never a CSS value.
+const SEARCH_COLORS = {
+  red: { label: 'Red', value: '#d93025' },
+  orange: { label: 'Orange', value: '#e8710a' },
+  yellow: { label: 'Yellow', value: '#f9ab00' },
+  green: { label: 'Green', value: '#1e8e3e' },
+  teal: { label: 'Teal', value: '#12b5cb' },
+  blue: { label: 'Blue', value: '#1a73e8' },
+  purple: { label: 'Purple', value: '#9334e6' },
+  pink: { label: 'Pink', value: '#e52592' },
+  gray: { label: 'Gray', value: '#80868b' }
+};
+
+/**
+ * The CSS colour for a colour tag key, or null for anything else
+ */
+function searchColorValue(key) {
+  return Object.prototype.hasOwnProperty.call(SEARCH_COLORS, key) ? SEARCH_COLORS[key].value : null;
+}
+
+/**
+ * Validates a string
+ */
+function validateString(value, maxLength) {
+  if (!value || typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  return trimmed.length > 0 && trimmed.length <= maxLength;
+}
+
+/**
+ * Text that can't be saved safely, and why. Nothing else is rejected:
+ * saved text only ever reaches a page through textContent and attributes,
+ * Gmail through encodeURIComponent and the address bar through
+ * escapeOmniboxXml, so markup, "javascript:", "--" or SQL-looking words
+ * are just text to search for.
+ */
+const UNSAFE_TEXT = [
+  {
+    // NUL, backspace, escape and the like: invisible, and mostly not allowed
+    // in the omnibox's XML descriptions, so a suggestion would fail to show
+    pattern: /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/,
+    reason: 'control characters'
+  },
+  {
+    // Bidirectional overrides reorder how text is shown, so a search could
+    // look like something other than what it finds
+    pattern: /[\u202A-\u202E\u2066-\u2069]/,
+    reason: 'text direction override characters'
+  },
+  {
+    // Half of a surrogate pair: encodeURIComponent throws on it, so the
+    // search could never be opened
+    pattern: /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?:^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]/,
+    reason: 'broken characters'
+  }
+];
+
+/**
+ * Finds the first kind of unsafe text in a value.
+ * Returns the UNSAFE_TEXT entry, or null when the value is safe.
+ */
+function findUnsafeText(value) {
+  return UNSAFE_TEXT.find(rule => rule.pattern.test(value)) || null;
+}
+
+/**
+ * Whether a value contains text that can't be saved safely
+ */
+function containsDangerousPatterns(value) {
+  return findUnsafeText(value) !== null;
+}
+
+/**
+ * Checks text typed to search Gmail for directly (the popup's fallback row
+ * and the address bar). Gmail takes any words, so only text that can't be
+ * opened is refused.
+ */
+function validateTypedQuery(text) {
+  const unsafe = findUnsafeText(text);
+  if (unsafe) {
+    return { valid: false, error: `Can't search Gmail for text with ${unsafe.reason}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates Gmail query syntax
+ * Basic validation to ensure it looks like a Gmail search
+ */
+function validateGmailQuery(query) {
+  // Empty queries not allowed
+  if (!query || query.trim().length === 0) {
+    return { valid: false, error: 'Query cannot be empty' };
+  }
+
+  // Check for text that can't be saved safely
+  const unsafe = findUnsafeText(query);
+  if (unsafe) {
+    return { valid: false, error: `Query contains ${unsafe.reason}` };
+  }
+
+  // Templates: check the {{placeholders}}, then parse them as plain words
+  const placeholderError = findPlaceholderError(query);
+  if (placeholderError) {
+    return { valid: false, error: formatQueryError(placeholderError), position: placeholderError };
+  }
+
+  // Parse the query so syntax errors can point at where they are
+  const parsed = parseGmailQuery(maskPlaceholders(query));
+  if (!parsed.ok) {
+    return { valid: false, error: formatQueryError(parsed.error), position: parsed.error };
+  }
+
+  // Operators and words only count once they are actually in the query
+  let hasOperator = false;
+  let hasText = false;
+  walkQuery(parsed.ast, (node) => {
+    if (node.type === 'operator') hasOperator = true;
+    if (node.type === 'term' && /[\p{L}\p{N}]/u.test(node.value)) hasText = true;
+  });
+
+  if (!hasOperator && !hasText) {
+    return { valid: false, error: 'Query must contain text or valid Gmail operators' };
+  }
+
+  // Gmail still runs these (e.g. a missing ")"), so they don't block saving
+  if (parsed.warnings.length > 0) {
+    const warning = parsed.warnings[0];
+    return { valid: true, warning: formatQueryError(warning), position: warning };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Checks for duplicate searches
+ */
+function checkDuplicate(searches, name, query, excludeIndex = null) {
+  for (let i = 0; i < searches.length; i++) {
+    if (i === excludeIndex) continue;
+
+    const search = searches[i];
+
+    // Exact name match
+    if (search.name.toLowerCase() === name.toLowerCase()) {
+      return { isDuplicate: true, type: 'name', message: `A search named "${search.name}" already exists` };
+    }
+
+    // Exact query match
+    if (search.q === query) {
+      return { isDuplicate: true, type: 'query', message: `This query already exists as "${search.name}"` };
+    }
+  }
+
+  return { isDuplicate: false };
+}
+
+/**
+ * Checks free text shown in the lists (names, icons, descriptions).
+ * label starts the error message, e.g. "Name".
+ */
+function validatePlainText(value, label) {
+  // Only text that can't be saved safely; <, {, $ and the like are shown as
+  // they are, since everything is drawn with textContent
+  const unsafe = findUnsafeText(value);
+  if (unsafe) {
+    return { valid: false, error: `${label} contains ${unsafe.reason}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates search name
+ */
+function validateSearchName(name) {
+  return validatePlainText(name, 'Name');
+}
+
+/**
+ * Validates the optional icon, colour and description of a search.
+ * Missing or blank values are fine; they just aren't shown.
+ */
+function validateSearchMetadata({ icon, color, description }) {
+  if (icon !== undefined && icon !== '') {
+    if (typeof icon !== 'string') return { valid: false, field: 'icon', error: 'Icon must be text' };
+
+    const trimmed = icon.trim();
+    if (trimmed.length > MAX_ICON_LENGTH || /\s/.test(trimmed)) {
+      return { valid: false, field: 'icon', error: 'Icon must be a single emoji or symbol' };
+    }
+
+    const iconValidation = validatePlainText(trimmed, 'Icon');
+    if (!iconValidation.valid) return { ...iconValidation, field: 'icon' };
+  }
+
+  if (color !== undefined && color !== '' && searchColorValue(color) === null) {
+    return { valid: false, field: 'color', error: 'Unknown colour' };
+  }
+
+  if (description !== undefined && description !== '') {
+    if (typeof description !== 'string') {
+      return { valid: false, field: 'description', error: 'Description must be text' };
+    }
+
+    if (description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return { valid: false, field: 'description', error: `Description must be ${MAX_DESCRIPTION_LENGTH} characters or fewer` };
+    }
+
+    const descriptionValidation = validatePlainText(description.trim(), 'Description');
+    if (!descriptionValidation.valid) return { ...descriptionValidation, field: 'description' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Returns a copy of a search with its icon, colour and description set from
+ * metadata (already validated). Blank values are removed rather than stored.
+ */
+function withSearchMetadata(search, metadata) {
+  const updated = { ...search };
+
+  ['icon', 'color', 'description'].forEach((field) => {
+    const value = typeof metadata[field] === 'string' ? metadata[field].trim() : '';
+    if (value) {
+      updated[field] = value;
+    } else {
+      delete updated[field];
+    }
+  });
+
+  return updated;
+}
+
+// Export for tests (extension pages load this as a plain script)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_SEARCHES,
+    MAX_NAME_LENGTH,
+    MAX_QUERY_LENGTH,
+    MAX_ICON_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    SEARCH_COLORS,
+    searchColorValue,
+    UNSAFE_TEXT,
+    validateString,
+    findUnsafeText,
+    containsDangerousPatterns,
+    validateTypedQuery,
+    validateGmailQuery,
+    checkDuplicate,
+    validateSearchName,
+    validateSearchMetadata,
+    withSearchMetadata
+  };
+}